@@ -33,6 +33,59 @@ const config = {
   // 数据同步配置
   syncInterval: 5 * 60 * 1000, // 5分钟
 
+  // 多人游戏会话配置
+  game: {
+    turnTimeoutMs: parseInt(process.env.TURN_TIMEOUT_MS, 10) || 30000, // 单个回合超时时间，超时自动跳过
+    reconnectGraceMs: parseInt(process.env.RECONNECT_GRACE_MS, 10) || 60000, // 断线后保留玩家会话状态的时间
+    spectatorDelayMs: parseInt(process.env.SPECTATOR_DELAY_MS, 10) || 30000, // 观战画面 (无战争迷雾) 的延迟，防止观战者给玩家通风报信
+    maxSpectators: parseInt(process.env.MAX_SPECTATORS, 10) || 20, // 每个游戏会话最多的观战人数
+    effectTickMs: parseInt(process.env.EFFECT_TICK_MS, 10) || 1000, // 检查按时间计算的增益/减益是否过期的间隔
+  },
+
+  // 冒名者模式配置
+  imposter: {
+    playersPerImposter: parseInt(process.env.IMPOSTER_PLAYERS_PER_IMPOSTER, 10) || 4, // 每多少名玩家分配一名冒名者 (至少一名)
+    votingDurationMs: parseInt(process.env.IMPOSTER_VOTING_DURATION_MS, 10) || 30000, // 紧急会议的投票时间，超时按已投的票结算
+    meetingsPerPlayer: parseInt(process.env.IMPOSTER_MEETINGS_PER_PLAYER, 10) || 1, // 每名玩家每局可以召开的紧急会议次数
+    killCooldownRounds: parseInt(process.env.IMPOSTER_KILL_COOLDOWN_ROUNDS, 10) || 2, // 冒名者击杀的冷却轮数
+    sabotageCooldownRounds: parseInt(process.env.IMPOSTER_SABOTAGE_COOLDOWN_ROUNDS, 10) || 3, // 冒名者布置陷阱的冷却轮数
+  },
+
+  // 房间大厅配置
+  room: {
+    offlineTimeoutMs: parseInt(process.env.ROOM_OFFLINE_TIMEOUT_MS, 10) || 60000, // 玩家断线后保留在房间中的时间，超时才移出
+  },
+
+  // 聊天配置 (敏感词列表在游戏配置文件的 chat.bannedWords 中)
+  chat: {
+    maxLength: parseInt(process.env.CHAT_MAX_LENGTH, 10) || 200, // 单条消息最大长度
+    rateLimitCount: parseInt(process.env.CHAT_RATE_LIMIT_COUNT, 10) || 5, // 时间窗口内最多发送的消息数
+    rateLimitWindowMs: parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_MS, 10) || 10000, // 发言频率限制的时间窗口
+    historySize: parseInt(process.env.CHAT_HISTORY_SIZE, 10) || 50, // 每个房间/会话保留的历史消息数
+  },
+
+  // 游戏内快捷交流 (表情和地图标记) 配置
+  quickComms: {
+    pingDurationMs: parseInt(process.env.PING_DURATION_MS, 10) || 5000, // 地图标记显示时间
+    rateLimitCount: parseInt(process.env.QUICK_COMMS_RATE_LIMIT_COUNT, 10) || 3, // 时间窗口内最多发送的表情/标记数
+    rateLimitWindowMs: parseInt(process.env.QUICK_COMMS_RATE_LIMIT_WINDOW_MS, 10) || 5000, // 频率限制的时间窗口
+  },
+
+  // WebSocket 连接配置
+  websocket: {
+    perMessageDeflate: process.env.WS_PER_MESSAGE_DEFLATE !== 'false', // 是否启用 permessage-deflate 压缩 (客户端也支持时生效)
+    deflateThreshold: parseInt(process.env.WS_DEFLATE_THRESHOLD, 10) || 256, // 小于该字节数的消息不压缩
+    heartbeatIntervalMs: parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 30000, // 服务器发送 ping 控制帧的间隔
+    heartbeatMaxMissed: parseInt(process.env.HEARTBEAT_MAX_MISSED, 10) || 2, // 连续多少次没有收到 pong 就断开连接
+    maxObserverConnections: parseInt(process.env.WS_MAX_OBSERVER_CONNECTIONS, 10) || 3, // 每个用户最多同时保持的观战/调试连接数
+  },
+
+  // WebSocket 消息配置
+  message: {
+    rateLimitCount: parseInt(process.env.MESSAGE_RATE_LIMIT_COUNT, 10) || 20, // 时间窗口内同一类型消息最多发送数
+    rateLimitWindowMs: parseInt(process.env.MESSAGE_RATE_LIMIT_WINDOW_MS, 10) || 1000, // 频率限制的时间窗口
+  },
+
   // 调试配置
   debug: {
     isDebug: process.env.IS_DEBUG === 'true',
@@ -0,0 +1,340 @@
+/**
+ * 增益/减益效果引擎
+ * 效果保存在会话玩家的 buffs / debuffs 数组中，持续时间可以按毫秒 (定时检查过期) 或按轮数 (新一轮开始时过期) 计算，
+ * 施加和过期都会向会话广播 EFFECT_APPLIED / EFFECT_EXPIRED
+ * 引擎只操作传入的会话对象，由 multiplayer_handler 在轮次推进、会话结束时调用
+ */
+
+const config = require('../config');
+
+// 叠加规则：refresh 刷新持续时间；stack 增加层数 (不超过 maxStacks) 并刷新持续时间；ignore 已存在时不重复施加
+const STACKING = {
+    REFRESH: 'refresh',
+    STACK: 'stack',
+    IGNORE: 'ignore'
+};
+
+// 效果类型定义 { type: { category, stacking, durationMs?, rounds?, maxStacks?, ...效果数值 } }
+// 没有 durationMs 也没有 rounds 的效果不会自动过期，只能被消耗或移除
+const effectTypes = new Map();
+
+// 每个会话的过期检查计时器 { sessionId: intervalId }
+const tickTimers = {};
+
+// 自增序号，用于生成效果实例ID
+let effectSeq = 0;
+
+/**
+ * 注册效果类型
+ * @param {string} type - 效果类型
+ * @param {object} definition - 效果定义
+ * @param {string} definition.category - buff 或 debuff
+ * @param {string} [definition.stacking='refresh'] - 叠加规则 (STACKING)
+ * @param {number} [definition.durationMs] - 默认持续时间 (毫秒)
+ * @param {number} [definition.rounds] - 默认持续轮数
+ * @param {number} [definition.maxStacks=1] - stack 规则下的最大层数
+ * @returns {object} 注册后的定义
+ */
+function registerEffectType(type, definition) {
+    if (!type || !definition || !['buff', 'debuff'].includes(definition.category)) {
+        throw new Error(`效果 ${type} 的定义缺少 category (buff/debuff)`);
+    }
+    const registered = { stacking: STACKING.REFRESH, maxStacks: 1, ...definition, type };
+    effectTypes.set(type, registered);
+    return registered;
+}
+
+/**
+ * 检查效果类型是否已注册
+ * @param {string} type - 效果类型
+ * @returns {boolean}
+ */
+function hasEffectType(type) {
+    return effectTypes.has(type);
+}
+
+/**
+ * 向会话广播消息
+ * @param {string} sessionId - 会话ID
+ * @param {object} message - 消息对象
+ */
+function broadcastToSession(sessionId, message) {
+    // 延迟引入 wsApp，避免与 wsApp 之间的循环依赖
+    const wsApp = require('../wsApp');
+    wsApp.broadcastToSession(sessionId, message);
+}
+
+/**
+ * 获取玩家存放某类效果的数组
+ * @param {object} player - 会话玩家
+ * @param {string} category - buff 或 debuff
+ * @returns {Array}
+ */
+function getEffectList(player, category) {
+    return category === 'debuff' ? player.debuffs : player.buffs;
+}
+
+/**
+ * 查找玩家身上某种类型的效果
+ * @param {object} player - 会话玩家
+ * @param {string} type - 效果类型
+ * @returns {object|null} 效果实例
+ */
+function findEffect(player, type) {
+    return [...player.buffs, ...player.debuffs].find(effect => effect.type === type) || null;
+}
+
+/**
+ * 判断玩家身上是否有某种效果
+ * @param {object} player - 会话玩家
+ * @param {string} type - 效果类型
+ * @returns {boolean}
+ */
+function hasEffect(player, type) {
+    return !!findEffect(player, type);
+}
+
+/**
+ * 按持续时间设置效果实例的过期时间
+ * 被动技能的效果 (effect.passive) 永远没有过期时间；
+ * 刷新已有效果时不会缩短持续时间：永久效果 (没有过期时间) 保持永久，同一计时单位的过期时间取较晚的一个；
+ * 新旧持续时间的计时单位不同 (毫秒/轮数) 无法比较时使用新的持续时间
+ * @param {object} session - 会话对象
+ * @param {object} effect - 效果实例
+ * @param {object} duration - { durationMs, rounds }
+ * @param {boolean} [refreshed=false] - 是否为刷新已有的效果
+ */
+function setExpiry(session, effect, { durationMs, rounds }, refreshed = false) {
+    if (effect.passive) {
+        effect.expiresAt = null;
+        effect.expiresAtRound = null;
+        return;
+    }
+
+    let expiresAt = durationMs ? Date.now() + durationMs : null;
+    let expiresAtRound = rounds ? session.round + rounds : null;
+
+    if (refreshed) {
+        if (effect.expiresAt === null && effect.expiresAtRound === null) {
+            return;
+        }
+        if (effect.expiresAt !== null && expiresAt !== null) {
+            expiresAt = Math.max(effect.expiresAt, expiresAt);
+        }
+        if (effect.expiresAtRound !== null && expiresAtRound !== null) {
+            expiresAtRound = Math.max(effect.expiresAtRound, expiresAtRound);
+        }
+    }
+    effect.expiresAt = expiresAt;
+    effect.expiresAtRound = expiresAtRound;
+}
+
+/**
+ * 对玩家施加效果
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @param {string} type - 效果类型 (必须已注册)
+ * @param {object} [options={}] - 选项
+ * @param {number} [options.durationMs] - 持续时间 (毫秒)，覆盖默认值
+ * @param {number} [options.rounds] - 持续轮数，覆盖默认值
+ * @param {string} [options.source] - 效果来源，如道具ID、技能ID
+ * @param {boolean} [options.passive=false] - 是否为英雄被动技能的效果 (永久，之后被道具等刷新也不会过期)
+ * @returns {object|null} 效果实例，玩家不存在、已淘汰或被 ignore 规则忽略时返回 null
+ */
+function applyEffect(session, playerId, type, options = {}) {
+    const definition = effectTypes.get(type);
+    const player = session && session.players[playerId];
+    if (!definition) {
+        throw new Error(`效果类型 ${type} 不存在`);
+    }
+    if (!player || player.status === 'eliminated') {
+        return null;
+    }
+
+    const duration = {
+        durationMs: options.durationMs !== undefined ? options.durationMs : definition.durationMs,
+        rounds: options.rounds !== undefined ? options.rounds : definition.rounds
+    };
+    const { category, stacking, maxStacks, durationMs, rounds, ...values } = definition;
+    let effect = findEffect(player, type);
+    const refreshed = !!effect;
+
+    if (effect) {
+        if (stacking === STACKING.IGNORE) {
+            return null;
+        }
+        if (stacking === STACKING.STACK) {
+            effect.stacks = Math.min(effect.stacks + 1, maxStacks);
+        }
+        effect.source = options.source || effect.source;
+        effect.passive = effect.passive || !!options.passive;
+    } else {
+        effect = {
+            ...values,
+            id: `effect_${++effectSeq}`,
+            category,
+            stacks: 1,
+            source: options.source || null,
+            passive: !!options.passive,
+            appliedAt: Date.now()
+        };
+        getEffectList(player, category).push(effect);
+    }
+    setExpiry(session, effect, duration, refreshed);
+
+    console.log(`[EffectEngine] 玩家 ${playerId} 获得效果 ${type} (会话 ${session.sessionId}，层数 ${effect.stacks})`);
+    broadcastToSession(session.sessionId, {
+        type: 'EFFECT_APPLIED',
+        data: { sessionId: session.sessionId, playerId, effect, refreshed }
+    });
+
+    if (effect.expiresAt) {
+        ensureTickTimer(session);
+    }
+    return effect;
+}
+
+/**
+ * 移除玩家身上的效果实例
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @param {object} effect - 效果实例
+ * @param {string} reason - 移除原因 (EXPIRED / CONSUMED / REMOVED)
+ */
+function removeEffect(session, playerId, effect, reason) {
+    const player = session.players[playerId];
+    if (!player) {
+        return;
+    }
+    const list = getEffectList(player, effect.category);
+    const index = list.indexOf(effect);
+    if (index === -1) {
+        return;
+    }
+    list.splice(index, 1);
+
+    console.log(`[EffectEngine] 玩家 ${playerId} 的效果 ${effect.type} 已移除 (会话 ${session.sessionId}，原因: ${reason})`);
+    broadcastToSession(session.sessionId, {
+        type: 'EFFECT_EXPIRED',
+        data: { sessionId: session.sessionId, playerId, effect, reason }
+    });
+}
+
+/**
+ * 消耗一层效果 (如护盾抵挡一次伤害)，层数用完时移除
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @param {string} type - 效果类型
+ * @returns {boolean} 是否有效果被消耗
+ */
+function consumeEffect(session, playerId, type) {
+    const player = session.players[playerId];
+    const effect = player && findEffect(player, type);
+    if (!effect) {
+        return false;
+    }
+    effect.stacks -= 1;
+    if (effect.stacks <= 0) {
+        removeEffect(session, playerId, effect, 'CONSUMED');
+    }
+    return true;
+}
+
+/**
+ * 移除会话中所有满足条件的效果
+ * @param {object} session - 会话对象
+ * @param {Function} isExpired - (effect) => boolean
+ * @returns {number} 移除的效果数量
+ */
+function expireEffects(session, isExpired) {
+    let expiredCount = 0;
+    Object.entries(session.players).forEach(([playerId, player]) => {
+        [...player.buffs, ...player.debuffs]
+            .filter(isExpired)
+            .forEach(effect => {
+                removeEffect(session, playerId, effect, 'EXPIRED');
+                expiredCount++;
+            });
+    });
+    return expiredCount;
+}
+
+/**
+ * 移除按毫秒计时且已到期的效果 (由计时器定期调用)
+ * @param {object} session - 会话对象
+ * @param {number} [now=Date.now()] - 当前时间
+ * @returns {number} 移除的效果数量
+ */
+function expireTimedEffects(session, now = Date.now()) {
+    return expireEffects(session, effect => effect.expiresAt !== null && effect.expiresAt <= now);
+}
+
+/**
+ * 移除按轮数计时且已到期的效果 (新一轮开始时调用)
+ * @param {object} session - 会话对象
+ * @returns {number} 移除的效果数量
+ */
+function expireRoundEffects(session) {
+    return expireEffects(session, effect => effect.expiresAtRound !== null && effect.expiresAtRound <= session.round);
+}
+
+/**
+ * 判断会话中是否还有按毫秒计时的效果
+ * @param {object} session - 会话对象
+ * @returns {boolean}
+ */
+function hasTimedEffects(session) {
+    return Object.values(session.players).some(player =>
+        [...player.buffs, ...player.debuffs].some(effect => effect.expiresAt !== null));
+}
+
+/**
+ * 会话中有按毫秒计时的效果时启动过期检查计时器，没有时自动停止
+ * @param {object} session - 会话对象
+ */
+function ensureTickTimer(session) {
+    const { sessionId } = session;
+    if (tickTimers[sessionId]) {
+        return;
+    }
+    tickTimers[sessionId] = setInterval(() => {
+        expireTimedEffects(session);
+        if (!hasTimedEffects(session)) {
+            clearSession(sessionId);
+        }
+    }, config.game.effectTickMs);
+}
+
+/**
+ * 停止会话的过期检查计时器 (会话结束或被清理时调用)
+ * @param {string} sessionId - 会话ID
+ */
+function clearSession(sessionId) {
+    if (tickTimers[sessionId]) {
+        clearInterval(tickTimers[sessionId]);
+        delete tickTimers[sessionId];
+    }
+}
+
+// === 内置效果 ===
+
+registerEffectType('speed_boost', { category: 'buff', stacking: STACKING.REFRESH, durationMs: 10000, factor: 1.5 });
+registerEffectType('vision_boost', { category: 'buff', stacking: STACKING.REFRESH, durationMs: 15000, factor: 2 });
+// 护盾每层抵挡一次伤害
+registerEffectType('shield', { category: 'buff', stacking: STACKING.STACK, maxStacks: 3, durationMs: 20000 });
+// 易伤：受到的伤害 +1
+registerEffectType('vulnerable', { category: 'debuff', stacking: STACKING.REFRESH, rounds: 2 });
+
+module.exports = {
+    STACKING,
+    registerEffectType,
+    hasEffectType,
+    applyEffect,
+    removeEffect,
+    consumeEffect,
+    hasEffect,
+    findEffect,
+    expireTimedEffects,
+    expireRoundEffects,
+    clearSession
+};
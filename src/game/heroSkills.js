@@ -0,0 +1,157 @@
+/**
+ * 英雄主动技能
+ * 校验技能归属、回合、冷却和目标后，通过会话状态 (effectEngine、血量、战争迷雾) 执行技能效果，
+ * 成功后向会话广播 SKILL_USED；英雄和技能的定义在 heroes 中
+ */
+
+const multiplayerHandler = require('./multiplayer_handler');
+const effectEngine = require('./effectEngine');
+const heroes = require('./heroes');
+const imposterMode = require('./imposterMode');
+
+/**
+ * 解析技能目标
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 施放者ID
+ * @param {object} skill - 主动技能定义
+ * @param {object} target - 请求中的目标 { targetPlayerId, x, y }
+ * @returns {object} 成功返回 { targetPlayerId } 或 { room }，失败返回错误对象 { error, message }
+ */
+function resolveTarget(session, playerId, skill, target) {
+    if (skill.target === 'self') {
+        return { targetPlayerId: playerId };
+    }
+
+    if (skill.target === 'player') {
+        const targetPlayerId = target.targetPlayerId;
+        const targetPlayer = targetPlayerId && session.players[targetPlayerId];
+        if (!targetPlayer) {
+            return { error: 'INVALID_TARGET', message: '目标玩家不在该游戏会话中' };
+        }
+        if (targetPlayer.status === 'eliminated') {
+            return { error: 'INVALID_TARGET', message: '目标玩家已被淘汰' };
+        }
+        if (targetPlayerId === playerId && !skill.allowSelf) {
+            return { error: 'INVALID_TARGET', message: '该技能不能对自己使用' };
+        }
+        return { targetPlayerId };
+    }
+
+    const { x, y } = target;
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+        return { error: 'INVALID_TARGET', message: '该技能需要指定房间坐标' };
+    }
+    const room = multiplayerHandler.findRoomAt(session._internalRooms, x, y);
+    if (!room) {
+        return { error: 'INVALID_TARGET', message: `坐标 (${x}, ${y}) 没有房间` };
+    }
+    return { room };
+}
+
+// 各类主动技能的执行函数 (session, playerId, skill, target) => 错误对象或 undefined
+// 执行函数在修改会话状态之前完成自己的校验，返回错误时技能不进入冷却
+const SKILL_EXECUTORS = {
+    apply_effect(session, playerId, skill, { targetPlayerId }) {
+        // 按轮数计算的技能效果不使用效果类型默认的毫秒持续时间
+        const duration = skill.rounds ? { rounds: skill.rounds, durationMs: 0 } : {};
+        effectEngine.applyEffect(session, targetPlayerId, skill.effect, { ...duration, source: skill.id });
+    },
+
+    heal(session, playerId, skill, { targetPlayerId }) {
+        const targetPlayer = session.players[targetPlayerId];
+        if (targetPlayer.hp >= targetPlayer.maxHp) {
+            return { error: 'INVALID_TARGET', message: '目标血量已满' };
+        }
+        multiplayerHandler.healPlayer(session.sessionId, targetPlayerId, skill.amount, { source: skill.id, healerId: playerId });
+    },
+
+    cleanse(session, playerId, skill, { targetPlayerId }) {
+        const targetPlayer = session.players[targetPlayerId];
+        if (targetPlayer.debuffs.length === 0) {
+            return { error: 'INVALID_TARGET', message: '目标没有减益效果' };
+        }
+        [...targetPlayer.debuffs].forEach(effect => effectEngine.removeEffect(session, targetPlayerId, effect, 'REMOVED'));
+    },
+
+    reveal_room(session, playerId, skill, { room }) {
+        if (multiplayerHandler.revealRooms(session.sessionId, playerId, [room]).length === 0) {
+            return { error: 'INVALID_TARGET', message: '该房间已经揭示' };
+        }
+    },
+
+    reveal_exit(session, playerId) {
+        const exitRoom = session._internalRooms.find(room => room.isExit);
+        if (!exitRoom || multiplayerHandler.revealRooms(session.sessionId, playerId, [exitRoom]).length === 0) {
+            return { error: 'INVALID_TARGET', message: '出口已经揭示' };
+        }
+    }
+};
+
+/**
+ * 使用英雄的主动技能 (只能在自己的回合使用，不会结束回合)
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {object} [target={}] - 目标 { targetPlayerId } 或 { x, y }，取决于技能的 target 类型
+ * @returns {object} 成功返回 { skill }，失败返回错误对象 { error, message }
+ */
+function useSkill(sessionId, playerId, target = {}) {
+    const session = multiplayerHandler.activeSessions[sessionId];
+    const player = session && session.players[playerId];
+    if (!player) {
+        return { error: 'NOT_IN_SESSION', message: '你不在该游戏会话中' };
+    }
+    if (session.status !== 'playing') {
+        return { error: 'SESSION_ENDED', message: '游戏已经结束' };
+    }
+    if (player.status === 'eliminated') {
+        return { error: 'PLAYER_ELIMINATED', message: '你已被淘汰' };
+    }
+
+    const hero = heroes.getHero(player.characterId);
+    const skillState = player.skills.find(skill => skill.slot === 'active');
+    if (!hero || !skillState) {
+        return { error: 'NO_ACTIVE_SKILL', message: '你的角色没有主动技能' };
+    }
+    if (imposterMode.isMeetingInProgress(session)) {
+        return { error: 'MEETING_IN_PROGRESS', message: '紧急会议中不能使用技能' };
+    }
+    if (session.currentTurn !== playerId) {
+        return { error: 'NOT_YOUR_TURN', message: '只能在自己的回合使用技能' };
+    }
+    if (session.round < skillState.readyAtRound) {
+        return { error: 'SKILL_ON_COOLDOWN', message: `技能冷却中，第 ${skillState.readyAtRound} 轮可以再次使用` };
+    }
+
+    const skill = hero.active;
+    const resolved = resolveTarget(session, playerId, skill, target);
+    if (resolved.error) {
+        return resolved;
+    }
+    const failure = SKILL_EXECUTORS[skill.kind](session, playerId, skill, resolved);
+    if (failure) {
+        return failure;
+    }
+
+    skillState.readyAtRound = session.round + skillState.cooldownRounds;
+    console.log(`[HeroSkills] 玩家 ${playerId} 在会话 ${sessionId} 使用了技能 ${skill.id}，第 ${skillState.readyAtRound} 轮冷却结束`);
+
+    // 房间类目标 (揭示的房间) 只私发给施放者，不在广播中暴露坐标
+    const payload = {
+        sessionId,
+        playerId,
+        skillId: skill.id,
+        name: skill.name,
+        kind: skill.kind,
+        targetPlayerId: resolved.targetPlayerId || null,
+        round: session.round,
+        readyAtRound: skillState.readyAtRound
+    };
+    // 延迟引入 wsApp，避免与 wsApp 之间的循环依赖
+    const wsApp = require('../wsApp');
+    wsApp.broadcastToSession(sessionId, { type: 'SKILL_USED', data: payload });
+    return { skill: payload };
+}
+
+module.exports = {
+    useSkill
+};
@@ -0,0 +1,218 @@
+/**
+ * 英雄定义表
+ * 每个英雄有基础血量、一个主动技能和一个被动技能；英雄ID与 roomManager.ALL_HERO_IDS 一致
+ *
+ * 主动技能 (active) 通过 USE_SKILL 消息释放，冷却以轮为单位，由 heroSkills 执行：
+ * - apply_effect: 施加效果 (effectEngine 中注册的效果类型)
+ * - heal: 恢复血量
+ * - cleanse: 移除目标的所有减益
+ * - reveal_room: 为自己揭示指定格子的房间
+ * - reveal_exit: 为自己揭示出口房间
+ * target 为 self (自己)、player (会话中其他存活玩家，allowSelf 为 true 时也可以是自己) 或 room (地图格子)
+ *
+ * 被动技能 (passive) 由 multiplayer_handler 在对应时机生效：
+ * - start_effect: 加入会话时获得一个永久效果
+ * - trap_resist: 陷阱伤害减少 amount 点
+ * - keen_eyes: 进入房间时同时揭示与该房间连通的相邻房间
+ * - cooldown_reduction: 主动技能冷却减少 rounds 轮 (至少 1 轮)
+ */
+
+// 没有选择英雄或英雄不存在时的基础血量
+const DEFAULT_BASE_HP = 3;
+
+// 英雄定义 { heroId: definition }
+const heroes = new Map();
+
+/**
+ * 注册英雄定义
+ * @param {Object} definition 英雄定义 { id, name, baseHp, active, passive }
+ * @returns {Object} 注册后的英雄定义
+ */
+function registerHero(definition) {
+  const { id, name, baseHp, active, passive } = definition || {};
+  if (!id || !name || !Number.isInteger(baseHp) || baseHp <= 0 || !active || !passive) {
+    throw new Error('英雄定义缺少必要字段 (id, name, baseHp, active, passive)');
+  }
+  if (!Number.isInteger(active.cooldownRounds) || active.cooldownRounds < 1) {
+    throw new Error(`英雄 ${id} 的主动技能冷却必须是正整数轮数`);
+  }
+  heroes.set(id, definition);
+  return definition;
+}
+
+/**
+ * 获取英雄定义
+ * @param {string} heroId 英雄ID
+ * @returns {Object|null} 英雄定义
+ */
+function getHero(heroId) {
+  return heroes.get(heroId) || null;
+}
+
+/**
+ * 获取英雄的基础血量
+ * @param {string} heroId 英雄ID
+ * @returns {number} 基础血量
+ */
+function getBaseHp(heroId) {
+  const hero = getHero(heroId);
+  return hero ? hero.baseHp : DEFAULT_BASE_HP;
+}
+
+/**
+ * 获取英雄的被动技能，被动不是指定类型时返回 null
+ * @param {string} heroId 英雄ID
+ * @param {string} kind 被动类型
+ * @returns {Object|null} 被动技能定义
+ */
+function getPassive(heroId, kind) {
+  const hero = getHero(heroId);
+  return hero && hero.passive.kind === kind ? hero.passive : null;
+}
+
+/**
+ * 计算主动技能的实际冷却轮数 (考虑 cooldown_reduction 被动)
+ * @param {string} heroId 英雄ID
+ * @returns {number|null} 冷却轮数，英雄不存在时返回 null
+ */
+function getActiveCooldown(heroId) {
+  const hero = getHero(heroId);
+  if (!hero) {
+    return null;
+  }
+  const reduction = getPassive(heroId, 'cooldown_reduction');
+  return Math.max(1, hero.active.cooldownRounds - (reduction ? reduction.rounds : 0));
+}
+
+/**
+ * 生成会话玩家的技能状态 (session.players[id].skills)
+ * @param {string} heroId 英雄ID
+ * @returns {Array<Object>} [{ id, name, kind, slot, cooldownRounds?, readyAtRound? }]
+ */
+function createSkillState(heroId) {
+  const hero = getHero(heroId);
+  if (!hero) {
+    return [];
+  }
+  return [
+    {
+      id: hero.active.id,
+      name: hero.active.name,
+      slot: 'active',
+      kind: hero.active.kind,
+      target: hero.active.target,
+      cooldownRounds: getActiveCooldown(heroId),
+      readyAtRound: 1 // 从第 1 轮起即可使用
+    },
+    {
+      id: hero.passive.id,
+      name: hero.passive.name,
+      slot: 'passive',
+      kind: hero.passive.kind
+    }
+  ];
+}
+
+/**
+ * 列出所有英雄 (供 /api/game/heroes 使用)
+ * @returns {Array<Object>} 英雄列表
+ */
+function listHeroes() {
+  return Array.from(heroes.values()).map(hero => ({
+    ...hero,
+    active: { ...hero.active, cooldownRounds: getActiveCooldown(hero.id) }
+  }));
+}
+
+// === 内置英雄 ===
+
+registerHero({
+  id: 'dongdong',
+  name: '咚咚',
+  baseHp: 4,
+  active: { id: 'iron_wall', name: '铁壁', description: '获得一层护盾，持续 2 轮', kind: 'apply_effect', target: 'self', effect: 'shield', rounds: 2, cooldownRounds: 3 },
+  passive: { id: 'thick_skin', name: '皮糙肉厚', description: '陷阱伤害减少 1 点', kind: 'trap_resist', amount: 1 }
+});
+
+registerHero({
+  id: 'missO',
+  name: 'O小姐',
+  baseHp: 3,
+  active: { id: 'healing_song', name: '治愈之歌', description: '为一名玩家 (可以是自己) 恢复 1 点血量', kind: 'heal', target: 'player', allowSelf: true, amount: 1, cooldownRounds: 3 },
+  passive: { id: 'quick_hands', name: '妙手', description: '主动技能冷却减少 1 轮', kind: 'cooldown_reduction', rounds: 1 }
+});
+
+registerHero({
+  id: 'fox',
+  name: '狐狸',
+  baseHp: 3,
+  active: { id: 'fox_step', name: '狐步', description: '获得疾跑效果，持续 2 轮', kind: 'apply_effect', target: 'self', effect: 'speed_boost', rounds: 2, cooldownRounds: 2 },
+  passive: { id: 'keen_nose', name: '灵敏嗅觉', description: '进入房间时揭示相连的房间', kind: 'keen_eyes' }
+});
+
+registerHero({
+  id: 'prometheus',
+  name: '普罗米修斯',
+  baseHp: 3,
+  active: { id: 'stolen_fire', name: '盗火', description: '揭示地图上任意一个房间', kind: 'reveal_room', target: 'room', cooldownRounds: 2 },
+  passive: { id: 'ember', name: '火种', description: '永久拥有夜视效果', kind: 'start_effect', effect: 'vision_boost' }
+});
+
+registerHero({
+  id: 'drxu',
+  name: '徐博士',
+  baseHp: 3,
+  active: { id: 'diagnose', name: '诊疗', description: '移除一名玩家 (可以是自己) 的所有减益', kind: 'cleanse', target: 'player', allowSelf: true, cooldownRounds: 2 },
+  passive: { id: 'lab_coat', name: '白大褂', description: '开局获得一层不会过期的护盾', kind: 'start_effect', effect: 'shield' }
+});
+
+registerHero({
+  id: 'chenYY',
+  name: '陈YY',
+  baseHp: 3,
+  active: { id: 'curse', name: '诅咒', description: '使一名其他玩家易伤，持续 2 轮', kind: 'apply_effect', target: 'player', effect: 'vulnerable', rounds: 2, cooldownRounds: 3 },
+  passive: { id: 'sharp_eyes', name: '敏锐', description: '进入房间时揭示相连的房间', kind: 'keen_eyes' }
+});
+
+registerHero({
+  id: 'zilin',
+  name: '子林',
+  baseHp: 3,
+  active: { id: 'scout', name: '侦察', description: '揭示地图上任意一个房间', kind: 'reveal_room', target: 'room', cooldownRounds: 3 },
+  passive: { id: 'light_step', name: '轻盈', description: '陷阱伤害减少 1 点', kind: 'trap_resist', amount: 1 }
+});
+
+registerHero({
+  id: 'ying',
+  name: '影',
+  baseHp: 2,
+  active: { id: 'shadow_veil', name: '影遁', description: '获得一层护盾，持续 1 轮', kind: 'apply_effect', target: 'self', effect: 'shield', rounds: 1, cooldownRounds: 2 },
+  passive: { id: 'night_walker', name: '夜行', description: '永久拥有夜视效果', kind: 'start_effect', effect: 'vision_boost' }
+});
+
+registerHero({
+  id: 'qinhan',
+  name: '秦汉',
+  baseHp: 4,
+  active: { id: 'second_wind', name: '坚忍', description: '为自己恢复 1 点血量', kind: 'heal', target: 'self', amount: 1, cooldownRounds: 4 },
+  passive: { id: 'veteran', name: '老兵', description: '主动技能冷却减少 1 轮', kind: 'cooldown_reduction', rounds: 1 }
+});
+
+registerHero({
+  id: 'navigator',
+  name: '领航员',
+  baseHp: 3,
+  active: { id: 'guidance', name: '指引', description: '揭示出口所在的房间', kind: 'reveal_exit', target: 'self', cooldownRounds: 5 },
+  passive: { id: 'sense_of_direction', name: '方向感', description: '进入房间时揭示相连的房间', kind: 'keen_eyes' }
+});
+
+module.exports = {
+  DEFAULT_BASE_HP,
+  registerHero,
+  getHero,
+  getBaseHp,
+  getPassive,
+  getActiveCooldown,
+  createSkillState,
+  listHeroes
+};
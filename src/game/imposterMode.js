@@ -0,0 +1,512 @@
+/**
+ * 冒名者模式
+ * 所有玩家加入会话后秘密分配身份 (通过 sendToClient 私发)，冒名者可以在自己的回合击杀同房间的玩家或布置陷阱；
+ * 任何存活玩家都可以召开紧急会议，限时投票放逐一名玩家。冒名者全部出局时其他玩家获胜，
+ * 冒名者人数不少于其他存活玩家时冒名者获胜
+ * 身份和会议状态保存在 session.imposter 中，不会随玩家列表下发给客户端
+ */
+
+const config = require('../config');
+const multiplayerHandler = require('./multiplayer_handler');
+
+const IMPOSTER_MODE = '冒名者模式';
+
+const ROLES = {
+    IMPOSTER: 'imposter',
+    CREWMATE: 'crewmate'
+};
+
+// 冒名者专属操作及其冷却配置项
+const IMPOSTER_ACTIONS = {
+    kill: 'killCooldownRounds',
+    sabotage: 'sabotageCooldownRounds'
+};
+
+// 每个会话的投票计时器 { sessionId: timeoutId }
+const meetingTimers = {};
+
+// 自增序号，用于生成会议ID
+let meetingSeq = 0;
+
+/**
+ * 向会话广播消息
+ * @param {string} sessionId - 会话ID
+ * @param {object} message - 消息对象
+ */
+function broadcastToSession(sessionId, message) {
+    // 延迟引入 wsApp，避免与 wsApp 之间的循环依赖
+    const wsApp = require('../wsApp');
+    wsApp.broadcastToSession(sessionId, message);
+}
+
+/**
+ * 向指定玩家私发消息
+ * @param {Array<string>} playerIds - 玩家ID列表
+ * @param {object} message - 消息对象
+ */
+function sendToPlayers(playerIds, message) {
+    const wsApp = require('../wsApp');
+    playerIds.forEach(id => wsApp.sendToClient(id, message));
+}
+
+/**
+ * 获取会话中存活 (未淘汰) 的玩家ID
+ * @param {object} session - 会话对象
+ * @returns {Array<string>}
+ */
+function getAlivePlayerIds(session) {
+    return Object.keys(session.players).filter(id => session.players[id].status !== 'eliminated');
+}
+
+/**
+ * 获取会话中的冒名者ID (包括已出局的)
+ * @param {object} session - 会话对象
+ * @returns {Array<string>}
+ */
+function getImposterIds(session) {
+    const { roles } = session.imposter;
+    return Object.keys(roles).filter(id => roles[id] === ROLES.IMPOSTER);
+}
+
+/**
+ * 生成玩家自己可以知道的身份信息 (冒名者可以看到同伴)
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @returns {object|null} { role, imposters? }，身份未分配时返回 null
+ */
+function getRoleInfo(session, playerId) {
+    const role = session && session.imposter && session.imposter.roles[playerId];
+    if (!role) {
+        return null;
+    }
+    return role === ROLES.IMPOSTER ? { role, imposters: getImposterIds(session) } : { role };
+}
+
+/**
+ * 私发玩家的身份
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ */
+function sendRole(session, playerId) {
+    sendToPlayers([playerId], {
+        type: 'ROLE_ASSIGNED',
+        data: { sessionId: session.sessionId, ...getRoleInfo(session, playerId) }
+    });
+}
+
+/**
+ * 按玩家人数计算冒名者人数：每 playersPerImposter 名玩家一名冒名者 (至少一名)
+ * @param {number} playerCount - 玩家人数
+ * @returns {number} 冒名者人数
+ */
+function getImposterCount(playerCount) {
+    return Math.max(1, Math.floor(playerCount / config.imposter.playersPerImposter));
+}
+
+/**
+ * 检查玩家人数是否足以开始冒名者模式：至少需要 2 × 冒名者人数 + 1 名玩家，
+ * 否则分配身份时冒名者人数已经不少于船员，冒名者立即获胜
+ * @param {number} playerCount - 玩家人数
+ * @returns {object|null} 人数不足时返回错误对象 { error, message }
+ */
+function checkPlayerCount(playerCount) {
+    const minPlayers = 2 * getImposterCount(playerCount) + 1;
+    if (playerCount < minPlayers) {
+        return { error: 'NOT_ENOUGH_PLAYERS', message: `冒名者模式至少需要 ${minPlayers} 名玩家，当前 ${playerCount} 名` };
+    }
+    return null;
+}
+
+/**
+ * 为会话中的玩家秘密分配身份：每 playersPerImposter 名玩家一名冒名者 (至少一名)
+ * 人数不足 (checkPlayerCount) 时不分配身份，直接结束会话
+ * @param {string} sessionId - 会话ID
+ * @param {Function} [random=Math.random] - 随机数函数
+ * @returns {boolean} 是否完成分配 (非冒名者模式、已分配过或人数不足时返回 false)
+ */
+function assignRoles(sessionId, random = Math.random) {
+    const session = multiplayerHandler.activeSessions[sessionId];
+    if (!session || session.gameMode !== IMPOSTER_MODE || session.imposter || session.status !== 'playing') {
+        return false;
+    }
+
+    const playerIds = getAlivePlayerIds(session);
+    const countError = checkPlayerCount(playerIds.length);
+    if (countError) {
+        console.warn(`[ImposterMode] 会话 ${sessionId} 无法分配身份: ${countError.message}`);
+        multiplayerHandler.endSession(sessionId, null, countError.error);
+        return false;
+    }
+
+    const shuffled = [...playerIds];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const imposterCount = getImposterCount(playerIds.length);
+    const imposters = shuffled.slice(0, imposterCount);
+
+    session.imposter = {
+        roles: {}, // { playerId: role }
+        assignedAt: Date.now(),
+        meeting: null, // 进行中的紧急会议
+        meetingsCalled: {}, // { playerId: 已召开次数 }
+        cooldowns: {} // { playerId: { action: readyAtRound } }
+    };
+    playerIds.forEach(id => {
+        session.imposter.roles[id] = imposters.includes(id) ? ROLES.IMPOSTER : ROLES.CREWMATE;
+    });
+    // 开局所有人都在出生点，冒名者的操作先进入一次冷却，避免第一轮就击杀
+    imposters.forEach(id => {
+        session.imposter.cooldowns[id] = {};
+        Object.keys(IMPOSTER_ACTIONS).forEach(action => {
+            session.imposter.cooldowns[id][action] = session.round + config.imposter[IMPOSTER_ACTIONS[action]];
+        });
+    });
+
+    console.log(`[ImposterMode] 会话 ${sessionId} 已分配身份，${playerIds.length} 名玩家中有 ${imposterCount} 名冒名者`);
+    playerIds.forEach(id => sendRole(session, id));
+    broadcastToSession(sessionId, {
+        type: 'ROLES_ASSIGNED',
+        data: { sessionId, playerCount: playerIds.length, imposterCount }
+    });
+
+    checkWinCondition(sessionId);
+    return true;
+}
+
+/**
+ * 玩家加入冒名者模式会话后调用：房间里的玩家都加入后分配身份，身份分配后才加入的玩家成为普通船员
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 刚加入的玩家ID
+ * @param {Array<string>} expectedPlayerIds - 应当加入会话的玩家 (房间中的真人玩家)
+ */
+function handlePlayerJoined(sessionId, playerId, expectedPlayerIds) {
+    const session = multiplayerHandler.activeSessions[sessionId];
+    if (!session || session.gameMode !== IMPOSTER_MODE) {
+        return;
+    }
+
+    if (session.imposter) {
+        if (!session.imposter.roles[playerId]) {
+            session.imposter.roles[playerId] = ROLES.CREWMATE;
+        }
+        sendRole(session, playerId);
+        return;
+    }
+
+    if (expectedPlayerIds.length > 0 && expectedPlayerIds.every(id => session.players[id])) {
+        assignRoles(sessionId);
+    }
+}
+
+/**
+ * 判断获胜阵营：冒名者全部出局时船员获胜，冒名者人数不少于其他存活玩家时冒名者获胜
+ * @param {object} session - 会话对象
+ * @returns {string|null} 获胜的身份 (ROLES)，尚未分出胜负或身份未分配时返回 null
+ */
+function getWinningRole(session) {
+    if (!session || !session.imposter) {
+        return null;
+    }
+    const alive = getAlivePlayerIds(session);
+    const aliveImposters = alive.filter(id => session.imposter.roles[id] === ROLES.IMPOSTER).length;
+    if (aliveImposters === 0) {
+        return ROLES.CREWMATE;
+    }
+    return aliveImposters >= alive.length - aliveImposters ? ROLES.IMPOSTER : null;
+}
+
+/**
+ * 检查会话是否分出胜负，分出胜负时公开所有身份并结束会话
+ * @param {string} sessionId - 会话ID
+ * @returns {string|null} 获胜的身份
+ */
+function checkWinCondition(sessionId) {
+    const session = multiplayerHandler.activeSessions[sessionId];
+    if (!session || session.status !== 'playing') {
+        return null;
+    }
+    const winningRole = getWinningRole(session);
+    if (!winningRole) {
+        return null;
+    }
+
+    clearSession(sessionId);
+    session.imposter.meeting = null;
+    const { roles } = session.imposter;
+    console.log(`[ImposterMode] 会话 ${sessionId} 分出胜负，获胜身份: ${winningRole}`);
+    broadcastToSession(sessionId, {
+        type: 'IMPOSTER_GAME_OVER',
+        data: {
+            sessionId,
+            winningRole,
+            winners: Object.keys(roles).filter(id => roles[id] === winningRole),
+            roles
+        }
+    });
+    multiplayerHandler.endSession(sessionId, null, winningRole === ROLES.IMPOSTER ? 'IMPOSTERS_WIN' : 'CREWMATES_WIN');
+    return winningRole;
+}
+
+/**
+ * 判断会话是否正在开紧急会议 (会议期间不能移动、使用技能或执行冒名者操作，回合计时暂停)
+ * @param {object} session - 会话对象
+ * @returns {boolean}
+ */
+function isMeetingInProgress(session) {
+    return !!(session && session.imposter && session.imposter.meeting);
+}
+
+/**
+ * 校验玩家是否可以参与冒名者模式的操作
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @returns {object} 成功返回 { session }，失败返回错误对象 { error, message }
+ */
+function checkParticipant(sessionId, playerId) {
+    const session = multiplayerHandler.activeSessions[sessionId];
+    const player = session && session.players[playerId];
+    if (!player) {
+        return { error: 'NOT_IN_SESSION', message: '你不在该游戏会话中' };
+    }
+    if (session.status !== 'playing') {
+        return { error: 'SESSION_ENDED', message: '游戏已经结束' };
+    }
+    if (!session.imposter) {
+        return { error: 'ROLES_NOT_ASSIGNED', message: '身份尚未分配' };
+    }
+    if (player.status === 'eliminated') {
+        return { error: 'PLAYER_ELIMINATED', message: '你已出局' };
+    }
+    return { session };
+}
+
+/**
+ * 执行冒名者专属操作 (只能在自己的回合执行，不会结束回合)
+ * - kill: 击杀与自己在同一房间的非冒名者玩家
+ * - sabotage: 在自己所在的房间布置一个陷阱
+ * 操作只私发给冒名者 (IMPOSTER_ACTION)，其他玩家只能看到击杀造成的 PLAYER_ELIMINATED
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {string} action - 操作 (IMPOSTER_ACTIONS)
+ * @param {object} [target={}] - { targetPlayerId }
+ * @returns {object} 成功返回 { action }，失败返回错误对象 { error, message }
+ */
+function performImposterAction(sessionId, playerId, action, target = {}) {
+    const { session, error, message } = checkParticipant(sessionId, playerId);
+    if (error) {
+        return { error, message };
+    }
+    if (session.imposter.roles[playerId] !== ROLES.IMPOSTER) {
+        return { error: 'NOT_IMPOSTER', message: '只有冒名者可以执行该操作' };
+    }
+    if (!IMPOSTER_ACTIONS[action]) {
+        return { error: 'INVALID_ACTION', message: `不支持的操作: ${action}` };
+    }
+    if (isMeetingInProgress(session)) {
+        return { error: 'MEETING_IN_PROGRESS', message: '紧急会议中不能行动' };
+    }
+    if (session.currentTurn !== playerId) {
+        return { error: 'NOT_YOUR_TURN', message: '只能在自己的回合行动' };
+    }
+    const cooldowns = session.imposter.cooldowns[playerId] || {};
+    if (cooldowns[action] && session.round < cooldowns[action]) {
+        return { error: 'ACTION_ON_COOLDOWN', message: `冷却中，第 ${cooldowns[action]} 轮可以再次使用` };
+    }
+
+    const player = session.players[playerId];
+    const payload = { sessionId, playerId, action, round: session.round };
+
+    if (action === 'kill') {
+        const victimId = target.targetPlayerId;
+        const victim = victimId && session.players[victimId];
+        if (!victim || victim.status === 'eliminated' || session.imposter.roles[victimId] === ROLES.IMPOSTER) {
+            return { error: 'INVALID_TARGET', message: '目标无效' };
+        }
+        if (victim.position.x !== player.position.x || victim.position.y !== player.position.y) {
+            return { error: 'INVALID_TARGET', message: '只能击杀同一房间的玩家' };
+        }
+        payload.targetPlayerId = victimId;
+    } else {
+        const room = multiplayerHandler.findRoomAt(session._internalRooms, player.position.x, player.position.y);
+        if (!room || room.hasTrap || room.isExit) {
+            return { error: 'INVALID_TARGET', message: '不能在这个房间布置陷阱' };
+        }
+        room.hasTrap = true;
+        payload.roomId = room.id;
+    }
+
+    session.imposter.cooldowns[playerId] = {
+        ...cooldowns,
+        [action]: session.round + config.imposter[IMPOSTER_ACTIONS[action]]
+    };
+    payload.readyAtRound = session.imposter.cooldowns[playerId][action];
+    console.log(`[ImposterMode] 冒名者 ${playerId} 在会话 ${sessionId} 执行了 ${action}`);
+    sendToPlayers(getImposterIds(session), { type: 'IMPOSTER_ACTION', data: payload });
+
+    if (action === 'kill') {
+        // 淘汰后会检查胜负
+        multiplayerHandler.eliminatePlayer(sessionId, payload.targetPlayerId, 'KILLED');
+    }
+    return { action: payload };
+}
+
+/**
+ * 召开紧急会议：暂停回合计时，存活玩家在 votingDurationMs 内投票
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 召集者ID
+ * @returns {object} 成功返回 { meeting }，失败返回错误对象 { error, message }
+ */
+function callMeeting(sessionId, playerId) {
+    const { session, error, message } = checkParticipant(sessionId, playerId);
+    if (error) {
+        return { error, message };
+    }
+    if (isMeetingInProgress(session)) {
+        return { error: 'MEETING_IN_PROGRESS', message: '紧急会议已经在进行中' };
+    }
+    const called = session.imposter.meetingsCalled[playerId] || 0;
+    if (called >= config.imposter.meetingsPerPlayer) {
+        return { error: 'NO_MEETINGS_LEFT', message: '你的紧急会议次数已用完' };
+    }
+
+    const now = Date.now();
+    const meeting = {
+        meetingId: `meeting_${++meetingSeq}`,
+        calledBy: playerId,
+        voters: getAlivePlayerIds(session),
+        votes: {}, // { voterId: targetPlayerId | null (弃票) }
+        startedAt: now,
+        endsAt: now + config.imposter.votingDurationMs
+    };
+    session.imposter.meeting = meeting;
+    session.imposter.meetingsCalled[playerId] = called + 1;
+    multiplayerHandler.pauseTurnTimer(sessionId);
+    meetingTimers[sessionId] = setTimeout(() => {
+        delete meetingTimers[sessionId];
+        resolveMeeting(sessionId);
+    }, config.imposter.votingDurationMs);
+
+    console.log(`[ImposterMode] 玩家 ${playerId} 在会话 ${sessionId} 召开紧急会议 ${meeting.meetingId}`);
+    const payload = {
+        sessionId,
+        meetingId: meeting.meetingId,
+        calledBy: playerId,
+        candidates: meeting.voters,
+        endsAt: meeting.endsAt
+    };
+    broadcastToSession(sessionId, { type: 'MEETING_STARTED', data: payload });
+    return { meeting: payload };
+}
+
+/**
+ * 在紧急会议中投票，targetPlayerId 为空表示弃票；每人只能投一次，所有存活玩家投完后立即结算
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 投票者ID
+ * @param {string|null} [targetPlayerId=null] - 被投票的玩家ID
+ * @returns {object} 成功返回 { vote }，失败返回错误对象 { error, message }
+ */
+function castVote(sessionId, playerId, targetPlayerId = null) {
+    const { session, error, message } = checkParticipant(sessionId, playerId);
+    if (error) {
+        return { error, message };
+    }
+    const { meeting } = session.imposter;
+    if (!meeting) {
+        return { error: 'NO_MEETING', message: '当前没有紧急会议' };
+    }
+    if (!meeting.voters.includes(playerId)) {
+        return { error: 'NOT_A_VOTER', message: '你不能在这次会议中投票' };
+    }
+    if (meeting.votes[playerId] !== undefined) {
+        return { error: 'ALREADY_VOTED', message: '你已经投过票了' };
+    }
+    if (targetPlayerId !== null && !meeting.voters.includes(targetPlayerId)) {
+        return { error: 'INVALID_TARGET', message: '只能投票给参加会议的玩家' };
+    }
+
+    meeting.votes[playerId] = targetPlayerId;
+    const votedCount = Object.keys(meeting.votes).length;
+    // 投票对象在会议结束时才公开
+    const vote = { sessionId, meetingId: meeting.meetingId, voterId: playerId, votedCount, voterCount: meeting.voters.length };
+    broadcastToSession(sessionId, { type: 'VOTE_CAST', data: vote });
+
+    if (votedCount === meeting.voters.length) {
+        resolveMeeting(sessionId);
+    }
+    return { vote };
+}
+
+/**
+ * 结算紧急会议：得票最多且不与其他玩家 (或弃票) 并列的玩家被放逐
+ * @param {string} sessionId - 会话ID
+ */
+function resolveMeeting(sessionId) {
+    const session = multiplayerHandler.activeSessions[sessionId];
+    if (!isMeetingInProgress(session) || session.status !== 'playing') {
+        return;
+    }
+    const { meeting } = session.imposter;
+    clearSession(sessionId);
+    session.imposter.meeting = null;
+
+    // 弃票计入 skip，与最高票并列时不放逐任何人
+    const tally = {};
+    Object.values(meeting.votes).forEach(targetId => {
+        const key = targetId || 'skip';
+        tally[key] = (tally[key] || 0) + 1;
+    });
+    const ranked = Object.entries(tally).sort((a, b) => b[1] - a[1]);
+    const isTie = ranked.length > 1 && ranked[0][1] === ranked[1][1];
+    const ejectedId = ranked.length > 0 && !isTie && ranked[0][0] !== 'skip' ? ranked[0][0] : null;
+
+    console.log(`[ImposterMode] 会话 ${sessionId} 的紧急会议 ${meeting.meetingId} 结束，放逐: ${ejectedId}`);
+    broadcastToSession(sessionId, {
+        type: 'MEETING_ENDED',
+        data: {
+            sessionId,
+            meetingId: meeting.meetingId,
+            votes: meeting.votes,
+            tally,
+            ejectedId,
+            ejectedRole: ejectedId ? session.imposter.roles[ejectedId] : null
+        }
+    });
+
+    if (ejectedId) {
+        // 淘汰后会检查胜负
+        multiplayerHandler.eliminatePlayer(sessionId, ejectedId, 'VOTED_OUT');
+    }
+    if (session.status === 'playing') {
+        multiplayerHandler.resumeTurnTimer(sessionId, 'MEETING_ENDED');
+    }
+}
+
+/**
+ * 停止会话的投票计时器 (分出胜负、会话结束或被清理时调用)
+ * @param {string} sessionId - 会话ID
+ */
+function clearSession(sessionId) {
+    if (meetingTimers[sessionId]) {
+        clearTimeout(meetingTimers[sessionId]);
+        delete meetingTimers[sessionId];
+    }
+}
+
+module.exports = {
+    IMPOSTER_MODE,
+    ROLES,
+    IMPOSTER_ACTIONS,
+    getImposterCount,
+    checkPlayerCount,
+    assignRoles,
+    handlePlayerJoined,
+    getRoleInfo,
+    checkWinCondition,
+    isMeetingInProgress,
+    performImposterAction,
+    callMeeting,
+    castVote,
+    clearSession
+};
@@ -0,0 +1,212 @@
+/**
+ * 物品目录和掉落表
+ * 掉落表按房间类型注册，可以为某个游戏模式注册覆盖表；
+ * multiplayer_handler 在创建会话时按掉落表往房间里放置物品，/api/game/items 的物品目录也来自这里
+ */
+
+// 物品目录 { itemId: definition }，type/powerupType/toolType 与 gameManager 使用物品时的字段一致
+const items = new Map();
+
+// 掉落表 { `${gameMode}:${roomType}`: table }，gameMode 为 * 表示所有模式通用
+const lootTables = new Map();
+
+// 通用掉落表的游戏模式标记
+const ANY_MODE = '*';
+
+/**
+ * 注册物品定义
+ * @param {Object} definition 物品定义
+ * @param {string} definition.id 物品ID
+ * @param {string} definition.type 物品类型 (key / treasure / powerup / tool)
+ * @param {string} definition.name 物品名称
+ * @param {string} [definition.description] 物品描述
+ * @param {number} [definition.rarity=1] 稀有度
+ * @returns {Object} 注册后的物品定义
+ */
+function registerItem(definition) {
+  const { id, type, name } = definition || {};
+  if (!id || !type || !name) {
+    throw new Error('物品定义缺少必要字段 (id, type, name)');
+  }
+
+  const registered = {
+    description: '',
+    rarity: 1,
+    ...definition
+  };
+  items.set(id, registered);
+  return registered;
+}
+
+/**
+ * 注册掉落表
+ * @param {string} roomType 房间类型 (与地图定义 roomTypes 中的 type 对应)
+ * @param {Object} table 掉落表
+ * @param {number} [table.rolls=1] 每个房间掉落判定的次数
+ * @param {number} table.chance 每次判定掉落物品的概率 (0-1)
+ * @param {Array} table.entries 可能掉落的物品及权重 [{ itemId, weight }]
+ * @param {string} [gameMode] 只对该游戏模式生效，不传则为通用掉落表
+ * @returns {Object} 注册后的掉落表
+ */
+function registerLootTable(roomType, table, gameMode = ANY_MODE) {
+  const { chance, entries } = table || {};
+  if (!roomType || typeof chance !== 'number' || !Array.isArray(entries) || entries.length === 0) {
+    throw new Error('掉落表缺少必要字段 (roomType, chance, entries)');
+  }
+  const unknown = entries.find(entry => !items.has(entry.itemId));
+  if (unknown) {
+    throw new Error(`掉落表 ${roomType} 引用了不存在的物品 ${unknown.itemId}`);
+  }
+
+  const registered = { rolls: 1, ...table, roomType, gameMode };
+  lootTables.set(`${gameMode}:${roomType}`, registered);
+  return registered;
+}
+
+/**
+ * 获取房间类型在某个游戏模式下的掉落表，模式没有覆盖表时使用通用掉落表
+ * @param {string} roomType 房间类型
+ * @param {string} [gameMode] 游戏模式
+ * @returns {Object|null} 掉落表，该房间类型没有掉落时返回 null
+ */
+function getLootTable(roomType, gameMode) {
+  return lootTables.get(`${gameMode}:${roomType}`) || lootTables.get(`${ANY_MODE}:${roomType}`) || null;
+}
+
+/**
+ * 按权重从掉落表中选择一个物品
+ * @param {Array} entries 掉落项 [{ itemId, weight }]
+ * @param {Function} random 随机数函数
+ * @returns {string} 物品ID
+ */
+function pickEntry(entries, random) {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = random() * totalWeight;
+  for (const entry of entries) {
+    roll -= entry.weight;
+    if (roll < 0) {
+      return entry.itemId;
+    }
+  }
+  return entries[entries.length - 1].itemId;
+}
+
+/**
+ * 为一个房间生成掉落物品
+ * @param {Object} room 房间对象 { id, type }
+ * @param {string} gameMode 游戏模式
+ * @param {Function} [random=Math.random] 随机数函数 (传入种子随机数可以复现掉落)
+ * @returns {Array<Object>} 物品实例 [{ id, itemId, type, name, ... }]
+ */
+function rollLoot(room, gameMode, random = Math.random) {
+  const table = getLootTable(room.type, gameMode);
+  if (!table) {
+    return [];
+  }
+
+  const loot = [];
+  for (let i = 0; i < table.rolls; i++) {
+    if (random() < table.chance) {
+      const definition = items.get(pickEntry(table.entries, random));
+      const { id: itemId, description, rarity, ...fields } = definition;
+      loot.push({ ...fields, id: `${itemId}_${room.id}_${loot.length}`, itemId });
+    }
+  }
+  return loot;
+}
+
+/**
+ * 列出物品目录 (供 /api/game/items 使用)，foundIn 为会掉落该物品的房间类型
+ * @returns {Array} 物品列表
+ */
+function listItems() {
+  return Array.from(items.values()).map(item => {
+    const foundIn = new Set();
+    lootTables.forEach(table => {
+      if (table.entries.some(entry => entry.itemId === item.id)) {
+        foundIn.add(table.roomType);
+      }
+    });
+    return { ...item, foundIn: Array.from(foundIn) };
+  });
+}
+
+// === 内置物品 ===
+
+// 钥匙不在掉落表中，只出现在梦魇模式的钥匙房间
+registerItem({ id: 'key', type: 'key', name: '钥匙', description: '可以打开上锁的出口', rarity: 1 });
+registerItem({ id: 'flashlight', type: 'tool', toolType: 'flashlight', name: '手电筒', description: '可以照亮黑暗区域', rarity: 1 });
+registerItem({ id: 'old_map', type: 'tool', toolType: 'map', name: '残破的地图', description: '可以显示部分区域', rarity: 2 });
+registerItem({ id: 'detector', type: 'tool', toolType: 'detector', name: '探测器', description: '可以探测附近的物品', rarity: 3 });
+registerItem({ id: 'speed_potion', type: 'powerup', powerupType: 'speed', name: '疾跑药水', description: '短时间内提升移动速度', rarity: 2 });
+registerItem({ id: 'vision_potion', type: 'powerup', powerupType: 'vision', name: '夜视药水', description: '短时间内扩大视野', rarity: 2 });
+registerItem({ id: 'amulet', type: 'powerup', powerupType: 'shield', name: '护身符', description: '可以抵御一次伤害', rarity: 3 });
+registerItem({ id: 'coin_pouch', type: 'treasure', name: '钱袋', description: '收集可以获得额外分数', rarity: 1 });
+registerItem({ id: 'gold_idol', type: 'treasure', name: '金色神像', description: '珍贵的宝藏，收集可以获得大量分数', rarity: 3 });
+
+// === 内置掉落表 ===
+
+registerLootTable('storage', {
+  rolls: 2,
+  chance: 0.6,
+  entries: [
+    { itemId: 'flashlight', weight: 3 },
+    { itemId: 'old_map', weight: 2 },
+    { itemId: 'detector', weight: 1 },
+    { itemId: 'coin_pouch', weight: 3 },
+    { itemId: 'gold_idol', weight: 0.5 }
+  ]
+});
+
+registerLootTable('bedroom', {
+  chance: 0.35,
+  entries: [
+    { itemId: 'amulet', weight: 1 },
+    { itemId: 'vision_potion', weight: 2 },
+    { itemId: 'coin_pouch', weight: 2 }
+  ]
+});
+
+registerLootTable('gameroom', {
+  chance: 0.3,
+  entries: [
+    { itemId: 'speed_potion', weight: 2 },
+    { itemId: 'coin_pouch', weight: 2 },
+    { itemId: 'gold_idol', weight: 0.5 }
+  ]
+});
+
+registerLootTable('corridor', {
+  chance: 0.1,
+  entries: [
+    { itemId: 'flashlight', weight: 1 },
+    { itemId: 'coin_pouch', weight: 2 }
+  ]
+});
+
+// 梦魇模式：物资更少，但杂物间更容易找到护身符
+registerLootTable('storage', {
+  rolls: 2,
+  chance: 0.45,
+  entries: [
+    { itemId: 'flashlight', weight: 3 },
+    { itemId: 'amulet', weight: 2 },
+    { itemId: 'detector', weight: 1 },
+    { itemId: 'gold_idol', weight: 0.5 }
+  ]
+}, '梦魇模式');
+
+registerLootTable('corridor', {
+  chance: 0.05,
+  entries: [
+    { itemId: 'flashlight', weight: 1 }
+  ]
+}, '梦魇模式');
+
+module.exports = {
+  registerItem,
+  registerLootTable,
+  getLootTable,
+  rollLoot,
+  listItems
+};
@@ -0,0 +1,161 @@
+/**
+ * 地图生成器注册表
+ * 每张地图定义自己的网格尺寸、出生点、房间类型权重和特殊房间，
+ * multiplayer_handler 根据房间的 mapId 选择对应的定义来生成地图
+ */
+
+// 已注册的地图定义 { mapId: definition }
+const maps = new Map();
+
+// 未指定或找不到 mapId 时使用的地图
+const DEFAULT_MAP_ID = 'default';
+
+/**
+ * 注册地图生成器定义
+ * @param {Object} definition 地图定义
+ * @param {string} definition.id 地图ID
+ * @param {string} definition.name 地图名称
+ * @param {string} [definition.description] 地图描述
+ * @param {number} [definition.difficulty=1] 难度
+ * @param {number} definition.width 网格宽度
+ * @param {number} definition.height 网格高度
+ * @param {Object} definition.spawn 出生点 {x, y}
+ * @param {Array} definition.roomTypes 普通房间类型及权重 [{type, name, weight}]
+ * @param {number} [definition.trapChance=0] 梦魇模式下走廊出现陷阱的概率
+ * @param {Object} definition.specialRooms 特殊房间名称 { spawn: {type, name}, exit: {name}, key: {name} }
+ * @returns {Object} 注册后的地图定义
+ */
+function registerMap(definition) {
+  const { id, width, height, spawn, roomTypes } = definition || {};
+
+  if (!id || !width || !height || !spawn || !Array.isArray(roomTypes) || roomTypes.length === 0) {
+    throw new Error('地图定义缺少必要字段 (id, width, height, spawn, roomTypes)');
+  }
+  if (spawn.x < 0 || spawn.x >= width || spawn.y < 0 || spawn.y >= height) {
+    throw new Error(`地图 ${id} 的出生点超出网格范围`);
+  }
+
+  const registered = {
+    difficulty: 1,
+    trapChance: 0,
+    description: '',
+    ...definition
+  };
+  maps.set(id, registered);
+  return registered;
+}
+
+/**
+ * 检查地图是否已注册
+ * @param {string} mapId 地图ID
+ * @returns {boolean} 是否存在
+ */
+function hasMap(mapId) {
+  return maps.has(mapId);
+}
+
+/**
+ * 获取地图定义，找不到时回退到默认地图
+ * @param {string} mapId 地图ID
+ * @returns {Object} 地图定义
+ */
+function getMap(mapId) {
+  if (mapId && maps.has(mapId)) {
+    return maps.get(mapId);
+  }
+  if (mapId && mapId !== DEFAULT_MAP_ID) {
+    console.warn(`[MapRegistry] 地图 ${mapId} 不存在，使用默认地图`);
+  }
+  return maps.get(DEFAULT_MAP_ID);
+}
+
+/**
+ * 列出所有可用地图的概要信息 (供 /api/game/maps 使用)
+ * @returns {Array} 地图列表
+ */
+function listMaps() {
+  return Array.from(maps.values()).map(map => ({
+    id: map.id,
+    name: map.name,
+    description: map.description,
+    difficulty: map.difficulty,
+    width: map.width,
+    height: map.height
+  }));
+}
+
+// === 内置地图 ===
+
+registerMap({
+  id: 'default',
+  name: '默认地图',
+  description: '7x7 的小屋，从中央大厅出发寻找出口',
+  difficulty: 1,
+  width: 7,
+  height: 7,
+  spawn: { x: 3, y: 3 },
+  roomTypes: [
+    { type: 'bedroom', name: '长眠的睡房', weight: 1 },
+    { type: 'gameroom', name: '任性的游戏室', weight: 1.5 },
+    { type: 'corridor', name: '普通走廊', weight: 3 },
+    { type: 'storage', name: '宝藏的杂物间', weight: 1.5 }
+  ],
+  trapChance: 0.3,
+  specialRooms: {
+    spawn: { type: 'hall', name: '大厅' },
+    exit: { name: '出口' },
+    key: { name: '神秘密室' }
+  }
+});
+
+registerMap({
+  id: 'mansion',
+  name: '神秘大宅',
+  description: '9x9 的大宅，卧室和杂物间更多，出口通常离门厅更远',
+  difficulty: 2,
+  width: 9,
+  height: 9,
+  spawn: { x: 4, y: 4 },
+  roomTypes: [
+    { type: 'bedroom', name: '落灰的客房', weight: 2 },
+    { type: 'gameroom', name: '废弃的琴房', weight: 1 },
+    { type: 'corridor', name: '幽暗长廊', weight: 3 },
+    { type: 'storage', name: '堆满旧物的阁楼', weight: 2 }
+  ],
+  trapChance: 0.35,
+  specialRooms: {
+    spawn: { type: 'hall', name: '门厅' },
+    exit: { name: '后门' },
+    key: { name: '书房密室' }
+  }
+});
+
+registerMap({
+  id: 'lab',
+  name: '废弃实验室',
+  description: '走廊密布的实验室，从西侧入口出发，陷阱更多',
+  difficulty: 3,
+  width: 8,
+  height: 6,
+  spawn: { x: 1, y: 3 },
+  roomTypes: [
+    { type: 'bedroom', name: '值班休息室', weight: 0.5 },
+    { type: 'gameroom', name: '实验操作间', weight: 1.5 },
+    { type: 'corridor', name: '通风管道', weight: 4 },
+    { type: 'storage', name: '样本仓库', weight: 1.5 }
+  ],
+  trapChance: 0.45,
+  specialRooms: {
+    spawn: { type: 'hall', name: '入口大厅' },
+    exit: { name: '紧急出口' },
+    key: { name: '主控室' }
+  }
+});
+
+module.exports = {
+  DEFAULT_MAP_ID,
+  registerMap,
+  hasMap,
+  getMap,
+  listMaps
+};
@@ -5,6 +5,34 @@ const activeSessions = {};
 
 // ---> 新增：引入 sessionManager <--- 
 const sessionManager = require('../managers/sessionManager'); 
+const config = require('../config');
+const { normalizeSeed, createSeededRandom } = require('../utils/helpers');
+const mapRegistry = require('./mapRegistry');
+const lootTables = require('./lootTables');
+const effectEngine = require('./effectEngine');
+const heroes = require('./heroes');
+const chatManager = require('../managers/chatManager');
+
+// 回合超时计时器 { sessionId: Timeout }，单独存放以免混入会话状态
+const turnTimers = {};
+
+// 断线重连宽限计时器 { playerId: Timeout }，到期后玩家才真正离开会话
+const disconnectTimers = {};
+
+// 陷阱基础伤害
+const TRAP_DAMAGE = 1;
+
+// 地图校验失败时的最大生成次数
+const MAP_GENERATION_MAX_ATTEMPTS = 10;
+
+/**
+ * 获取冒名者模式模块
+ * @returns {object} imposterMode
+ */
+function getImposterMode() {
+    // 延迟引入 imposterMode，避免循环依赖 (imposterMode 依赖本模块)
+    return require('./imposterMode');
+}
 
 // === [新增] 从 roomLogic.js 复制或改编的地图生成逻辑 ===
 
@@ -28,11 +56,22 @@ function getOppositeDirection(direction) {
     return oppositeMap[direction] || '';
 }
 
-// 洗牌函数 (Fisher-Yates shuffle)
-const shuffle = (array) => {
+// 房间类型到 tiles 网格数值的映射
+const TILE_VALUES = {
+    'hall': 1,
+    'bedroom': 2,
+    'gameroom': 3,
+    'corridor': 4,
+    'storage': 5,
+    'exit': 6,
+    'keyroom': 7
+};
+
+// 洗牌函数 (Fisher-Yates shuffle)，random 为可复现的随机数函数
+const shuffle = (array, random = Math.random) => {
   let currentIndex = array.length, temporaryValue, randomIndex;
   while (currentIndex !== 0) {
-    randomIndex = Math.floor(Math.random() * currentIndex);
+    randomIndex = Math.floor(random() * currentIndex);
     currentIndex -= 1;
     temporaryValue = array[currentIndex];
     array[currentIndex] = array[randomIndex];
@@ -42,20 +81,20 @@ const shuffle = (array) => {
 };
 
 // 根据权重选择随机房间类型
-const selectRandomRoomType = function(roomTypes, totalWeight) {
-  let random = Math.random() * totalWeight;
+const selectRandomRoomType = function(roomTypes, totalWeight, random = Math.random) {
+  let roll = random() * totalWeight;
   for (const roomType of roomTypes) {
-    if (random < roomType.weight) {
+    if (roll < roomType.weight) {
       return roomType;
     }
-    random -= roomType.weight;
+    roll -= roomType.weight;
   }
   // Fallback in case of rounding errors
   return roomTypes[roomTypes.length - 1];
 };
 
 // 生成随机出口
-const generateRandomExits = function(roomType) {
+const generateRandomExits = function(roomType, random = Math.random) {
   const maxExits = 3; // 普通房间最多3个出口
   const minExits = 1; // 至少1个出口
   let numExits;
@@ -66,17 +105,17 @@ const generateRandomExits = function(roomType) {
           numExits = 4; // 大厅固定4个出口
           break;
       case 'corridor':
-          numExits = Math.floor(Math.random() * (maxExits - minExits + 1)) + minExits; // 走廊1-3个出口
+          numExits = Math.floor(random() * (maxExits - minExits + 1)) + minExits; // 走廊1-3个出口
           break;
       case 'exit':
       case 'keyroom': // 钥匙房和出口由外部设定出口
           return []; // 返回空数组，由外部逻辑处理
       default:
-          numExits = Math.floor(Math.random() * (maxExits - minExits + 1)) + minExits; // 其他特殊房间1-3个出口
+          numExits = Math.floor(random() * (maxExits - minExits + 1)) + minExits; // 其他特殊房间1-3个出口
   }
 
   const allDirections = ['up', 'down', 'left', 'right'];
-  return shuffle(allDirections).slice(0, numExits);
+  return shuffle(allDirections, random).slice(0, numExits);
 };
 
 // 检查房间是否相邻
@@ -96,6 +135,16 @@ const getDirection = function(fromRoom, toRoom) {
   return '';
 };
 
+// 获取某个格子在网格范围内的所有方向 (用于出生点大厅的出口)
+const getInBoundsDirections = function(x, y, width, height) {
+  return Object.keys(directionMap).filter(direction => {
+    const offset = directionMap[direction];
+    const nx = x + offset.x;
+    const ny = y + offset.y;
+    return nx >= 0 && nx < width && ny >= 0 && ny < height;
+  });
+};
+
 // 创建路径
 const createPathBetweenRooms = function(startRoom, endRoom, allRooms) {
     const path = [startRoom];
@@ -137,8 +186,8 @@ const createPathBetweenRooms = function(startRoom, endRoom, allRooms) {
     return true; // Indicate success
 };
 
-// 确保房间连接性
-const ensureRoomConnections = function(rooms) {
+// 确保房间连接性，返回所有补路尝试是否都成功
+const ensureRoomConnections = function(rooms, startRoom) {
     const roomGraph = new Map(); // Store connections { roomId: Set(connectedRoomId) }
     const allRoomIds = new Set(rooms.map(r => r.id));
     const visited = new Set();
@@ -164,11 +213,11 @@ const ensureRoomConnections = function(rooms) {
         });
     });
 
-    // Perform BFS from the center room (id should be 0 if it's the first)
-    const startNode = rooms.find(r => r.x === 3 && r.y === 3); // Center room
+    // Perform BFS from the spawn room
+    const startNode = startRoom;
     if (!startNode) {
-        console.error("ensureRoomConnections: Cannot find center room!");
-        return; // Cannot proceed without a start node
+        console.error("ensureRoomConnections: Cannot find spawn room!");
+        return false; // Cannot proceed without a start node
     }
 
     queue.push(startNode.id);
@@ -188,6 +237,7 @@ const ensureRoomConnections = function(rooms) {
 
     // Check for unconnected rooms
     const unconnectedRooms = rooms.filter(room => !visited.has(room.id));
+    let failedConnections = 0;
 
     if (unconnectedRooms.length > 0) {
         console.warn(`Found ${unconnectedRooms.length} unconnected rooms. Attempting to connect...`);
@@ -209,26 +259,25 @@ const ensureRoomConnections = function(rooms) {
             
             console.log(`Connecting room ${unconnectedRoom.id} to ${closestConnectedRoom.id}`);
             // Create a path (this function adds exits)
-            createPathBetweenRooms(unconnectedRoom, closestConnectedRoom, rooms);
+            if (!createPathBetweenRooms(unconnectedRoom, closestConnectedRoom, rooms)) {
+                failedConnections++;
+            }
         });
-        // Optionally: Re-run BFS check after connecting to ensure all are now connected
     }
-    console.log("ensureRoomConnections: Connection check complete.");
+    console.log(`ensureRoomConnections: Connection check complete. Failed connections: ${failedConnections}`);
+    return failedConnections === 0;
 };
 
-// 生成房间布局 (主函数)
-const generateRooms = function(gameMode = '竞速模式') {
+// 生成房间布局 (主函数)，相同的 seed、gameMode 和地图定义总是生成相同的地图
+const generateRooms = function(gameMode = '竞速模式', seed = normalizeSeed(), mapDef = mapRegistry.getMap()) {
+  const { width, height, spawn, specialRooms } = mapDef;
   try {
-    console.log('Backend generateRooms: 开始生成房间，游戏模式:', gameMode);
+    console.log('Backend generateRooms: 开始生成房间，游戏模式:', gameMode, '地图:', mapDef.id, '种子:', seed);
+    const random = createSeededRandom(seed);
 
   const rooms = []; // This will hold the room objects in frontend format
-  // 定义房间类型映射及其生成权重
-  const roomTypes = [
-    {type: 'bedroom', name: '长眠的睡房', weight: 1},
-    {type: 'gameroom', name: '任性的游戏室', weight: 1.5},
-    {type: 'corridor', name: '普通走廊', weight: 3},
-    {type: 'storage', name: '宝藏的杂物间', weight: 1.5}
-  ];
+  // 房间类型及其生成权重来自地图定义 (复制一份，避免修改注册表中的数据)
+  const roomTypes = mapDef.roomTypes.map(type => ({ ...type }));
 
   let keyRoomPosition = null;
   if (gameMode === '梦魇模式') {
@@ -238,103 +287,237 @@ const generateRooms = function(gameMode = '竞速模式') {
 
   const totalWeight = roomTypes.reduce((sum, type) => sum + type.weight, 0);
   let roomId = 0;
+  const isSpawn = (x, y) => x === spawn.x && y === spawn.y;
 
-  // 创建中心房间 (3,3)
-  const centerRoom = {
-    id: roomId++, x: 3, y: 3, type: 'hall', typeName: '大厅',
-    isRevealed: true, publiclyRevealed: true, exits: ['up', 'down', 'left', 'right'],
+  // 创建出生点房间
+  const spawnRoom = {
+    id: roomId++, x: spawn.x, y: spawn.y, type: specialRooms.spawn.type, typeName: specialRooms.spawn.name,
+    isRevealed: true, publiclyRevealed: true, exits: getInBoundsDirections(spawn.x, spawn.y, width, height),
     visited: false, lastVisitRound: 0, hasKey: false, hasTrap: false
   };
-  rooms.push(centerRoom);
+  rooms.push(spawnRoom);
 
-  // 随机选择出口位置
+  // 随机选择出口位置 (地图边缘)
   const outerPositions = [];
-  for (let y = 0; y < 7; y++) {
-    for (let x = 0; x < 7; x++) {
-      if ((x === 0 || x === 6 || y === 0 || y === 6) && !(x === 3 && y === 3)) {
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if ((x === 0 || x === width - 1 || y === 0 || y === height - 1) && !isSpawn(x, y)) {
         outerPositions.push({x, y});
       }
     }
   }
-  const exitPosition = outerPositions[Math.floor(Math.random() * outerPositions.length)];
+  const exitPosition = outerPositions[Math.floor(random() * outerPositions.length)];
   const exitExits = [];
   if (exitPosition.x === 0) exitExits.push('right');
-  if (exitPosition.x === 6) exitExits.push('left');
+  if (exitPosition.x === width - 1) exitExits.push('left');
   if (exitPosition.y === 0) exitExits.push('down');
-  if (exitPosition.y === 6) exitExits.push('up');
+  if (exitPosition.y === height - 1) exitExits.push('up');
 
   const exitRoom = {
-    id: roomId++, x: exitPosition.x, y: exitPosition.y, type: 'exit', typeName: '出口',
+    id: roomId++, x: exitPosition.x, y: exitPosition.y, type: 'exit', typeName: specialRooms.exit.name,
     isRevealed: false, publiclyRevealed: false, exits: exitExits,
     visited: false, lastVisitRound: 0, hasKey: false, hasTrap: false,
     isExit: true, isLocked: gameMode === '梦魇模式'
   };
   rooms.push(exitRoom);
 
-  // 梦魇模式下创建钥匙房间
+  // 梦魇模式下创建钥匙房间 (地图内圈)
   if (gameMode === '梦魇模式') {
       const innerPositions = [];
-      for (let y = 1; y < 6; y++) {
-        for (let x = 1; x < 6; x++) {
-          if (!(x === 3 && y === 3)) innerPositions.push({x, y});
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          if (!isSpawn(x, y)) innerPositions.push({x, y});
         }
       }
-      const keyPosition = innerPositions[Math.floor(Math.random() * innerPositions.length)];
+      const keyPosition = innerPositions[Math.floor(random() * innerPositions.length)];
       keyRoomPosition = keyPosition;
       const keyRoom = {
-        id: roomId++, x: keyPosition.x, y: keyPosition.y, type: 'keyroom', typeName: '神秘密室',
-        isRevealed: false, publiclyRevealed: false, exits: generateRandomExits('keyroom'), // Let ensure connections handle exits
+        id: roomId++, x: keyPosition.x, y: keyPosition.y, type: 'keyroom', typeName: specialRooms.key.name,
+        isRevealed: false, publiclyRevealed: false, exits: generateRandomExits('keyroom', random), // Let ensure connections handle exits
         visited: false, lastVisitRound: 0, hasKey: true, hasTrap: false
       };
       rooms.push(keyRoom);
     }
 
     // 生成其他房间
-    for (let y = 0; y < 7; y++) {
-      for (let x = 0; x < 7; x++) {
-        const isCenter = x === 3 && y === 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
         const isExit = x === exitPosition.x && y === exitPosition.y;
         const isKeyRoom = gameMode === '梦魇模式' && keyRoomPosition && x === keyRoomPosition.x && y === keyRoomPosition.y;
 
-        if (!isCenter && !isExit && !isKeyRoom) {
-          let roomTypeInfo = selectRandomRoomType(roomTypes, totalWeight);
+        if (!isSpawn(x, y) && !isExit && !isKeyRoom) {
+          let roomTypeInfo = selectRandomRoomType(roomTypes, totalWeight, random);
           const room = {
             id: roomId++, x: x, y: y, type: roomTypeInfo.type, typeName: roomTypeInfo.name,
-            isRevealed: false, publiclyRevealed: false, exits: generateRandomExits(roomTypeInfo.type),
+            isRevealed: false, publiclyRevealed: false, exits: generateRandomExits(roomTypeInfo.type, random),
             visited: false, lastVisitRound: 0, hasKey: false,
-            hasTrap: gameMode === '梦魇模式' && roomTypeInfo.type === 'corridor' && Math.random() < 0.3
+            hasTrap: gameMode === '梦魇模式' && roomTypeInfo.type === 'corridor' && random() < mapDef.trapChance
           };
           rooms.push(room);
         }
       }
     }
 
-    ensureRoomConnections(rooms);
+    ensureRoomConnections(rooms, spawnRoom);
 
     console.log('Backend generateRooms: 房间生成完成，总数:', rooms.length);
     return rooms; // 返回前端格式的 rooms 数组
   } catch (error) {
     console.error('Backend 生成房间时发生错误:', error);
-    // 返回包含中心房间的最小地图以避免完全失败
-    return [{
-      id: 0, x: 3, y: 3, type: 'hall', typeName: '大厅',
-      isRevealed: true, publiclyRevealed: true, exits: ['up', 'down', 'left', 'right'],
-      visited: false, lastVisitRound: 0, hasKey: false, hasTrap: false
-    }];
+    // 返回空地图，由 validateRooms 判定失败后换种子重试
+    return [];
   }
 };
 
+/**
+ * 按掉落表往房间里放置物品 (房间的 items 字段)，使用由地图种子派生的随机数，相同种子的掉落相同
+ * @param {Array} rooms - 生成的房间数组
+ * @param {string} gameMode - 游戏模式
+ * @param {number} seed - 地图种子
+ * @returns {number} 放置的物品总数
+ */
+const seedRoomItems = function(rooms, gameMode, seed) {
+    const random = createSeededRandom(normalizeSeed(`${seed}:loot`));
+    let itemCount = 0;
+    rooms.forEach(room => {
+        room.items = lootTables.rollLoot(room, gameMode, random);
+        itemCount += room.items.length;
+    });
+    return itemCount;
+};
+
+// 构建房间连通图：只有双方出口互相匹配的相邻房间才算连通
+const buildRoomGraph = function(rooms) {
+  const graph = new Map();
+  rooms.forEach(room => graph.set(room.id, []));
+  rooms.forEach(room => {
+    room.exits.forEach(direction => {
+      const offset = directionMap[direction];
+      if (!offset) return;
+      const neighbor = rooms.find(r => r.x === room.x + offset.x && r.y === room.y + offset.y);
+      if (neighbor && neighbor.exits.includes(getOppositeDirection(direction))) {
+        graph.get(room.id).push(neighbor.id);
+      }
+    });
+  });
+  return graph;
+};
+
+/**
+ * 校验生成的地图是否可解
+ * 出生点、出口以及梦魇模式下的钥匙房必须通过互相匹配的出口连通，出口房的固定出口必须指向真实存在的相邻房间
+ * @param {Array} rooms - generateRooms 生成的房间数组
+ * @param {object} mapDef - 地图定义 (mapRegistry)
+ * @param {string} [gameMode='竞速模式'] - 游戏模式
+ * @returns {{valid: boolean, errors: Array<string>, reachableRoomCount: number}} 校验结果
+ */
+const validateRooms = function(rooms, mapDef, gameMode = '竞速模式') {
+  const errors = [];
+  const spawnRoom = rooms.find(r => r.x === mapDef.spawn.x && r.y === mapDef.spawn.y);
+  const exitRoom = rooms.find(r => r.isExit);
+  const keyRoom = rooms.find(r => r.hasKey);
+
+  if (!spawnRoom) errors.push('找不到出生点房间');
+  if (!exitRoom) errors.push('找不到出口房间');
+  if (gameMode === '梦魇模式' && !keyRoom) errors.push('梦魇模式下找不到钥匙房间');
+
+  if (exitRoom) {
+    if (exitRoom.exits.length === 0) {
+      errors.push('出口房间没有任何出口');
+    }
+    exitRoom.exits.forEach(direction => {
+      const offset = directionMap[direction];
+      const hasNeighbor = offset && rooms.some(r => r.x === exitRoom.x + offset.x && r.y === exitRoom.y + offset.y);
+      if (!hasNeighbor) {
+        errors.push(`出口房间的出口 ${direction} 没有指向相邻房间`);
+      }
+    });
+  }
+
+  // 从出生点广度优先遍历
+  const reachable = new Set();
+  if (spawnRoom) {
+    const graph = buildRoomGraph(rooms);
+    const queue = [spawnRoom.id];
+    reachable.add(spawnRoom.id);
+    while (queue.length > 0) {
+      const currentId = queue.shift();
+      graph.get(currentId).forEach(neighborId => {
+        if (!reachable.has(neighborId)) {
+          reachable.add(neighborId);
+          queue.push(neighborId);
+        }
+      });
+    }
+  }
+
+  if (spawnRoom && exitRoom && !reachable.has(exitRoom.id)) {
+    errors.push('从出生点无法到达出口');
+  }
+  if (spawnRoom && gameMode === '梦魇模式' && keyRoom && !reachable.has(keyRoom.id)) {
+    errors.push('从出生点无法到达钥匙房间');
+  }
+
+  return { valid: errors.length === 0, errors, reachableRoomCount: reachable.size };
+};
+
+/**
+ * 生成并校验地图，校验失败时用派生的新种子重试
+ * 重试种子由原始种子确定性派生，因此同一个种子总能复现同一张最终地图
+ * @param {string} gameMode - 游戏模式
+ * @param {number} seed - 初始种子
+ * @param {object} mapDef - 地图定义
+ * @returns {{rooms: Array, seed: number, attempts: number}} 通过校验的房间及实际使用的种子
+ * @throws {Error} 超过最大重试次数仍无法生成可解地图
+ */
+const generateValidRooms = function(gameMode, seed, mapDef) {
+  let attemptSeed = seed;
+  for (let attempt = 1; attempt <= MAP_GENERATION_MAX_ATTEMPTS; attempt++) {
+    const rooms = generateRooms(gameMode, attemptSeed, mapDef);
+    const result = validateRooms(rooms, mapDef, gameMode);
+    if (result.valid) {
+      if (attempt > 1) {
+        console.log(`[MultiplayerHandler] 地图在第 ${attempt} 次尝试时通过校验 (种子 ${seed} -> ${attemptSeed})`);
+      }
+      return { rooms, seed: attemptSeed, attempts: attempt };
+    }
+    console.warn(`[MultiplayerHandler] 地图校验失败 (种子 ${attemptSeed}，第 ${attempt} 次):`, result.errors);
+    attemptSeed = normalizeSeed(`${seed}:${attempt}`);
+  }
+  throw new Error(`地图 ${mapDef.id} 在 ${MAP_GENERATION_MAX_ATTEMPTS} 次尝试后仍无法生成可解布局`);
+};
+
 // === 结束复制/改编的地图生成逻辑 ===
 
+/**
+ * 构造下发给客户端的玩家列表，确保包含角色ID 和 昵称
+ * @param {object} session - 会话对象
+ * @returns {object} { playerId: playerData }
+ */
+function getPlayersPayload(session) {
+    const players = {};
+    for (const pId in session.players) {
+        players[pId] = {
+            ...session.players[pId],
+            characterId: session.players[pId].characterId || null,
+            name: session.players[pId].name || `玩家_${pId.substring(0, 4)}`
+        };
+    }
+    return players;
+}
+
 /**
  * 创建或加入一个游戏会话
  * @param {string} sessionId - 会话ID
  * @param {string} playerId - 玩家ID
  * @param {string} [gameMode='竞速模式'] - 游戏模式 (可选)
  * @param {string} [characterId=null] - 玩家选择的角色ID (新增)
- * @returns {object} 游戏初始状态，包括 mapData 和 players
+ * @param {object} [options={}] - 会话创建选项
+ * @param {number|string} [options.seed] - 地图种子 (仅在创建会话时生效，不传则随机生成)
+ * @param {string} [options.mapId] - 地图ID (仅在创建会话时生效，对应 mapRegistry 中的地图)
+ * @returns {object} 游戏初始状态，包括 mapData、players 和回合信息
  */
-function joinSession(sessionId, playerId, gameMode = '竞速模式', characterId = null) { // 添加 characterId 参数
+function joinSession(sessionId, playerId, gameMode = '竞速模式', characterId = null, options = {}) { // 添加 characterId 参数
     console.log(`[MultiplayerHandler] joinSession: sessionId=${sessionId}, playerId=${playerId}, gameMode=${gameMode}, characterId=${characterId}`); // 添加日志
 
     if (!activeSessions[sessionId]) {
@@ -342,27 +525,23 @@ function joinSession(sessionId, playerId, gameMode = '竞速模式', characterId
         console.log(`[MultiplayerHandler] 创建新会话: ${sessionId}, 模式: ${gameMode}`);
         
         // --- [修改] 调用新的 generateRooms 生成前端格式地图 ---
-        const generatedRooms = generateRooms(gameMode); // generates array of room objects
+        const requestedSeed = normalizeSeed(options.seed);
+        const mapDef = mapRegistry.getMap(options.mapId);
+        // 生成并校验地图，seed 为最终通过校验的种子
+        const { rooms: generatedRooms, seed } = generateValidRooms(gameMode, requestedSeed, mapDef);
+        const itemCount = seedRoomItems(generatedRooms, gameMode, seed);
+        console.log(`[MultiplayerHandler] 会话 ${sessionId} 的地图中放置了 ${itemCount} 个物品`);
         
-        // --- [新增] 将前端 rooms 数组转换回后端 mapData 格式 --- 
+        // --- [新增] 将前端 rooms 数组转换回后端 mapData 格式 (完整地图，仅服务器持有) --- 
         const mapData = {
-            width: 7,
-            height: 7,
-            tiles: Array(7).fill(0).map(() => Array(7).fill(0)), // Initialize 7x7 grid with 0
-            spawnPoints: [{ x: 3, y: 3 }] // Fixed spawn point at center
-        };
-        const typeToTileValueMapping = {
-            'hall': 1,
-            'bedroom': 2,
-            'gameroom': 3,
-            'corridor': 4,
-            'storage': 5,
-            'exit': 6,
-            'keyroom': 7
+            width: mapDef.width,
+            height: mapDef.height,
+            tiles: Array(mapDef.height).fill(0).map(() => Array(mapDef.width).fill(0)), // Initialize grid with 0
+            spawnPoints: [{ ...mapDef.spawn }]
         };
         generatedRooms.forEach(room => {
-            if (room.y >= 0 && room.y < 7 && room.x >= 0 && room.x < 7) {
-                 const tileValue = typeToTileValueMapping[room.type] || 0; // Default to 0 if type not found
+            if (room.y >= 0 && room.y < mapDef.height && room.x >= 0 && room.x < mapDef.width) {
+                 const tileValue = TILE_VALUES[room.type] || 0; // Default to 0 if type not found
                  mapData.tiles[room.y][room.x] = tileValue;
             }
         });
@@ -371,10 +550,20 @@ function joinSession(sessionId, playerId, gameMode = '竞速模式', characterId
         activeSessions[sessionId] = {
             sessionId: sessionId,
             gameMode: gameMode,
+            status: 'playing', // playing, ended
+            seed: seed, // 地图种子，用于复现地图
+            requestedSeed: requestedSeed, // 房主指定或随机生成的初始种子
+            mapId: mapDef.id,
+            winnerId: null,
             mapData: mapData, // 使用转换后的 mapData
             players: {}, // { playerId: { characterId: null, position: {x, y} } }
             currentTurn: null, // 当前回合玩家ID
             round: 1, // 当前回合数
+            turnOrder: [], // 按加入顺序排列的玩家ID，用于轮转回合
+            turnDeadline: null, // 当前回合的超时时间戳
+            revealedRooms: {}, // 每个玩家已探索的房间ID { playerId: [roomId] }
+            imposter: null, // 冒名者模式的身份和紧急会议状态，由 imposterMode 在分配身份时设置，不下发给客户端
+            spectators: {}, // 观战者 { userId: { joinedAt } }，不占用玩家名额，不参与回合
             // Store the generated rooms array for potential later use (e.g., validation)
             _internalRooms: generatedRooms,
             createdAt: Date.now()
@@ -386,16 +575,11 @@ function joinSession(sessionId, playerId, gameMode = '竞速模式', characterId
     // 检查玩家是否已在会话中
     if (session.players[playerId]) {
         console.log(`[MultiplayerHandler] 玩家 ${playerId} 已在会话 ${sessionId} 中，返回现有状态。`);
-        // --- 确保返回的 players 包含角色ID 和 昵称 --- 
-        const playersWithCharIdAndName = {};
-        for (const pId in session.players) {
-            playersWithCharIdAndName[pId] = {
-                ...session.players[pId],
-                characterId: session.players[pId].characterId || null, // 确保 characterId 存在
-                name: session.players[pId].name || `玩家_${pId.substring(0, 4)}` // 确保 name 存在
-            };
+        // 断线宽限期内重新加入视为重连
+        if (session.players[playerId].disconnected) {
+            markPlayerReconnected(sessionId, playerId);
         }
-        return { mapData: session.mapData, players: playersWithCharIdAndName }; // 返回当前状态
+        return { mapData: getVisibleMapData(session, playerId), players: getPlayersPayload(session), mapId: session.mapId, ...getTurnState(session) }; // 返回当前状态
     }
 
     // 添加新玩家到会话
@@ -417,61 +601,864 @@ function joinSession(sessionId, playerId, gameMode = '竞速模式', characterId
     // ---------------------
 
     // --- 关键：在这里设置玩家的 characterId 和 name --- 
+    const spawnPoint = session.mapData.spawnPoints[0];
     session.players[playerId] = {
         id: playerId,
         characterId: characterId, // 使用传入的 characterId
         name: nickname,           // <-- 设置获取到的昵称
-        hp: 3, // 初始血量 (可能需要根据角色或模式调整)
-        maxHp: 3, // 最大血量
-        position: { x: 3, y: 3 }, // 初始位置 (中心)
+        hp: heroes.getBaseHp(characterId), // 初始血量 (英雄的基础血量)
+        maxHp: heroes.getBaseHp(characterId), // 最大血量
+        position: { ...spawnPoint }, // 初始位置 (地图出生点)
         items: [],
         buffs: [],
         debuffs: [],
-        skills: [], // 可能需要根据角色初始化
+        skills: heroes.createSkillState(characterId), // 英雄的主动/被动技能，主动技能带冷却状态
+        status: 'active', // active, eliminated
+        disconnected: false, // 断线宽限期内为 true
+        disconnectedAt: null,
         joinTime: Date.now()
         // isHost 状态需要在创建会话或加入时确定，这里暂时缺失
     };
+    session.turnOrder.push(playerId);
+    session.revealedRooms[playerId] = [];
+    const spawnRoom = findRoomAt(session._internalRooms, spawnPoint.x, spawnPoint.y);
+    if (spawnRoom) {
+        revealRoomForPlayer(session, playerId, spawnRoom);
+    }
+
+    // 被动技能：开局获得永久效果
+    const startEffect = heroes.getPassive(characterId, 'start_effect');
+    if (startEffect) {
+        effectEngine.applyEffect(session, playerId, startEffect.effect, { durationMs: 0, rounds: 0, source: startEffect.id, passive: true });
+    }
 
-    // 确定当前回合玩家 (例如，第一个加入的玩家)
+    // 确定当前回合玩家 (第一个加入的玩家)，并开始计时
     if (!session.currentTurn) {
         session.currentTurn = playerId;
+        startTurnTimer(sessionId);
     }
 
-     // --- 确保返回的 players 包含角色ID 和 昵称 --- 
-    const playersToSend = {};
-    for (const pId in session.players) {
-        playersToSend[pId] = {
-            ...session.players[pId],
-            characterId: session.players[pId].characterId || null,
-            name: session.players[pId].name || `玩家_${pId.substring(0, 4)}` // 使用玩家对象中的 name
-        };
-    }
+    const playersToSend = getPlayersPayload(session);
+
+    const visibleMapData = getVisibleMapData(session, playerId);
+    console.log(`[MultiplayerHandler] joinSession 完成，返回 gameState:`, { mapData: visibleMapData, players: playersToSend });
+    // 返回该玩家视角下的初始游戏状态 (只包含已揭示的房间)
+    return { mapData: visibleMapData, players: playersToSend, mapId: session.mapId, ...getTurnState(session) };
+}
 
-    console.log(`[MultiplayerHandler] joinSession 完成，返回 gameState:`, { mapData: session.mapData, players: playersToSend });
-    // 返回完整的初始游戏状态
-    return { mapData: session.mapData, players: playersToSend };
+/**
+ * 根据坐标查找会话地图中的房间
+ * @param {Array} rooms - 会话的 _internalRooms
+ * @param {number} x - 横坐标
+ * @param {number} y - 纵坐标
+ * @returns {object|null} 房间对象，不存在返回 null
+ */
+function findRoomAt(rooms, x, y) {
+    return (rooms || []).find(room => room.x === x && room.y === y) || null;
+}
+
+/**
+ * 检查两个房间之间是否存在双向连通的出口
+ * @param {object} fromRoom - 出发房间
+ * @param {object} toRoom - 目标房间
+ * @returns {boolean} 是否可以从 fromRoom 移动到 toRoom
+ */
+function canMoveBetweenRooms(fromRoom, toRoom) {
+    if (!fromRoom || !toRoom || !areRoomsAdjacent(fromRoom, toRoom)) {
+        return false;
+    }
+    const direction = getDirection(fromRoom, toRoom);
+    return fromRoom.exits.includes(direction) && toRoom.exits.includes(getOppositeDirection(direction));
 }
 
 /**
- * 处理玩家移动
+ * 处理玩家移动 (服务器权威校验)
+ * 只允许移动到与当前房间相邻、且双方出口互相匹配的房间
  * @param {string} sessionId - 会话ID
  * @param {string} playerId - 玩家ID
  * @param {object} newPosition - 新位置 {x, y}
+ * @returns {{accepted: boolean, position: object|null, reason?: string}} 校验结果，position 为服务器端的权威位置
  */
 function handlePlayerMove(sessionId, playerId, newPosition) {
-    if (activeSessions[sessionId] && activeSessions[sessionId].players[playerId]) {
-        // TODO: 在这里可以添加服务器端的位置验证逻辑
-        // 例如：检查移动是否合法（是否相邻、是否有墙等）
-        // 可以使用存储的 _internalRooms 数据进行验证
-        
-        activeSessions[sessionId].players[playerId].position = newPosition;
-        console.log(`Player ${playerId} moved to ${JSON.stringify(newPosition)} in session ${sessionId}`);
-
-        // TODO: 将移动信息广播给会话中的其他玩家 (通过WebSocket)
-        // broadcastMove(sessionId, playerId, newPosition);
-    } else {
+    const session = activeSessions[sessionId];
+    if (!session || !session.players[playerId]) {
         console.warn(`Invalid move received: session ${sessionId} or player ${playerId} not found.`);
+        return { accepted: false, position: null, reason: 'NOT_IN_SESSION' };
+    }
+
+    const player = session.players[playerId];
+    const currentPosition = player.position;
+
+    if (session.status !== 'playing') {
+        return { accepted: false, position: currentPosition, reason: 'SESSION_ENDED' };
     }
+
+    if (player.status === 'eliminated') {
+        return { accepted: false, position: currentPosition, reason: 'PLAYER_ELIMINATED' };
+    }
+
+    if (getImposterMode().isMeetingInProgress(session)) {
+        return { accepted: false, position: currentPosition, reason: 'MEETING_IN_PROGRESS' };
+    }
+
+    if (session.currentTurn !== playerId) {
+        console.warn(`[MultiplayerHandler] 玩家 ${playerId} 在非自己回合尝试移动 (当前回合: ${session.currentTurn})`);
+        return { accepted: false, position: currentPosition, reason: 'NOT_YOUR_TURN' };
+    }
+
+    if (!newPosition || !Number.isInteger(newPosition.x) || !Number.isInteger(newPosition.y)) {
+        console.warn(`[MultiplayerHandler] 玩家 ${playerId} 提交了无效坐标:`, newPosition);
+        return { accepted: false, position: currentPosition, reason: 'INVALID_POSITION' };
+    }
+
+    const fromRoom = findRoomAt(session._internalRooms, currentPosition.x, currentPosition.y);
+    const toRoom = findRoomAt(session._internalRooms, newPosition.x, newPosition.y);
+
+    if (!toRoom) {
+        console.warn(`[MultiplayerHandler] 玩家 ${playerId} 试图移动到不存在的房间 ${JSON.stringify(newPosition)}`);
+        return { accepted: false, position: currentPosition, reason: 'ROOM_NOT_FOUND' };
+    }
+
+    if (!canMoveBetweenRooms(fromRoom, toRoom)) {
+        console.warn(`[MultiplayerHandler] 拒绝玩家 ${playerId} 的非法移动: ${JSON.stringify(currentPosition)} -> ${JSON.stringify(newPosition)}`);
+        return { accepted: false, position: currentPosition, reason: 'NOT_CONNECTED' };
+    }
+
+    player.position = { x: toRoom.x, y: toRoom.y };
+    toRoom.lastVisitRound = session.round;
+    console.log(`Player ${playerId} moved to ${JSON.stringify(player.position)} in session ${sessionId}`);
+
+    return { accepted: true, position: player.position };
+}
+
+// === 消息发送 ===
+
+/**
+ * 通过 wsApp 向会话广播消息
+ * @param {string} sessionId - 会话ID
+ * @param {object} message - 消息对象
+ * @param {string|null} [excludeUserId=null] - 要排除的玩家ID
+ */
+function broadcastToSession(sessionId, message, excludeUserId = null) {
+    // 延迟引入 wsApp，避免与 wsApp 之间的循环依赖
+    const wsApp = require('../wsApp');
+    wsApp.broadcastToSession(sessionId, message, excludeUserId);
+}
+
+/**
+ * 通过 wsApp 向单个玩家发送消息
+ * @param {string} playerId - 玩家ID
+ * @param {object} message - 消息对象
+ */
+function sendToPlayer(playerId, message) {
+    const wsApp = require('../wsApp');
+    wsApp.sendToClient(playerId, message);
+}
+
+// === 战争迷雾 ===
+
+/**
+ * 生成可下发给客户端的房间数据 (去掉陷阱等隐藏信息)
+ * @param {object} room - 服务器端房间对象
+ * @returns {object} 客户端可见的房间数据
+ */
+function toVisibleRoom(room) {
+    return {
+        id: room.id,
+        x: room.x,
+        y: room.y,
+        type: room.type,
+        typeName: room.typeName,
+        exits: [...room.exits],
+        visited: room.visited,
+        publiclyRevealed: room.publiclyRevealed
+    };
+}
+
+/**
+ * 判断房间对某个玩家是否可见
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @param {object} room - 房间对象
+ * @returns {boolean} 是否可见
+ */
+function isRoomVisibleTo(session, playerId, room) {
+    if (room.publiclyRevealed) {
+        return true;
+    }
+    const revealed = session.revealedRooms[playerId] || [];
+    return revealed.includes(room.id);
+}
+
+/**
+ * 把房间加入玩家的已探索列表
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @param {object} room - 房间对象
+ * @returns {boolean} 是否为首次揭示
+ */
+function revealRoomForPlayer(session, playerId, room) {
+    const wasVisible = isRoomVisibleTo(session, playerId, room);
+    if (!session.revealedRooms[playerId]) {
+        session.revealedRooms[playerId] = [];
+    }
+    if (!session.revealedRooms[playerId].includes(room.id)) {
+        session.revealedRooms[playerId].push(room.id);
+    }
+    room.isRevealed = true;
+    return !wasVisible;
+}
+
+/**
+ * 为玩家揭示一组房间，首次揭示的房间通过 ROOM_REVEALED 私发给该玩家
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {Array} rooms - 房间对象列表
+ * @returns {Array} 首次揭示的房间
+ */
+function revealRooms(sessionId, playerId, rooms) {
+    const session = activeSessions[sessionId];
+    const revealed = rooms.filter(room => revealRoomForPlayer(session, playerId, room));
+    revealed.forEach(room => {
+        console.log(`[MultiplayerHandler] 玩家 ${playerId} 揭示了房间 ${room.id} (${room.x}, ${room.y})`);
+        sendToPlayer(playerId, {
+            type: 'ROOM_REVEALED',
+            data: { sessionId, room: toVisibleRoom(room) }
+        });
+    });
+    return revealed;
+}
+
+/**
+ * 构造某个玩家视角下的地图数据，未揭示的格子在 tiles 中为 0
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @returns {object} mapData { width, height, tiles, spawnPoints, rooms }
+ */
+function getVisibleMapData(session, playerId) {
+    return buildMapData(session, room => isRoomVisibleTo(session, playerId, room));
+}
+
+/**
+ * 构造地图数据，只包含 isVisible 返回 true 的房间
+ * @param {object} session - 会话对象
+ * @param {Function} isVisible - (room) => boolean
+ * @returns {object} mapData { width, height, tiles, spawnPoints, rooms }
+ */
+function buildMapData(session, isVisible) {
+    const { width, height, spawnPoints } = session.mapData;
+    const tiles = Array(height).fill(0).map(() => Array(width).fill(0));
+    const rooms = [];
+
+    session._internalRooms.forEach(room => {
+        if (!isVisible(room)) {
+            return;
+        }
+        if (room.y >= 0 && room.y < height && room.x >= 0 && room.x < width) {
+            tiles[room.y][room.x] = TILE_VALUES[room.type] || 0;
+        }
+        rooms.push(toVisibleRoom(room));
+    });
+
+    return { width, height, tiles, spawnPoints, rooms };
+}
+
+/**
+ * 结算玩家进入当前所在房间后的效果 (在合法移动被广播之后调用)
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ */
+function resolveRoomEntry(sessionId, playerId) {
+    const session = activeSessions[sessionId];
+    const player = session && session.players[playerId];
+    if (!player) {
+        return;
+    }
+
+    const room = findRoomAt(session._internalRooms, player.position.x, player.position.y);
+    if (!room) {
+        return;
+    }
+
+    room.visited = true;
+    revealRooms(sessionId, playerId, [room]);
+
+    // 被动技能：同时揭示与该房间连通的相邻房间
+    if (heroes.getPassive(player.characterId, 'keen_eyes')) {
+        revealRooms(sessionId, playerId, session._internalRooms.filter(other => canMoveBetweenRooms(room, other)));
+    }
+
+    // 梦魇模式：拾取钥匙
+    if (room.hasKey) {
+        room.hasKey = false;
+        const key = { id: `key_${room.id}`, type: 'key', name: '钥匙' };
+        player.items.push(key);
+        console.log(`[MultiplayerHandler] 玩家 ${playerId} 在房间 ${room.id} 拾取了钥匙`);
+        broadcastToSession(sessionId, {
+            type: 'KEY_PICKED_UP',
+            data: { sessionId, playerId, roomId: room.id, item: key }
+        });
+    }
+
+    // 拾取房间里按掉落表放置的物品
+    if (room.items && room.items.length > 0) {
+        const pickedUp = room.items;
+        room.items = [];
+        player.items.push(...pickedUp);
+        console.log(`[MultiplayerHandler] 玩家 ${playerId} 在房间 ${room.id} 拾取了 ${pickedUp.length} 个物品`);
+        broadcastToSession(sessionId, {
+            type: 'ITEMS_PICKED_UP',
+            data: { sessionId, playerId, roomId: room.id, items: pickedUp }
+        });
+    }
+
+    if (room.hasTrap) {
+        triggerTrap(sessionId, playerId, room);
+        if (player.status === 'eliminated') {
+            return;
+        }
+    }
+
+    // 冒名者模式只按身份分胜负 (imposterMode.checkWinCondition)，到达出口不算逃脱
+    if (room.isExit && session.gameMode !== getImposterMode().IMPOSTER_MODE) {
+        handleExitReached(sessionId, playerId, room);
+    }
+}
+
+/**
+ * 触发房间陷阱：陷阱只生效一次，伤害会受到玩家 buffs/debuffs 的影响
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {object} room - 有陷阱的房间
+ */
+function triggerTrap(sessionId, playerId, room) {
+    room.hasTrap = false;
+    room.trapTriggered = true;
+    console.log(`[MultiplayerHandler] 玩家 ${playerId} 触发了房间 ${room.id} 的陷阱`);
+    // 被动技能：减少陷阱伤害
+    const player = activeSessions[sessionId].players[playerId];
+    const resist = heroes.getPassive(player.characterId, 'trap_resist');
+    if (resist) {
+        applyDamage(sessionId, playerId, Math.max(0, TRAP_DAMAGE - resist.amount), { source: 'trap', roomId: room.id, resistedBy: resist.id });
+        return;
+    }
+    applyDamage(sessionId, playerId, TRAP_DAMAGE, { source: 'trap', roomId: room.id });
+}
+
+/**
+ * 对玩家造成伤害并广播 PLAYER_DAMAGED，血量归零时淘汰玩家
+ * 护盾 (buff: shield) 每层抵消一次伤害，易伤 (debuff: vulnerable) 额外增加 1 点伤害；
+ * 基础伤害为 0 (如被动技能完全抵消) 时不消耗护盾，也不受易伤影响
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {number} baseDamage - 基础伤害
+ * @param {object} [context={}] - 伤害来源信息，如 { source, roomId }
+ * @returns {number} 实际造成的伤害
+ */
+function applyDamage(sessionId, playerId, baseDamage, context = {}) {
+    const session = activeSessions[sessionId];
+    const player = session && session.players[playerId];
+    if (!player || player.status === 'eliminated') {
+        return 0;
+    }
+
+    let damage = baseDamage;
+    let blockedBy = null;
+
+    if (damage <= 0) {
+        damage = 0;
+    } else if (effectEngine.consumeEffect(session, playerId, 'shield')) {
+        // 护盾抵消本次伤害，消耗一层
+        blockedBy = 'shield';
+        damage = 0;
+    } else if (effectEngine.hasEffect(player, 'vulnerable')) {
+        damage += 1;
+    }
+
+    player.hp = Math.max(0, player.hp - damage);
+
+    broadcastToSession(sessionId, {
+        type: 'PLAYER_DAMAGED',
+        data: {
+            sessionId,
+            playerId,
+            damage,
+            blockedBy,
+            hp: player.hp,
+            maxHp: player.maxHp,
+            buffs: player.buffs,
+            debuffs: player.debuffs,
+            ...context
+        }
+    });
+
+    if (player.hp <= 0) {
+        eliminatePlayer(sessionId, playerId, context.source || 'damage');
+    }
+
+    return damage;
+}
+
+/**
+ * 为玩家恢复血量 (不超过最大血量) 并广播 PLAYER_HEALED
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {number} amount - 恢复量
+ * @param {object} [context={}] - 治疗来源信息，如 { source, healerId }
+ * @returns {number} 实际恢复的血量
+ */
+function healPlayer(sessionId, playerId, amount, context = {}) {
+    const session = activeSessions[sessionId];
+    const player = session && session.players[playerId];
+    if (!player || player.status === 'eliminated') {
+        return 0;
+    }
+
+    const healed = Math.min(amount, player.maxHp - player.hp);
+    player.hp += healed;
+
+    broadcastToSession(sessionId, {
+        type: 'PLAYER_HEALED',
+        data: { sessionId, playerId, healed, hp: player.hp, maxHp: player.maxHp, ...context }
+    });
+    return healed;
+}
+
+/**
+ * 玩家被淘汰或离开会话时，把持有的钥匙掉落在其所在房间并广播 KEY_DROPPED，
+ * 避免唯一的钥匙随玩家消失导致上锁的出口无法打开
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {string} reason - 掉落原因
+ */
+function dropKeys(sessionId, playerId, reason) {
+    const session = activeSessions[sessionId];
+    const player = session && session.players[playerId];
+    if (!player || !player.items.some(item => item.type === 'key')) {
+        return;
+    }
+
+    const room = findRoomAt(session._internalRooms, player.position.x, player.position.y);
+    if (!room) {
+        return;
+    }
+
+    player.items = player.items.filter(item => item.type !== 'key');
+    room.hasKey = true;
+    console.log(`[MultiplayerHandler] 玩家 ${playerId} 的钥匙掉落在房间 ${room.id} (原因: ${reason})`);
+    broadcastToSession(sessionId, {
+        type: 'KEY_DROPPED',
+        data: { sessionId, playerId, roomId: room.id, x: room.x, y: room.y, reason }
+    });
+}
+
+/**
+ * 淘汰玩家：移出回合轮转，所有玩家都被淘汰时结束会话
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {string} reason - 淘汰原因
+ */
+function eliminatePlayer(sessionId, playerId, reason) {
+    const session = activeSessions[sessionId];
+    const player = session && session.players[playerId];
+    if (!player || player.status === 'eliminated') {
+        return;
+    }
+
+    player.status = 'eliminated';
+    console.log(`[MultiplayerHandler] 玩家 ${playerId} 被淘汰 (会话 ${sessionId}，原因: ${reason})`);
+    broadcastToSession(sessionId, {
+        type: 'PLAYER_ELIMINATED',
+        data: { sessionId, playerId, reason }
+    });
+
+    dropKeys(sessionId, playerId, 'PLAYER_ELIMINATED');
+    removeFromTurnOrder(sessionId, playerId, 'PLAYER_ELIMINATED');
+
+    // 冒名者模式：淘汰后可能分出胜负
+    getImposterMode().checkWinCondition(sessionId);
+
+    const hasActivePlayers = Object.values(session.players).some(p => p.status !== 'eliminated');
+    if (!hasActivePlayers) {
+        endSession(sessionId, null, 'ALL_ELIMINATED');
+    }
+}
+
+/**
+ * 处理玩家到达出口：出口上锁时需要持有钥匙才能解锁，成功逃脱则结束会话
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {object} exitRoom - 出口房间
+ */
+function handleExitReached(sessionId, playerId, exitRoom) {
+    const session = activeSessions[sessionId];
+    const player = session.players[playerId];
+
+    if (exitRoom.isLocked) {
+        const hasKey = player.items.some(item => item.type === 'key');
+        if (!hasKey) {
+            console.log(`[MultiplayerHandler] 玩家 ${playerId} 到达出口，但出口已上锁且没有钥匙`);
+            sendToPlayer(playerId, {
+                type: 'EXIT_LOCKED',
+                data: { sessionId, roomId: exitRoom.id }
+            });
+            return;
+        }
+        exitRoom.isLocked = false;
+        console.log(`[MultiplayerHandler] 玩家 ${playerId} 使用钥匙解锁了出口`);
+    }
+
+    endSession(sessionId, playerId, 'ESCAPED');
+}
+
+/**
+ * 结束会话并宣布胜者
+ * @param {string} sessionId - 会话ID
+ * @param {string|null} winnerId - 胜者ID，没有胜者时为 null
+ * @param {string} reason - 结束原因
+ */
+function endSession(sessionId, winnerId, reason) {
+    const session = activeSessions[sessionId];
+    if (!session || session.status === 'ended') {
+        return;
+    }
+
+    session.status = 'ended';
+    session.winnerId = winnerId;
+    session.endedAt = Date.now();
+    session.currentTurn = null;
+    session.turnDeadline = null;
+    clearTurnTimer(sessionId);
+    effectEngine.clearSession(sessionId);
+    getImposterMode().clearSession(sessionId);
+
+    console.log(`[MultiplayerHandler] 会话 ${sessionId} 结束，胜者: ${winnerId}，原因: ${reason}`);
+    broadcastToSession(sessionId, {
+        type: 'GAME_SESSION_ENDED',
+        data: { sessionId, winnerId, reason, round: session.round, endedAt: session.endedAt, seed: session.seed }
+    });
+}
+
+// === 回合调度 ===
+
+/**
+ * 提取会话的回合信息，供下发给客户端
+ * @param {object} session - 会话对象
+ * @returns {{currentTurn: string|null, round: number, turnDeadline: number|null}}
+ */
+function getTurnState(session) {
+    return {
+        currentTurn: session.currentTurn,
+        round: session.round,
+        turnDeadline: session.turnDeadline
+    };
+}
+
+/**
+ * 清除会话的回合超时计时器
+ * @param {string} sessionId - 会话ID
+ */
+function clearTurnTimer(sessionId) {
+    if (turnTimers[sessionId]) {
+        clearTimeout(turnTimers[sessionId]);
+        delete turnTimers[sessionId];
+    }
+}
+
+/**
+ * 为当前回合启动超时计时器，超时后自动跳过该玩家
+ * @param {string} sessionId - 会话ID
+ */
+function startTurnTimer(sessionId) {
+    clearTurnTimer(sessionId);
+    const session = activeSessions[sessionId];
+    if (!session || !session.currentTurn) {
+        return;
+    }
+    // 紧急会议期间回合计时暂停，会议结束后重新计时
+    if (getImposterMode().isMeetingInProgress(session)) {
+        session.turnDeadline = null;
+        return;
+    }
+
+    const timeoutMs = config.game.turnTimeoutMs;
+    session.turnDeadline = Date.now() + timeoutMs;
+    const timedOutPlayerId = session.currentTurn;
+
+    turnTimers[sessionId] = setTimeout(() => {
+        delete turnTimers[sessionId];
+        const current = activeSessions[sessionId];
+        if (current && current.currentTurn === timedOutPlayerId) {
+            console.log(`[MultiplayerHandler] 玩家 ${timedOutPlayerId} 回合超时，自动跳过 (会话 ${sessionId})`);
+            advanceTurn(sessionId, 'TIMEOUT');
+        }
+    }, timeoutMs);
+}
+
+/**
+ * 暂停当前回合的计时 (如紧急会议期间)
+ * @param {string} sessionId - 会话ID
+ */
+function pauseTurnTimer(sessionId) {
+    clearTurnTimer(sessionId);
+    if (activeSessions[sessionId]) {
+        activeSessions[sessionId].turnDeadline = null;
+    }
+}
+
+/**
+ * 为当前回合玩家重新开始计时，并广播新的回合截止时间
+ * @param {string} sessionId - 会话ID
+ * @param {string} reason - 原因 (如 MEETING_ENDED)
+ */
+function resumeTurnTimer(sessionId, reason) {
+    const session = activeSessions[sessionId];
+    if (!session || session.status !== 'playing' || !session.currentTurn) {
+        return;
+    }
+    startTurnTimer(sessionId);
+    broadcastToSession(sessionId, {
+        type: 'TURN_CHANGED',
+        data: { sessionId, previousPlayerId: session.currentTurn, reason, ...getTurnState(session) }
+    });
+}
+
+/**
+ * 玩家结束自己的回合；只有当前回合玩家调用时才会轮转，避免重复推进
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @returns {object|null} 新的回合信息，未轮转时返回 null
+ */
+function endTurn(sessionId, playerId) {
+    const session = activeSessions[sessionId];
+    if (!session || session.currentTurn !== playerId) {
+        return null;
+    }
+    return advanceTurn(sessionId, 'TURN_ENDED');
+}
+
+/**
+ * 把玩家移出回合轮转；如果正轮到他，先把回合交给下一位
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {string} reason - 轮转原因
+ */
+function removeFromTurnOrder(sessionId, playerId, reason) {
+    const session = activeSessions[sessionId];
+    if (!session) {
+        return;
+    }
+
+    if (session.currentTurn === playerId && session.turnOrder.length > 1) {
+        advanceTurn(sessionId, reason);
+    }
+    session.turnOrder = session.turnOrder.filter(id => id !== playerId);
+
+    if (session.turnOrder.length === 0) {
+        session.currentTurn = null;
+        session.turnDeadline = null;
+        clearTurnTimer(sessionId);
+    }
+}
+
+/**
+ * 将回合轮转给下一位玩家，完成一整轮后回合数 +1
+ * @param {string} sessionId - 会话ID
+ * @param {string} [reason='TURN_ENDED'] - 轮转原因 (TURN_ENDED / TIMEOUT / PLAYER_LEFT / PLAYER_DISCONNECTED / PLAYER_RECONNECTED)
+ * @returns {object|null} 新的回合信息，会话不存在或无玩家时返回 null
+ */
+function advanceTurn(sessionId, reason = 'TURN_ENDED') {
+    const session = activeSessions[sessionId];
+    if (!session || session.status !== 'playing' || session.turnOrder.length === 0) {
+        clearTurnTimer(sessionId);
+        return null;
+    }
+
+    const previousPlayerId = session.currentTurn;
+    const currentIndex = session.turnOrder.indexOf(previousPlayerId);
+    const orderLength = session.turnOrder.length;
+
+    // 跳过断线中的玩家；所有人都断线时仍按顺序轮给下一位，由超时继续推进
+    let nextIndex = -1;
+    let wrapped = false;
+    for (let step = 1; step <= orderLength; step++) {
+        const index = (currentIndex + step) % orderLength;
+        if (index === 0) wrapped = true;
+        const candidate = session.players[session.turnOrder[index]];
+        if (candidate && !candidate.disconnected) {
+            nextIndex = index;
+            break;
+        }
+    }
+    if (nextIndex === -1) {
+        nextIndex = (currentIndex + 1) % orderLength;
+        wrapped = nextIndex === 0;
+    }
+
+    // 轮转经过第一位玩家，说明一整轮结束
+    if (wrapped) {
+        session.round += 1;
+        console.log(`[MultiplayerHandler] 会话 ${sessionId} 进入第 ${session.round} 轮`);
+        broadcastToSession(sessionId, {
+            type: 'ROUND_STARTED',
+            data: { sessionId, round: session.round }
+        });
+        // 按轮数计时的效果在新一轮开始时结算过期
+        effectEngine.expireRoundEffects(session);
+    }
+
+    session.currentTurn = session.turnOrder[nextIndex];
+    startTurnTimer(sessionId);
+
+    broadcastToSession(sessionId, {
+        type: 'TURN_CHANGED',
+        data: { sessionId, previousPlayerId, reason, ...getTurnState(session) }
+    });
+
+    return getTurnState(session);
+}
+
+// === 断线重连 ===
+
+/**
+ * 查找玩家所在的会话
+ * @param {string} playerId - 玩家ID
+ * @returns {object|null} 会话对象
+ */
+function findSessionByPlayer(playerId) {
+    for (const sessionId in activeSessions) {
+        if (activeSessions[sessionId].players[playerId]) {
+            return activeSessions[sessionId];
+        }
+    }
+    return null;
+}
+
+/**
+ * 清除玩家的断线宽限计时器
+ * @param {string} playerId - 玩家ID
+ */
+function clearDisconnectTimer(playerId) {
+    if (disconnectTimers[playerId]) {
+        clearTimeout(disconnectTimers[playerId]);
+        delete disconnectTimers[playerId];
+    }
+}
+
+/**
+ * 玩家连接断开：保留其会话状态并标记为 disconnected，宽限期到期后才真正离开会话
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @returns {boolean} 是否标记成功
+ */
+function markPlayerDisconnected(sessionId, playerId) {
+    const session = activeSessions[sessionId];
+    const player = session && session.players[playerId];
+    if (!player) {
+        return false;
+    }
+
+    const graceMs = config.game.reconnectGraceMs;
+    player.disconnected = true;
+    player.disconnectedAt = Date.now();
+    console.log(`[MultiplayerHandler] 玩家 ${playerId} 断开连接，保留 ${graceMs}ms 等待重连 (会话 ${sessionId})`);
+
+    clearDisconnectTimer(playerId);
+    disconnectTimers[playerId] = setTimeout(() => {
+        delete disconnectTimers[playerId];
+        const current = activeSessions[sessionId];
+        if (current && current.players[playerId] && current.players[playerId].disconnected) {
+            console.log(`[MultiplayerHandler] 玩家 ${playerId} 重连超时，移出会话 ${sessionId}`);
+            leaveSession(sessionId, playerId);
+            broadcastToSession(sessionId, {
+                type: 'PLAYER_LEFT',
+                data: { playerId, reason: 'RECONNECT_TIMEOUT' }
+            });
+        }
+    }, graceMs);
+
+    broadcastToSession(sessionId, {
+        type: 'PLAYER_DISCONNECTED',
+        data: { sessionId, playerId, reconnectDeadline: player.disconnectedAt + graceMs }
+    }, playerId);
+
+    // 不让断线玩家占着回合
+    if (session.currentTurn === playerId) {
+        advanceTurn(sessionId, 'PLAYER_DISCONNECTED');
+    }
+    return true;
+}
+
+/**
+ * 清除玩家的断线标记并通知其他玩家
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ */
+function markPlayerReconnected(sessionId, playerId) {
+    const player = activeSessions[sessionId].players[playerId];
+    clearDisconnectTimer(playerId);
+    player.disconnected = false;
+    player.disconnectedAt = null;
+    console.log(`[MultiplayerHandler] 玩家 ${playerId} 已重连会话 ${sessionId}`);
+
+    broadcastToSession(sessionId, {
+        type: 'PLAYER_RECONNECTED',
+        data: { sessionId, playerId }
+    }, playerId);
+}
+
+/**
+ * 地图完全由种子决定，游戏结束前下发种子等于公开整张地图，所以只在会话结束后公开
+ * @param {object} session - 会话对象
+ * @returns {number|null} 会话结束后返回种子，否则返回 null
+ */
+function getRevealedSeed(session) {
+    return session.status === 'ended' ? session.seed : null;
+}
+
+/**
+ * 生成玩家视角下的完整会话快照，用于断线重连后恢复客户端状态
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @returns {object} 会话快照
+ */
+function getSessionSnapshot(session, playerId) {
+    return {
+        sessionId: session.sessionId,
+        gameMode: session.gameMode,
+        status: session.status,
+        winnerId: session.winnerId,
+        seed: getRevealedSeed(session),
+        mapId: session.mapId,
+        mapData: getVisibleMapData(session, playerId),
+        players: getPlayersPayload(session),
+        roleInfo: getImposterMode().getRoleInfo(session, playerId), // 冒名者模式中玩家自己的身份
+        ...getTurnState(session)
+    };
+}
+
+/**
+ * 玩家重新建立连接时恢复其所在的会话
+ * 旧连接的断开可能晚于新连接建立才被发现，所以玩家未被标记断线时也返回快照
+ * @param {string} playerId - 玩家ID
+ * @returns {object|null} 会话快照，玩家不在任何会话中时返回 null
+ */
+function resumeSession(playerId) {
+    const session = findSessionByPlayer(playerId);
+    if (!session) {
+        return null;
+    }
+    if (!session.players[playerId].disconnected) {
+        return getSessionSnapshot(session, playerId);
+    }
+    markPlayerReconnected(session.sessionId, playerId);
+
+    // 所有人都断线时回合会停在断线玩家身上，有人重连后立即轮转给在线玩家
+    const currentPlayer = session.players[session.currentTurn];
+    if (currentPlayer && currentPlayer.disconnected) {
+        advanceTurn(session.sessionId, 'PLAYER_RECONNECTED');
+    }
+    return getSessionSnapshot(session, playerId);
 }
 
 /**
@@ -482,23 +1469,177 @@ function handlePlayerMove(sessionId, playerId, newPosition) {
 function leaveSession(sessionId, playerId) {
     if (activeSessions[sessionId] && activeSessions[sessionId].players[playerId]) {
         console.log(`Player ${playerId} leaving session: ${sessionId}`);
-        delete activeSessions[sessionId].players[playerId];
+        const session = activeSessions[sessionId];
+
+        clearDisconnectTimer(playerId);
+        dropKeys(sessionId, playerId, 'PLAYER_LEFT');
+        removeFromTurnOrder(sessionId, playerId, 'PLAYER_LEFT');
+        delete session.players[playerId];
 
         // TODO: 通知其他玩家有玩家离开 (通过WebSocket)
 
         // 如果会话为空，可以考虑清理会话
-        if (Object.keys(activeSessions[sessionId].players).length === 0) {
+        if (Object.keys(session.players).length === 0) {
             console.log(`Session ${sessionId} is empty, removing.`);
+            clearTurnTimer(sessionId);
+            effectEngine.clearSession(sessionId);
+            getImposterMode().clearSession(sessionId);
+            chatManager.clearHistory(chatManager.CHAT_CHANNELS.SESSION, sessionId);
             delete activeSessions[sessionId];
+        } else {
+            // 冒名者模式：离开的玩家不再计入人数，可能分出胜负
+            getImposterMode().checkWinCondition(sessionId);
+        }
+    }
+}
+
+// === 观战 ===
+
+/**
+ * 判断用户是否正在观战某个会话
+ * @param {string} sessionId - 会话ID
+ * @param {string} userId - 用户ID
+ * @returns {boolean}
+ */
+function isSpectating(sessionId, userId) {
+    const session = activeSessions[sessionId];
+    return !!(session && session.spectators[userId]);
+}
+
+/**
+ * 获取会话的观战者ID列表
+ * @param {string} sessionId - 会话ID
+ * @returns {Array<string>}
+ */
+function getSpectatorIds(sessionId) {
+    const session = activeSessions[sessionId];
+    return session ? Object.keys(session.spectators) : [];
+}
+
+/**
+ * 生成观战者视角的会话快照：没有战争迷雾，能看到所有房间
+ * @param {object} session - 会话对象
+ * @returns {object} 会话快照
+ */
+function getSpectatorSnapshot(session) {
+    return {
+        sessionId: session.sessionId,
+        gameMode: session.gameMode,
+        status: session.status,
+        winnerId: session.winnerId,
+        seed: getRevealedSeed(session),
+        mapId: session.mapId,
+        mapData: buildMapData(session, () => true),
+        players: getPlayersPayload(session),
+        spectatorCount: Object.keys(session.spectators).length,
+        delayMs: config.game.spectatorDelayMs,
+        ...getTurnState(session)
+    };
+}
+
+/**
+ * 检查用户是否可以观战会话 (会话进行中、不是该会话的玩家、观战人数未满)
+ * @param {string} sessionId - 会话ID
+ * @param {string} userId - 用户ID
+ * @returns {object|null} 不能观战时返回 { error, message }
+ */
+function checkSpectatable(sessionId, userId) {
+    const session = activeSessions[sessionId];
+    if (!session || session.status !== 'playing') {
+        return { error: 4001, message: '该游戏不存在或已结束' };
+    }
+    if (session.players[userId]) {
+        return { error: 4007, message: '你是该游戏的玩家，不能观战' };
+    }
+    if (!session.spectators[userId] && Object.keys(session.spectators).length >= config.game.maxSpectators) {
+        return { error: 4002, message: '观战人数已满' };
+    }
+    return null;
+}
+
+/**
+ * 开始观战一个进行中的会话 (同一用户同时只观战一个会话)
+ * @param {string} sessionId - 会话ID
+ * @param {string} userId - 用户ID
+ * @returns {object} 成功时返回 { snapshot }，失败时返回 { error, message }
+ */
+function addSpectator(sessionId, userId) {
+    const failure = checkSpectatable(sessionId, userId);
+    if (failure) {
+        return failure;
+    }
+
+    const session = activeSessions[sessionId];
+    removeSpectator(userId);
+    session.spectators[userId] = { joinedAt: Date.now() };
+    console.log(`[MultiplayerHandler] 用户 ${userId} 开始观战会话 ${sessionId}`);
+    return { snapshot: getSpectatorSnapshot(session) };
+}
+
+/**
+ * 停止观战
+ * @param {string} userId - 用户ID
+ * @returns {string|null} 之前观战的会话ID
+ */
+function removeSpectator(userId) {
+    for (const sessionId in activeSessions) {
+        if (activeSessions[sessionId].spectators[userId]) {
+            delete activeSessions[sessionId].spectators[userId];
+            console.log(`[MultiplayerHandler] 用户 ${userId} 停止观战会话 ${sessionId}`);
+            return sessionId;
         }
     }
+    return null;
+}
+
+/**
+ * 列出可以观战的会话 (进行中的会话)
+ * @returns {Array<object>} [{ sessionId, gameMode, mapId, round, playerCount, spectatorCount, createdAt }]
+ */
+function getSpectatableSessions() {
+    return Object.values(activeSessions)
+        .filter(session => session.status === 'playing')
+        .map(session => ({
+            sessionId: session.sessionId,
+            gameMode: session.gameMode,
+            mapId: session.mapId,
+            round: session.round,
+            playerCount: Object.keys(session.players).length,
+            spectatorCount: Object.keys(session.spectators).length,
+            createdAt: session.createdAt
+        }));
 }
 
 // --- 移除旧的 generatePlaceholderMap --- 
 
 module.exports = {
     joinSession,
+    generateRooms,
+    validateRooms,
+    generateValidRooms,
     handlePlayerMove,
+    resolveRoomEntry,
+    endSession,
+    getVisibleMapData,
+    advanceTurn,
+    endTurn,
+    pauseTurnTimer,
+    resumeTurnTimer,
+    applyDamage,
+    healPlayer,
+    eliminatePlayer,
+    findRoomAt,
+    canMoveBetweenRooms,
+    revealRooms,
+    markPlayerDisconnected,
+    resumeSession,
+    getSessionSnapshot,
     leaveSession,
+    isSpectating,
+    getSpectatorIds,
+    checkSpectatable,
+    addSpectator,
+    removeSpectator,
+    getSpectatableSessions,
     activeSessions, // <-- 暴露 activeSessions 以便 wsApp 临时查找
 }; 
\ No newline at end of file
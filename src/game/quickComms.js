@@ -0,0 +1,215 @@
+/**
+ * 游戏内快捷交流：表情和地图标记 (ping)
+ * 手机玩家很少打字，所以提供服务器预定义的表情和在地图格子上打标记的能力
+ */
+
+const config = require('../config');
+const multiplayerHandler = require('./multiplayer_handler');
+const imposterMode = require('./imposterMode');
+
+// 服务器预定义的表情
+const EMOTES = [
+    { id: 'hello', name: '你好' },
+    { id: 'help', name: '救命' },
+    { id: 'follow', name: '跟我来' },
+    { id: 'danger', name: '危险' },
+    { id: 'thanks', name: '谢谢' },
+    { id: 'laugh', name: '哈哈' }
+];
+
+// 各游戏模式下标记的可见范围：team 只发给同队玩家，session 发给整个会话
+// 梦魇模式是所有玩家合作逃脱，没有分队；冒名者模式按身份分队 (见 getTeam)
+const PING_VISIBILITY = {
+    '竞速模式': 'session',
+    '梦魇模式': 'session',
+    [imposterMode.IMPOSTER_MODE]: 'team'
+};
+
+// 每个玩家当前的标记 { playerId: { ping, timer } }，新标记会替换旧标记
+const activePings = {};
+
+// 发送频率计数 { playerId: { count, resetTime } }，表情和标记共用
+const rateLimitRecords = {};
+
+// 自增序号，用于生成标记ID
+let pingSeq = 0;
+
+/**
+ * 检查并记录玩家的快捷交流频率 (固定时间窗口计数)
+ * @param {string} playerId - 玩家ID
+ * @returns {boolean} 是否允许发送
+ */
+function consumeRateLimit(playerId) {
+    const { rateLimitCount, rateLimitWindowMs } = config.quickComms;
+    const now = Date.now();
+    let record = rateLimitRecords[playerId];
+
+    if (!record || now > record.resetTime) {
+        record = { count: 0, resetTime: now + rateLimitWindowMs };
+        rateLimitRecords[playerId] = record;
+    }
+    if (record.count >= rateLimitCount) {
+        return false;
+    }
+    record.count += 1;
+    return true;
+}
+
+/**
+ * 校验玩家是否可以在会话中发送快捷交流
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @returns {object} 成功返回 { session }，失败返回错误对象 { error, message }
+ */
+function checkSender(sessionId, playerId) {
+    const session = multiplayerHandler.activeSessions[sessionId];
+    if (!session || !session.players[playerId]) {
+        return { error: 'NOT_IN_SESSION', message: '你不在该游戏会话中' };
+    }
+    // 出局玩家不能再给存活玩家通风报信
+    if (session.players[playerId].status === 'eliminated') {
+        return { error: 'PLAYER_ELIMINATED', message: '你已出局，不能发送快捷交流' };
+    }
+    if (!consumeRateLimit(playerId)) {
+        return { error: 'RATE_LIMITED', message: '发送过于频繁，请稍后再试' };
+    }
+    return { session };
+}
+
+/**
+ * 获取玩家所在的队伍：冒名者模式下冒名者为一队、船员为一队
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 玩家ID
+ * @returns {string|null} 队伍，尚未分配身份时为 null
+ */
+function getTeam(session, playerId) {
+    const roleInfo = imposterMode.getRoleInfo(session, playerId);
+    return roleInfo ? roleInfo.role : null;
+}
+
+/**
+ * 计算标记的接收者
+ * 玩家没有分队 (队伍为 null，如尚未分配身份) 时视为同一队
+ * @param {object} session - 会话对象
+ * @param {string} playerId - 发送者ID
+ * @returns {Array<string>} 接收者玩家ID列表 (包含发送者)
+ */
+function getPingRecipients(session, playerId) {
+    const playerIds = Object.keys(session.players);
+    if (PING_VISIBILITY[session.gameMode] !== 'team') {
+        return playerIds;
+    }
+    const team = getTeam(session, playerId);
+    return playerIds.filter(id => getTeam(session, id) === team);
+}
+
+/**
+ * 向指定玩家发送消息
+ * @param {Array<string>} playerIds - 玩家ID列表
+ * @param {object} message - 消息对象
+ */
+function sendToPlayers(playerIds, message) {
+    // 延迟引入 wsApp，避免与 wsApp 之间的循环依赖
+    const wsApp = require('../wsApp');
+    playerIds.forEach(id => wsApp.sendToClient(id, message));
+}
+
+/**
+ * 清除玩家当前的标记，并通知当初收到标记的玩家
+ * @param {string} playerId - 玩家ID
+ */
+function expirePing(playerId) {
+    const entry = activePings[playerId];
+    if (!entry) {
+        return;
+    }
+    clearTimeout(entry.timer);
+    delete activePings[playerId];
+    sendToPlayers(entry.recipients, {
+        type: 'PING_EXPIRED',
+        data: { sessionId: entry.ping.sessionId, pingId: entry.ping.pingId, playerId }
+    });
+}
+
+/**
+ * 发送表情，整个会话可见
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {string} emoteId - 表情ID (必须在 EMOTES 中)
+ * @returns {object} 成功返回 { emote }，失败返回错误对象 { error, message }
+ */
+function sendEmote(sessionId, playerId, emoteId) {
+    const emote = EMOTES.find(e => e.id === emoteId);
+    if (!emote) {
+        return { error: 'INVALID_EMOTE', message: `表情 ${emoteId} 不存在` };
+    }
+    const { error, message } = checkSender(sessionId, playerId);
+    if (error) {
+        return { error, message };
+    }
+
+    const payload = { sessionId, playerId, emoteId: emote.id, name: emote.name, timestamp: Date.now() };
+    sendToPlayers(Object.keys(multiplayerHandler.activeSessions[sessionId].players), {
+        type: 'EMOTE_BROADCAST',
+        data: payload
+    });
+    return { emote: payload };
+}
+
+/**
+ * 在会话地图的某个格子上打标记，按游戏模式发给队友或整个会话，几秒后自动过期
+ * @param {string} sessionId - 会话ID
+ * @param {string} playerId - 玩家ID
+ * @param {{x: number, y: number}} position - 网格坐标
+ * @returns {object} 成功返回 { ping }，失败返回错误对象 { error, message }
+ */
+function pingRoom(sessionId, playerId, position) {
+    const { x, y } = position || {};
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+        return { error: 'INVALID_POSITION', message: '标记坐标必须是整数' };
+    }
+    const { session, error, message } = checkSender(sessionId, playerId);
+    if (error) {
+        return { error, message };
+    }
+    if (x < 0 || x >= session.mapData.width || y < 0 || y >= session.mapData.height) {
+        return { error: 'INVALID_POSITION', message: '标记坐标超出地图范围' };
+    }
+
+    // 每个玩家同时只保留一个标记
+    expirePing(playerId);
+
+    const now = Date.now();
+    const ping = {
+        sessionId,
+        pingId: `${now}-${++pingSeq}`,
+        playerId,
+        x,
+        y,
+        createdAt: now,
+        expiresAt: now + config.quickComms.pingDurationMs
+    };
+    const recipients = getPingRecipients(session, playerId);
+    activePings[playerId] = {
+        ping,
+        recipients,
+        timer: setTimeout(() => expirePing(playerId), config.quickComms.pingDurationMs)
+    };
+
+    sendToPlayers(recipients, { type: 'PING_MARKER', data: ping });
+    return { ping };
+}
+
+/**
+ * 获取可用的表情列表
+ * @returns {Array<object>} 表情列表
+ */
+function listEmotes() {
+    return EMOTES.map(emote => ({ ...emote }));
+}
+
+module.exports = {
+    sendEmote,
+    pingRoom,
+    listEmotes
+};
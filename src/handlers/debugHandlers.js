@@ -6,6 +6,9 @@
 const roomManager = require('../managers/roomManager');
 const sessionManager = require('../managers/sessionManager');
 const { sendSuccess, sendError } = require('../utils/responses');
+const mapRegistry = require('../game/mapRegistry');
+const { normalizeSeed } = require('../utils/helpers');
+const wsApp = require('../wsApp');
 const fs = require('fs'); // 引入fs模块
 const path = require('path'); // 引入path模块
 
@@ -90,6 +93,7 @@ function generateRoomsHtml(rooms) {
                              ' (ID: ' + (player.id || 'N/A') + ') ' + 
                              playerHostText + ' - ' + 
                              playerStatusText + 
+                             ' - 延迟: ' + formatRtt(wsApp.getClientRtt(player.openId)) +
                              '</li>';
         });
       } else {
@@ -201,6 +205,114 @@ function generateSessionsHtml(sessions) {
   return html;
 }
 
+/**
+ * 格式化往返延迟
+ * @param {number|null} rtt 延迟毫秒数
+ * @returns {string} 显示文本
+ */
+function formatRtt(rtt) {
+  return rtt === null ? 'N/A' : rtt + ' ms';
+}
+
+/**
+ * 生成 WebSocket 连接列表的 HTML 视图
+ * @param {Array} connections 连接列表
+ * @returns {string} HTML 字符串
+ */
+function generateConnectionsHtml(connections) {
+  let html =
+    '<!DOCTYPE html>' +
+    '<html lang="zh-CN">' +
+    '<head>' +
+    '  <meta charset="UTF-8">' +
+    '  <meta name="viewport" content="width=device-width, initial-scale=1.0">' +
+    '  <title>在线连接列表</title>' +
+    '  <style>' +
+    '    body { font-family: "Segoe UI", Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #f0f2f5; color: #333; }' +
+    '    .header-container { display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; }' +
+    '    h1 { color: #1877f2; margin: 0; font-size: 24px; }' +
+    '    .back-link { display: inline-block; padding: 8px 15px; background-color: #1877f2; color: white; text-decoration: none; border-radius: 5px; font-size: 14px; transition: background-color 0.3s ease; }' +
+    '    .back-link:hover { background-color: #166fe5; }' +
+    '    .container { background-color: #fff; padding: 20px; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.1); }' +
+    '    table { width: 100%; border-collapse: collapse; margin-top: 20px; }' +
+    '    th, td { padding: 12px 15px; border: 1px solid #ddd; text-align: left; vertical-align: top; }' +
+    '    th { background-color: #e9ecef; color: #495057; font-weight: 600; }' +
+    '    tr:nth-child(even) { background-color: #f8f9fa; }' +
+    '    tr:hover { background-color: #e9ecef; }' +
+    '    .empty-state { text-align: center; padding: 20px; color: #777; font-size: 16px; }' +
+    '    .missed-pongs { color: orange; font-weight: bold; }' +
+    '  </style>' +
+    '</head>' +
+    '<body>' +
+    '  <div class="header-container">' +
+    '    <h1>在线连接列表</h1>' +
+    '    <a href="/api/debug/" class="back-link">返回调试主页</a>' +
+    '  </div>' +
+    '  <div class="container">';
+
+  if (connections.length === 0) {
+    html += '<div class="empty-state"><p>当前没有在线的连接。</p></div>';
+  } else {
+    html +=
+        '<p>共 ' + connections.length + ' 个连接。</p>' +
+        '<table>' +
+        '  <thead>' +
+        '    <tr>' +
+        '      <th>用户ID</th>' +
+        '      <th>编码</th>' +
+        '      <th>延迟 (RTT)</th>' +
+        '      <th>未响应的 ping</th>' +
+        '      <th>连接时间</th>' +
+        '    </tr>' +
+        '  </thead>' +
+        '  <tbody>';
+    connections.forEach(connection => {
+      const missedText = connection.missedPongs > 1
+        ? '<span class="missed-pongs">' + connection.missedPongs + '</span>'
+        : String(connection.missedPongs);
+      html +=
+            '<tr>' +
+            '  <td>' + connection.userId + '</td>' +
+            '  <td>' + (connection.encoding || 'json') + '</td>' +
+            '  <td>' + formatRtt(connection.rtt) + '</td>' +
+            '  <td>' + missedText + '</td>' +
+            '  <td>' + (connection.connectedAt ? new Date(connection.connectedAt).toLocaleString() : 'N/A') + '</td>' +
+            '</tr>';
+    });
+    html +=
+        '  </tbody>' +
+        '</table>';
+  }
+  html +=
+    '  </div>' +
+    '</body>' +
+    '</html>';
+  return html;
+}
+
+/**
+ * 获取所有在线的 WebSocket 连接及其延迟
+ * @param {Object} req Request object
+ * @param {Object} res Response object
+ */
+function handleGetConnections(req, res) {
+  try {
+    const connections = wsApp.getConnectionStats();
+
+    // 根据 Accept 请求头决定返回 HTML 还是 JSON
+    const acceptsHtml = req.headers.accept && req.headers.accept.includes('text/html');
+    if (acceptsHtml && process.env.NODE_ENV !== 'production') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.send(generateConnectionsHtml(connections));
+    } else {
+      sendSuccess(res, 200, '成功获取在线连接。', { connections });
+    }
+  } catch (error) {
+    console.error('[调试处理器.处理获取在线连接] 获取连接时出错:', error);
+    sendError(res, 500, '无法获取在线连接', { message: error.message });
+  }
+}
+
 /**
  * Get all active rooms
  * @param {Object} req Request object
@@ -294,7 +406,61 @@ function handleGetDebugDashboard(req, res) {
   });
 }
 
+/**
+ * 校验地图是否可解
+ * 传 sessionId 时校验该会话正在使用的地图，否则按 mapId / gameMode / seed 生成一张地图再校验 (不做重试)
+ * @param {Object} req Request object
+ * @param {Object} res Response object
+ */
+function handleValidateMap(req, res) {
+  try {
+    const multiplayerHandler = require('../game/multiplayer_handler');
+    const { sessionId } = req.query;
+
+    if (sessionId) {
+      const session = multiplayerHandler.activeSessions[sessionId];
+      if (!session) {
+        return sendError(res, 404, '会话不存在', { sessionId });
+      }
+      const mapDef = mapRegistry.getMap(session.mapId);
+      const result = multiplayerHandler.validateRooms(session._internalRooms, mapDef, session.gameMode);
+      return sendSuccess(res, 200, '地图校验完成。', {
+        sessionId,
+        mapId: mapDef.id,
+        gameMode: session.gameMode,
+        seed: session.seed,
+        roomCount: session._internalRooms.length,
+        ...result
+      });
+    }
+
+    const mapId = req.query.mapId || mapRegistry.DEFAULT_MAP_ID;
+    if (!mapRegistry.hasMap(mapId)) {
+      return sendError(res, 400, `地图 ${mapId} 不存在`);
+    }
+    const mapDef = mapRegistry.getMap(mapId);
+    const gameMode = req.query.gameMode || '竞速模式';
+    const seed = normalizeSeed(req.query.seed);
+    const rooms = multiplayerHandler.generateRooms(gameMode, seed, mapDef);
+    const result = multiplayerHandler.validateRooms(rooms, mapDef, gameMode);
+
+    console.log(`[调试处理器.处理地图校验] 地图 ${mapId} 种子 ${seed}: ${result.valid ? '通过' : '失败'}`);
+    sendSuccess(res, 200, '地图校验完成。', {
+      mapId,
+      gameMode,
+      seed,
+      roomCount: rooms.length,
+      ...result
+    });
+  } catch (error) {
+    console.error('[调试处理器.处理地图校验] 校验地图时出错:', error);
+    sendError(res, 500, '无法校验地图', { message: error.message });
+  }
+}
+
 module.exports = {
+  handleValidateMap,
+  handleGetConnections,
   handleGetActiveRooms,
   handleGetActiveSessions,
   handleGetDebugDashboard
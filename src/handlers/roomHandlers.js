@@ -7,6 +7,10 @@ const roomManager = require('../managers/roomManager');
 const { validateRequest } = require('../utils/validation');
 const { sendSuccess, sendError } = require('../utils/responses');
 const wsApp = require('../wsApp');
+const mapRegistry = require('../game/mapRegistry');
+const chatManager = require('../managers/chatManager');
+const multiplayerHandler = require('../game/multiplayer_handler');
+const imposterMode = require('../game/imposterMode');
 
 /**
  * 创建房间请求处理器
@@ -31,7 +35,16 @@ function handleCreateRoom(req, res) {
       name: { type: 'string', required: false },
       maxPlayers: { type: 'number', min: 1, max: 10, default: 4 },
       timeLimit: { type: 'number', min: 600, max: 7200, default: 3600 },
-      mapId: { type: 'string', default: 'default' },
+      mapId: {
+        type: 'string',
+        default: mapRegistry.DEFAULT_MAP_ID,
+        validate: (value) => mapRegistry.hasMap(value) || `地图 ${value} 不存在`
+      },
+      gameMode: {
+        type: 'string',
+        default: roomManager.GAME_MODES[0],
+        validate: (value) => roomManager.GAME_MODES.includes(value) || `游戏模式 ${value} 不存在`
+      },
       gameSettings: { type: 'object', default: {} }
     });
 
@@ -113,6 +126,30 @@ function handleGetAllRooms(req, res) {
   }
 }
 
+/**
+ * 获取可观战房间列表请求处理器 (有进行中游戏会话的房间)
+ * @param {Object} req 请求对象
+ * @param {Object} res 响应对象
+ */
+function handleGetSpectatableRooms(req, res) {
+  try {
+    const rooms = multiplayerHandler.getSpectatableSessions().map(session => {
+      const room = roomManager.getRoom(session.sessionId);
+      return {
+        roomId: session.sessionId,
+        name: room ? room.name : null,
+        maxPlayers: room ? room.maxPlayers : null,
+        ...session
+      };
+    });
+
+    sendSuccess(res, 200, '获取可观战房间列表成功', { rooms });
+  } catch (error) {
+    console.error('获取可观战房间列表失败:', error);
+    sendError(res, 500, '获取可观战房间列表失败', { message: error.message });
+  }
+}
+
 /**
  * 更新房间信息请求处理器
  * @param {Object} req 请求对象
@@ -258,6 +295,8 @@ function handleAddPlayerToRoom(req, res) {
            ready: p.ready,
            isHeroLocked: p.isHeroLocked,
            selectedHeroId: p.selectedHeroId,
+           isOffline: !!p.isOffline,
+           rtt: wsApp.getClientRtt(p.openId),
            isBot: p.isBot
         })),
         playerCount: updatedRoom.players.length,
@@ -269,6 +308,8 @@ function handleAddPlayerToRoom(req, res) {
     };
     wsApp.broadcastToRoom(roomId, broadcastData);
     console.log(`[handleAddPlayerToRoom] 已通过WebSocket向房间 ${roomId} 广播 PLAYER_JOINED 更新`);
+    // 向新加入的玩家回放房间聊天历史
+    wsApp.sendChatHistory(playerId, chatManager.CHAT_CHANNELS.ROOM, roomId);
 
 
     // 返回成功信息，包含更新后的房间状态
@@ -356,6 +397,14 @@ function handleStartGame(req, res) {
         return sendError(res, 400, `有玩家未准备好 (${notReadyPlayers.length}/${room.players.length})，无法开始游戏`);
     }
 
+    // 检查5：冒名者模式的真人玩家人数是否足够 (身份只分配给真人玩家)
+    if (room.gameMode === imposterMode.IMPOSTER_MODE) {
+      const countError = imposterMode.checkPlayerCount(room.players.filter(p => !p.isBot).length);
+      if (countError) {
+        return sendError(res, 400, countError.message);
+      }
+    }
+
     // 所有检查通过，调用 startGame
     console.log(`[handleStartGame] 房间 ${roomId} 通过所有检查，尝试调用 roomManager.startGame...`);
     const gameState = roomManager.startGame(roomId);
@@ -502,6 +551,8 @@ function handleUpdatePlayerReady(req, res) {
           ready: p.ready,
           isHeroLocked: p.isHeroLocked,
           selectedHeroId: p.selectedHeroId,
+          isOffline: !!p.isOffline,
+          rtt: wsApp.getClientRtt(p.openId),
           nickname: p.nickname || p.openId
         })),
         readyCount: result.players.filter(p => p.ready).length,
@@ -525,6 +576,7 @@ module.exports = {
   handleCreateRoom,
   handleGetRoom,
   handleGetAllRooms,
+  handleGetSpectatableRooms,
   handleUpdateRoom,
   handleCloseRoom,
   handleAddPlayerToRoom,
@@ -0,0 +1,142 @@
+/**
+ * 聊天管理器
+ * 负责房间聊天和游戏会话聊天的校验、限流、敏感词过滤和历史记录
+ * 消息的实际发送仍由 wsApp 负责
+ */
+
+const config = require('../config');
+const gameStore = require('../storage/file/gameStore');
+
+// 聊天频道
+const CHAT_CHANNELS = {
+  ROOM: 'room',
+  SESSION: 'session'
+};
+
+// 聊天历史 Map，key 为 `${channel}:${channelId}`，value 为按时间排序的消息数组
+const chatHistories = new Map();
+
+// 发言频率计数 Map，key 为用户ID，value 为 { count, resetTime }
+const rateLimitRecords = new Map();
+
+// 自增消息序号，用于生成消息ID
+let messageSeq = 0;
+
+/**
+ * 生成聊天历史的存储键
+ * @param {string} channel 频道 (room/session)
+ * @param {string} channelId 房间ID或会话ID
+ * @returns {string} 存储键
+ */
+function getHistoryKey(channel, channelId) {
+  return `${channel}:${channelId}`;
+}
+
+/**
+ * 检查并记录用户的发言频率 (固定时间窗口计数)
+ * @param {string} userId 用户ID
+ * @returns {boolean} 是否允许发言
+ */
+function consumeRateLimit(userId) {
+  const { rateLimitCount, rateLimitWindowMs } = config.chat;
+  const now = Date.now();
+  let record = rateLimitRecords.get(userId);
+
+  if (!record || now > record.resetTime) {
+    record = { count: 0, resetTime: now + rateLimitWindowMs };
+    rateLimitRecords.set(userId, record);
+  }
+  if (record.count >= rateLimitCount) {
+    return false;
+  }
+  record.count += 1;
+  return true;
+}
+
+/**
+ * 用游戏配置中的敏感词列表过滤消息，命中的词替换为等长的 *
+ * @param {string} text 消息内容
+ * @returns {Promise<string>} 过滤后的内容
+ */
+async function filterBannedWords(text) {
+  const gameConfig = await gameStore.loadGameConfig();
+  const bannedWords = (gameConfig.chat && Array.isArray(gameConfig.chat.bannedWords))
+    ? gameConfig.chat.bannedWords
+    : [];
+
+  return bannedWords.reduce((result, word) => {
+    if (!word) return result;
+    return result.split(word).join('*'.repeat(word.length));
+  }, text);
+}
+
+/**
+ * 校验并记录一条聊天消息
+ * @param {Object} options 消息参数
+ * @param {string} options.channel 频道 (room/session)
+ * @param {string} options.channelId 房间ID或会话ID
+ * @param {string} options.senderId 发送者ID
+ * @param {string} options.senderName 发送者昵称
+ * @param {string} options.message 消息内容
+ * @returns {Promise<Object>} 成功返回 { chatMessage }，失败返回错误对象 { error, message }
+ */
+async function postMessage({ channel, channelId, senderId, senderName, message }) {
+  if (typeof message !== 'string' || message.trim().length === 0) {
+    return { error: 'EMPTY_MESSAGE', message: '消息内容不能为空' };
+  }
+
+  const text = message.trim();
+  if (text.length > config.chat.maxLength) {
+    return { error: 'MESSAGE_TOO_LONG', message: `消息长度不能超过 ${config.chat.maxLength} 个字符` };
+  }
+
+  if (!consumeRateLimit(senderId)) {
+    return { error: 'RATE_LIMITED', message: '发言过于频繁，请稍后再试' };
+  }
+
+  const chatMessage = {
+    id: `${Date.now()}-${++messageSeq}`,
+    channel,
+    senderId,
+    senderName,
+    message: await filterBannedWords(text),
+    timestamp: Date.now()
+  };
+
+  const key = getHistoryKey(channel, channelId);
+  const history = chatHistories.get(key) || [];
+  history.push(chatMessage);
+  // 只保留最近的 historySize 条消息
+  if (history.length > config.chat.historySize) {
+    history.splice(0, history.length - config.chat.historySize);
+  }
+  chatHistories.set(key, history);
+
+  return { chatMessage };
+}
+
+/**
+ * 获取频道的聊天历史
+ * @param {string} channel 频道 (room/session)
+ * @param {string} channelId 房间ID或会话ID
+ * @returns {Array<Object>} 聊天消息列表 (按时间升序)
+ */
+function getHistory(channel, channelId) {
+  return [...(chatHistories.get(getHistoryKey(channel, channelId)) || [])];
+}
+
+/**
+ * 清除频道的聊天历史 (房间关闭或会话结束时调用)
+ * @param {string} channel 频道 (room/session)
+ * @param {string} channelId 房间ID或会话ID
+ */
+function clearHistory(channel, channelId) {
+  chatHistories.delete(getHistoryKey(channel, channelId));
+}
+
+module.exports = {
+  CHAT_CHANNELS,
+  postMessage,
+  getHistory,
+  clearHistory
+};
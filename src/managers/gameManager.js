@@ -3,7 +3,22 @@
  */
 const gameStateStore = require('../storage/memory/gameStateStore');
 const roomManager = require('./roomManager');
-const { generateId } = require('../utils/helpers');
+const multiplayerHandler = require('../game/multiplayer_handler');
+const effectEngine = require('../game/effectEngine');
+const imposterMode = require('../game/imposterMode');
+
+// GAME_ACTION 消息支持的操作 (移动使用 PLAYER_MOVE 消息，由 multiplayer_handler 做服务器权威校验)
+const GAME_ACTIONS = ['collect_item', 'use_item', 'open_door'];
+
+// 地图道具揭示的范围 (与玩家所在格子的曼哈顿距离)
+const MAP_REVEAL_DISTANCE = 2;
+
+// 增益道具类型对应的效果 (效果的持续时间和叠加规则在 effectEngine 中定义)
+const POWERUP_EFFECTS = {
+  speed: 'speed_boost',
+  vision: 'vision_boost',
+  shield: 'shield'
+};
 
 /**
  * 获取游戏状态
@@ -15,238 +30,53 @@ function getGameState(roomId) {
 }
 
 /**
- * 更新玩家位置
- * @param {string} roomId 房间ID
+ * 玩家主动拾取所在地图房间里的物品 (物品保存在游戏会话中，进入房间时也会自动拾取)
+ * @param {string} roomId 房间ID (与游戏会话ID相同)
  * @param {string} playerId 玩家ID
- * @param {Object} position 玩家位置
- * @param {string} direction 玩家方向
- * @returns {boolean} 是否成功更新
+ * @param {string} itemId 物品实例ID
+ * @returns {boolean} 是否成功拾取
  */
-function updatePlayerPosition(roomId, playerId, position, direction = 'right') {
-  // 检查参数合法性
-  if (!roomId || !playerId || !position || !position.x || !position.y) {
-    console.log(`更新位置参数错误: roomId=${roomId}, playerId=${playerId}, position=`, position);
+function collectItem(roomId, playerId, itemId) {
+  const session = multiplayerHandler.activeSessions[roomId];
+  const player = session && session.players[playerId];
+  if (!player) return false;
+  
+  const mapRoom = multiplayerHandler.findRoomAt(session._internalRooms, player.position.x, player.position.y);
+  const item = mapRoom && (mapRoom.items || []).find(i => i.id === itemId);
+  if (!item) {
+    console.log(`拾取物品失败: 玩家 ${playerId} 所在的房间中没有物品 ${itemId}`);
     return false;
   }
   
-  // 更新玩家状态
-  const updated = gameStateStore.updatePlayerState(roomId, playerId, {
-    position,
-    direction,
-    lastUpdateTime: Date.now()
-  });
-  
-  // 广播位置更新
-  if (updated) {
-    roomManager.broadcastGameAction(roomId, playerId, 'move', {
-      position,
-      direction
-    });
-    
-    // 检查是否达到了游戏终点或触发了其他逻辑
-    checkPositionTriggers(roomId, playerId, position);
-  }
-  
-  return updated;
-}
-
-/**
- * 检查位置是否触发特殊逻辑
- * @param {string} roomId 房间ID
- * @param {string} playerId 玩家ID
- * @param {Object} position 玩家位置
- * @private
- */
-function checkPositionTriggers(roomId, playerId, position) {
-  const gameState = gameStateStore.getGameState(roomId);
-  if (!gameState) return;
-  
-  // 检查是否到达终点
-  if (gameState.mapData.finish) {
-    const finish = gameState.mapData.finish;
-    const distance = Math.sqrt(
-      Math.pow(position.x - finish.x, 2) + 
-      Math.pow(position.y - finish.y, 2)
-    );
-    
-    // 如果玩家接近终点，视为到达终点
-    if (distance < 30) {
-      handlePlayerReachedFinish(roomId, playerId);
-      return;
-    }
-  }
-  
-  // 检查是否接近物品
-  if (gameState.itemStates && gameState.itemStates.length > 0) {
-    for (const item of gameState.itemStates) {
-      // 跳过已收集的物品
-      if (item.collected) continue;
-      
-      const distance = Math.sqrt(
-        Math.pow(position.x - item.position.x, 2) + 
-        Math.pow(position.y - item.position.y, 2)
-      );
-      
-      // 如果玩家接近物品，触发收集
-      if (distance < 50) {
-        handleItemCollection(roomId, playerId, item.id);
-        break;
-      }
-    }
-  }
-}
-
-/**
- * 处理玩家到达终点
- * @param {string} roomId 房间ID
- * @param {string} playerId 玩家ID
- * @private
- */
-function handlePlayerReachedFinish(roomId, playerId) {
-  const gameState = gameStateStore.getGameState(roomId);
-  if (!gameState) return;
-  
-  // 判断该玩家是否已经完成
-  if (gameState.playerStates[playerId].status === 'finished') {
-    return;
-  }
-  
-  // 记录完成时间
-  const finishTime = Date.now();
-  const startTime = gameState.startTime || 0;
-  const timeUsed = finishTime - startTime;
-  
-  // 更新玩家状态
-  gameStateStore.updatePlayerState(roomId, playerId, {
-    status: 'finished',
-    finishTime,
-    timeUsed
-  });
-  
-  // 计算分数，时间越短分数越高
-  let score = Math.max(1000 - Math.floor(timeUsed / 100), 100);
-  
-  // 检查是否是第一个完成的玩家
-  const finishedPlayers = Object.values(gameState.playerStates).filter(p => p.status === 'finished');
-  if (finishedPlayers.length === 1) {
-    // 第一名奖励
-    score += 500;
-  } else if (finishedPlayers.length === 2) {
-    // 第二名奖励
-    score += 300;
-  } else if (finishedPlayers.length === 3) {
-    // 第三名奖励
-    score += 100;
-  }
-  
-  // 更新分数
-  gameStateStore.updateScore(roomId, playerId, score);
+  mapRoom.items = mapRoom.items.filter(i => i !== item);
+  player.items.push(item);
   
-  // 广播玩家完成事件
-  roomManager.notifyAllPlayers(roomId, {
-    type: 'PLAYER_FINISHED',
-    data: {
-      roomId,
-      playerId,
-      finishTime,
-      timeUsed,
-      score
-    }
-  });
-  
-  // 检查游戏是否结束
-  checkGameCompletion(roomId);
-}
-
-/**
- * 处理物品收集
- * @param {string} roomId 房间ID
- * @param {string} playerId 玩家ID
- * @param {string} itemId 物品ID
- * @private
- */
-function handleItemCollection(roomId, playerId, itemId) {
-  // 更新物品状态
-  const updated = gameStateStore.updateItemState(roomId, itemId, {
-    collected: true,
-    collectedBy: playerId,
-    collectedAt: Date.now()
-  });
-  
-  if (!updated) return;
-  
-  // 获取游戏状态
-  const gameState = gameStateStore.getGameState(roomId);
-  if (!gameState) return;
-  
-  // 找到物品信息
-  const item = gameState.itemStates.find(i => i.id === itemId);
-  if (!item) return;
-  
-  // 更新玩家物品列表
-  const playerState = gameState.playerStates[playerId];
-  if (playerState) {
-    const playerItems = [...(playerState.items || [])];
-    playerItems.push(itemId);
-    
-    gameStateStore.updatePlayerState(roomId, playerId, {
-      items: playerItems
-    });
-  }
-  
-  // 根据物品类型给予分数
-  let scoreBonus = 50; // 默认分数
-  
-  switch (item.type) {
-    case 'key':
-      scoreBonus = 100;
-      break;
-    case 'treasure':
-      scoreBonus = 200;
-      break;
-    case 'powerup':
-      scoreBonus = 150;
-      break;
-  }
-  
-  // 更新分数
-  gameStateStore.updateScore(roomId, playerId, scoreBonus);
-  
-  // 广播收集事件
   roomManager.broadcastGameAction(roomId, playerId, 'collect_item', {
     itemId,
     itemType: item.type,
-    scoreBonus
+    mapRoomId: mapRoom.id
   });
-  
-  // 检查是否收集了所有物品（针对特定游戏模式）
-  checkItemsCompletion(roomId);
+  return true;
 }
 
 /**
- * 使用物品
- * @param {string} roomId 房间ID
+ * 使用玩家持有的物品 (物品在游戏会话的玩家物品栏中，即从地图房间拾取的物品)
+ * @param {string} roomId 房间ID (与游戏会话ID相同)
  * @param {string} playerId 玩家ID
- * @param {string} itemId 物品ID
+ * @param {string} itemId 物品实例ID
  * @param {Object} targetData 目标数据
  * @returns {boolean} 是否成功使用
  */
 function useItem(roomId, playerId, itemId, targetData = {}) {
-  // 获取游戏状态
-  const gameState = gameStateStore.getGameState(roomId);
-  if (!gameState) return false;
-  
   // 检查玩家是否有此物品
-  const playerState = gameState.playerStates[playerId];
-  if (!playerState || !playerState.items || !playerState.items.includes(itemId)) {
+  const session = multiplayerHandler.activeSessions[roomId];
+  const player = session && session.players[playerId];
+  const item = player && player.items.find(i => i.id === itemId);
+  if (!item) {
     console.log(`使用物品失败: 玩家 ${playerId} 没有物品 ${itemId}`);
     return false;
   }
   
-  // 获取物品信息
-  const item = gameState.itemStates.find(i => i.id === itemId);
-  if (!item) return false;
-  
   // 根据物品类型处理不同效果
   let effect = null;
   
@@ -274,10 +104,7 @@ function useItem(roomId, playerId, itemId, targetData = {}) {
   
   // 从玩家物品栏中移除物品（如果是一次性物品）
   if (effect.consumable !== false) {
-    const updatedItems = playerState.items.filter(id => id !== itemId);
-    gameStateStore.updatePlayerState(roomId, playerId, {
-      items: updatedItems
-    });
+    player.items = player.items.filter(i => i !== item);
   }
   
   // 广播物品使用事件
@@ -292,113 +119,92 @@ function useItem(roomId, playerId, itemId, targetData = {}) {
 }
 
 /**
- * 处理钥匙使用
- * @param {string} roomId 房间ID
+ * 用玩家持有的一把钥匙打开门 (门ID为上锁出口所在地图房间的ID)
+ * @param {string} roomId 房间ID (与游戏会话ID相同)
  * @param {string} playerId 玩家ID
- * @param {Object} item 物品信息
- * @param {Object} targetData 目标数据
- * @returns {Object|null} 效果对象或null
- * @private
+ * @param {string} doorId 门ID
+ * @returns {boolean} 是否成功开门
  */
-function handleKeyUsage(roomId, playerId, item, targetData) {
-  if (!targetData.doorId) {
-    console.log(`使用钥匙失败: 未指定门ID`);
-    return null;
+function openDoor(roomId, playerId, doorId) {
+  const session = multiplayerHandler.activeSessions[roomId];
+  const player = session && session.players[playerId];
+  if (!player) return false;
+  
+  const key = player.items.find(item => item.type === 'key');
+  if (!key) {
+    console.log(`开门失败: 玩家 ${playerId} 没有钥匙`);
+    return false;
   }
   
-  // 更新地图状态，开启指定的门
-  const gameState = gameStateStore.getGameState(roomId);
-  if (!gameState || !gameState.mapData.doors) return null;
-  
-  const door = gameState.mapData.doors.find(d => d.id === targetData.doorId);
-  if (!door) {
-    console.log(`使用钥匙失败: 找不到门 ${targetData.doorId}`);
-    return null;
+  return useItem(roomId, playerId, key.id, { doorId });
+}
+
+/**
+ * 检查玩家当前能否在游戏会话 (与房间同ID) 中执行操作，规则与 PLAYER_MOVE、USE_SKILL 一致
+ * @param {Object} session 游戏会话
+ * @param {string} playerId 玩家ID
+ * @returns {Object|null} 不能执行时返回错误对象 { error, message }
+ * @private
+ */
+function checkActionAllowed(session, playerId) {
+  const player = session && session.players[playerId];
+  if (!player) {
+    return { error: 'NOT_IN_SESSION', message: '你不在该游戏会话中' };
   }
-  
-  // 检查钥匙是否匹配
-  if (door.keyType && item.keyType && door.keyType !== item.keyType) {
-    console.log(`使用钥匙失败: 钥匙类型不匹配，门需要 ${door.keyType}，但使用了 ${item.keyType}`);
-    return null;
+  if (session.status !== 'playing') {
+    return { error: 'SESSION_ENDED', message: '游戏已经结束' };
   }
-  
-  // 更新门状态
-  const doors = [...gameState.mapData.doors];
-  const doorIndex = doors.findIndex(d => d.id === targetData.doorId);
-  if (doorIndex >= 0) {
-    doors[doorIndex] = { ...door, locked: false, openedBy: playerId };
-    
-    gameStateStore.updateMapData(roomId, {
-      doors
-    });
-    
-    // 给予玩家开门奖励分数
-    gameStateStore.updateScore(roomId, playerId, 50);
-    
-    return { type: 'unlock_door', consumable: true };
+  if (player.status === 'eliminated') {
+    return { error: 'PLAYER_ELIMINATED', message: '你已被淘汰' };
+  }
+  if (imposterMode.isMeetingInProgress(session)) {
+    return { error: 'MEETING_IN_PROGRESS', message: '紧急会议中不能行动' };
+  }
+  if (session.currentTurn !== playerId) {
+    return { error: 'NOT_YOUR_TURN', message: '只能在自己的回合行动' };
   }
-  
   return null;
 }
 
 /**
- * 处理增益道具使用
+ * 执行 GAME_ACTION 消息中的玩家操作 (在房间对应的游戏会话中，只能在自己的回合执行)
  * @param {string} roomId 房间ID
  * @param {string} playerId 玩家ID
- * @param {Object} item 物品信息
- * @returns {Object|null} 效果对象或null
- * @private
+ * @param {string} action 操作类型 (GAME_ACTIONS)
+ * @param {Object} data 操作数据
+ * @returns {Object} 成功返回 { success: true }，失败返回错误对象 { error, message }
  */
-function handlePowerupUsage(roomId, playerId, item) {
-  // 获取增益类型
-  const powerupType = item.powerupType || 'speed';
-  
-  // 应用增益效果
-  let effect = null;
+function performAction(roomId, playerId, action, data = {}) {
+  const session = multiplayerHandler.activeSessions[roomId];
+  if (!session) {
+    return { error: 'NOT_IN_SESSION', message: '游戏尚未开始' };
+  }
+  const failure = checkActionAllowed(session, playerId);
+  if (failure) {
+    return failure;
+  }
   
-  switch (powerupType) {
-    case 'speed':
-      // 速度提升
-      gameStateStore.updatePlayerState(roomId, playerId, {
-        speedBoost: {
-          active: true,
-          factor: 1.5,
-          expiresAt: Date.now() + 10000 // 10秒
-        }
-      });
-      effect = { type: 'speed_boost', consumable: true };
+  let success = false;
+  switch (action) {
+    case 'collect_item':
+      success = collectItem(roomId, playerId, data.itemId);
       break;
-      
-    case 'vision':
-      // 视野提升
-      gameStateStore.updatePlayerState(roomId, playerId, {
-        visionBoost: {
-          active: true,
-          factor: 2,
-          expiresAt: Date.now() + 15000 // 15秒
-        }
-      });
-      effect = { type: 'vision_boost', consumable: true };
+    case 'use_item':
+      success = useItem(roomId, playerId, data.itemId, data.targetData);
       break;
-      
-    case 'shield':
-      // 护盾效果
-      gameStateStore.updatePlayerState(roomId, playerId, {
-        shield: {
-          active: true,
-          durability: 100,
-          expiresAt: Date.now() + 20000 // 20秒
-        }
-      });
-      effect = { type: 'shield', consumable: true };
+    case 'open_door':
+      success = openDoor(roomId, playerId, data.doorId);
       break;
+    default:
+      return { error: 'INVALID_ACTION', message: `不支持的游戏操作: ${action}` };
   }
   
-  return effect;
+  return success ? { success: true } : { error: 'ACTION_FAILED', message: `无法执行游戏操作: ${action}` };
 }
 
 /**
- * 处理工具道具使用
+ * 处理钥匙使用：打开相邻的上锁出口，打开后所有玩家都可以直接逃脱
+ * 出口必须与玩家所在房间连通，且玩家已经看到过
  * @param {string} roomId 房间ID
  * @param {string} playerId 玩家ID
  * @param {Object} item 物品信息
@@ -406,148 +212,100 @@ function handlePowerupUsage(roomId, playerId, item) {
  * @returns {Object|null} 效果对象或null
  * @private
  */
-function handleToolUsage(roomId, playerId, item, targetData) {
-  // 获取工具类型
-  const toolType = item.toolType || 'flashlight';
+function handleKeyUsage(roomId, playerId, item, targetData) {
+  if (!targetData.doorId) {
+    console.log(`使用钥匙失败: 未指定门ID`);
+    return null;
+  }
   
-  // 应用工具效果
-  let effect = null;
+  const session = multiplayerHandler.activeSessions[roomId];
+  const player = session.players[playerId];
+  const door = session._internalRooms.find(mapRoom => String(mapRoom.id) === String(targetData.doorId));
+  const revealed = session.revealedRooms[playerId] || [];
+  if (!door || !door.isExit || !door.isLocked || !revealed.includes(door.id)) {
+    console.log(`使用钥匙失败: 玩家 ${playerId} 看不到上锁的门 ${targetData.doorId}`);
+    return null;
+  }
   
-  switch (toolType) {
-    case 'flashlight':
-      // 手电筒效果
-      effect = { 
-        type: 'illuminate', 
-        consumable: false, 
-        duration: 5000 // 持续照射5秒
-      };
-      break;
-      
-    case 'map':
-      // 地图效果，显示部分区域
-      gameStateStore.updatePlayerState(roomId, playerId, {
-        revealedAreas: [...(gameState.playerStates[playerId].revealedAreas || []), targetData.areaId]
-      });
-      effect = { type: 'reveal_area', consumable: false };
-      break;
-      
-    case 'detector':
-      // 探测器效果，可以探测附近物品
-      effect = { type: 'detect_items', consumable: false, radius: 150 };
-      break;
+  const currentRoom = multiplayerHandler.findRoomAt(session._internalRooms, player.position.x, player.position.y);
+  if (!multiplayerHandler.canMoveBetweenRooms(currentRoom, door)) {
+    console.log(`使用钥匙失败: 玩家 ${playerId} 不在门 ${targetData.doorId} 旁边`);
+    return null;
   }
   
-  return effect;
+  door.isLocked = false;
+  return { type: 'unlock_door', consumable: true };
 }
 
 /**
- * 检查物品收集完成状态
+ * 处理增益道具使用：效果交给游戏会话 (与房间同ID) 的效果引擎，由引擎计时并自动过期
  * @param {string} roomId 房间ID
+ * @param {string} playerId 玩家ID
+ * @param {Object} item 物品信息
+ * @returns {Object|null} 效果对象或null
  * @private
  */
-function checkItemsCompletion(roomId) {
-  const gameState = gameStateStore.getGameState(roomId);
-  if (!gameState) return;
-  
-  // 检查是否有必须收集的物品，以及是否全部收集
-  const requiredItems = gameState.itemStates.filter(item => item.required);
-  if (requiredItems.length === 0) return;
-  
-  const allCollected = requiredItems.every(item => item.collected);
-  if (!allCollected) return;
-  
-  // 所有必要物品已收集，通知玩家并可能解锁出口
-  roomManager.notifyAllPlayers(roomId, {
-    type: 'ALL_REQUIRED_ITEMS_COLLECTED',
-    data: {
-      roomId,
-      unlockedExit: true
-    }
-  });
+function handlePowerupUsage(roomId, playerId, item) {
+  // 获取增益类型对应的效果
+  const effectType = POWERUP_EFFECTS[item.powerupType || 'speed'];
+  if (!effectType) return null;
   
-  // 更新地图状态，解锁出口
-  if (gameState.mapData.exit) {
-    const exit = { ...gameState.mapData.exit, locked: false };
-    gameStateStore.updateMapData(roomId, { exit });
+  const session = multiplayerHandler.activeSessions[roomId];
+  if (!session || !session.players[playerId]) {
+    console.log(`使用增益道具失败: 玩家 ${playerId} 不在游戏会话 ${roomId} 中`);
+    return null;
   }
+  
+  const effect = effectEngine.applyEffect(session, playerId, effectType, { source: item.id });
+  return effect ? { type: effectType, consumable: true } : null;
 }
 
 /**
- * 检查游戏完成状态
+ * 获取玩家所在格子附近 (MAP_REVEAL_DISTANCE 以内) 的地图房间
+ * @param {Object} session 游戏会话
+ * @param {string} playerId 玩家ID
+ * @returns {Array<Object>} 地图房间
+ * @private
+ */
+function getNearbyRooms(session, playerId) {
+  const { x, y } = session.players[playerId].position;
+  return session._internalRooms.filter(mapRoom =>
+    Math.abs(mapRoom.x - x) + Math.abs(mapRoom.y - y) <= MAP_REVEAL_DISTANCE
+  );
+}
+
+/**
+ * 处理工具道具使用 (都是一次性道具)
  * @param {string} roomId 房间ID
+ * @param {string} playerId 玩家ID
+ * @param {Object} item 物品信息
+ * @param {Object} targetData 目标数据
+ * @returns {Object|null} 效果对象或null
  * @private
  */
-function checkGameCompletion(roomId) {
-  const gameState = gameStateStore.getGameState(roomId);
-  if (!gameState) return;
-  
-  const room = roomManager.getRoom(roomId);
-  if (!room) return;
-  
-  let gameCompleted = false;
-  let winner = null;
+function handleToolUsage(roomId, playerId, item, targetData) {
+  const session = multiplayerHandler.activeSessions[roomId];
   
-  // 根据游戏模式检查完成条件
-  switch (room.gameMode) {
-    case 'racing':
-      // 竞速模式：检查是否所有玩家都完成或达到时间限制
-      const allFinished = Object.values(gameState.playerStates).every(p => p.status === 'finished');
-      const timeLimit = gameState.startTime + (gameState.timeLimit || 300000); // 默认5分钟
-      
-      if (allFinished || Date.now() > timeLimit) {
-        gameCompleted = true;
-        
-        // 找出完成时间最短的玩家
-        const finishedPlayers = Object.entries(gameState.playerStates)
-          .filter(([_, p]) => p.status === 'finished')
-          .sort((a, b) => a[1].timeUsed - b[1].timeUsed);
-        
-        if (finishedPlayers.length > 0) {
-          winner = finishedPlayers[0][0]; // 获取ID
-        }
-      }
-      break;
-      
-    case 'nightmare':
-      // 恐怖模式：检查玩家是否达到出口
-      const playerAtExit = Object.entries(gameState.playerStates).find(([id, p]) => {
-        if (!gameState.mapData.exit || !p.position) return false;
-        
-        const distance = Math.sqrt(
-          Math.pow(p.position.x - gameState.mapData.exit.position.x, 2) + 
-          Math.pow(p.position.y - gameState.mapData.exit.position.y, 2)
-        );
-        
-        return distance < 30 && (!gameState.mapData.exit.locked);
-      });
+  switch (item.toolType || 'flashlight') {
+    case 'flashlight': {
+      // 手电筒，施加夜视效果，由效果引擎计时并自动过期
+      const effect = effectEngine.applyEffect(session, playerId, 'vision_boost', { source: item.id });
+      return effect ? { type: 'vision_boost', consumable: true } : null;
+    }
       
-      if (playerAtExit) {
-        gameCompleted = true;
-        winner = playerAtExit[0]; // 获取ID
-      }
-      break;
+    case 'map':
+      // 地图，为玩家揭示所在位置附近的房间
+      multiplayerHandler.revealRooms(roomId, playerId, getNearbyRooms(session, playerId));
+      return { type: 'reveal_area', consumable: true };
       
-    case 'imposter':
-      // 冒名者模式：检查是否只剩一名玩家
-      const activePlayers = Object.values(gameState.playerStates).filter(p => p.status === 'active');
+    case 'detector':
+      // 探测器，为玩家揭示附近放有物品的房间
+      multiplayerHandler.revealRooms(roomId, playerId,
+        getNearbyRooms(session, playerId).filter(mapRoom => (mapRoom.items || []).length > 0));
+      return { type: 'detect_items', consumable: true };
       
-      if (activePlayers.length <= 1) {
-        gameCompleted = true;
-        
-        if (activePlayers.length === 1) {
-          // 找出剩余的玩家
-          const lastPlayer = Object.entries(gameState.playerStates).find(([_, p]) => p.status === 'active');
-          if (lastPlayer) {
-            winner = lastPlayer[0]; // 获取ID
-          }
-        }
-      }
-      break;
-  }
-  
-  // 如果游戏完成，结束游戏
-  if (gameCompleted) {
-    endGame(roomId, { winner });
+    default:
+      return null;
   }
 }
 
@@ -581,9 +339,12 @@ function deleteGameState(roomId) {
 }
 
 module.exports = {
+  GAME_ACTIONS,
   getGameState,
-  updatePlayerPosition,
+  collectItem,
   useItem,
+  openDoor,
+  performAction,
   endGame,
   updateGameState,
   deleteGameState
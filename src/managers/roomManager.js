@@ -6,6 +6,8 @@
 const roomStore = require('../storage/memory/roomStore');
 const gameStateStore = require('../storage/memory/gameStateStore');
 const { generateRoomId } = require('../utils/helpers');
+const config = require('../config');
+const chatManager = require('./chatManager');
 // !!! 移除之前添加的 wsApp 引入 !!!
 // const wsApp = require('../wsApp'); 
 
@@ -13,11 +15,17 @@ const { generateRoomId } = require('../utils/helpers');
 const roomLocks = new Map();
 const LOCK_TIMEOUT = 5000; // 5 秒超时
 
+// 离线玩家的移除计时器 Map，key 为 `${roomId}:${playerId}`
+const offlineTimers = new Map();
+
 // 假设在文件顶部或通过 require/import 获取了所有英雄ID
 // const ALL_HERO_IDS = ['dongdong', 'missO', 'fox', ...]; 
 // 暂时硬编码一个示例列表，需要替换为实际数据源
 const ALL_HERO_IDS = ['dongdong', 'missO', 'fox', 'prometheus', 'drxu', 'chenYY', 'zilin', 'ying', 'qinhan', 'navigator']; 
 
+// 房间可选的游戏模式，开始游戏后作为会话的 gameMode
+const GAME_MODES = ['竞速模式', '梦魇模式', '冒名者模式'];
+
 /**
  * 创建新房间
  * @param {Object} options 房间选项
@@ -27,11 +35,12 @@ const ALL_HERO_IDS = ['dongdong', 'missO', 'fox', 'prometheus', 'drxu', 'chenYY'
  * @param {number} options.maxPlayers 最大玩家数
  * @param {number} options.timeLimit 游戏时间限制(秒)
  * @param {string} options.mapId 地图ID
+ * @param {string} options.gameMode 游戏模式 (GAME_MODES)
  * @param {Object} options.gameSettings 游戏设置
  * @returns {Object} 创建的房间信息
  */
 function createRoom(options) {
-  const { name, hostId, hostNickname = '房主', maxPlayers = 4, timeLimit = 3600, mapId = 'default', gameSettings = {} } = options;
+  const { name, hostId, hostNickname = '房主', maxPlayers = 4, timeLimit = 3600, mapId = 'default', gameMode = GAME_MODES[0], gameSettings = {} } = options;
 
   // 验证必要参数
   if (!name || !hostId) {
@@ -50,6 +59,7 @@ function createRoom(options) {
     maxPlayers: Math.min(Math.max(2, maxPlayers), 10), // 确保最大玩家数在2-10之间
     timeLimit,
     mapId,
+    gameMode,
     gameSettings,
     players: [{
       openId: hostId,
@@ -169,8 +179,8 @@ function addPlayerToRoom(roomId, playerId, playerData = {}) {
       return null;
     }
 
-    // 检查房间状态
-    if (room.status !== 'waiting') {
+    // 检查房间状态 (已在房间中的玩家重连时不受限制)
+    if (room.status !== 'waiting' && !room.players.some(p => p.openId === playerId)) {
       console.log(`[addPlayerToRoom] 房间 ${roomId} 状态不是等待中: ${room.status}`);
       // 考虑是否应该返回一个不同的错误信息
       return { error: 'ROOM_NOT_WAITING', message: '房间当前不可加入' };
@@ -193,6 +203,14 @@ function addPlayerToRoom(roomId, playerId, playerData = {}) {
     const existingPlayerIndex = room.players.findIndex(p => p.openId === playerId);
     if (existingPlayerIndex !== -1) {
       console.log(`[addPlayerToRoom] 玩家 ${playerId} 已在房间 ${roomId} 中`);
+      // 离线玩家重新加入视为重连，恢复其原有的准备和英雄锁定状态
+      if (room.players[existingPlayerIndex].isOffline) {
+        const onlineRoom = markPlayerOnline(roomId, playerId);
+        return {
+          room: onlineRoom,
+          player: onlineRoom.players[existingPlayerIndex]
+        };
+      }
       // 如果玩家已在，返回成功，包含房间和玩家信息
       return {
         room,
@@ -295,16 +313,22 @@ function removePlayerFromRoom(roomId, playerId) {
     updatedAt: Date.now()
   };
 
-  // 如果是房主离开，且房间还有其他玩家，则转移房主权限
+  // 离开的玩家如果还有离线计时器，一并清除
+  clearOfflineTimer(roomId, playerId);
+
+  // 如果是房主离开，且房间还有其他玩家，则转移房主权限 (优先转给在线玩家)
   if (playerIsHost && updatedRoom.players.length > 0) {
-    updatedRoom.hostId = updatedRoom.players[0].openId;
-    updatedRoom.players[0].isHost = true;
+    const onlineIndex = updatedRoom.players.findIndex(p => !p.isOffline && !p.isBot);
+    const newHostIndex = onlineIndex !== -1 ? onlineIndex : 0;
+    updatedRoom.players[newHostIndex] = { ...updatedRoom.players[newHostIndex], isHost: true };
+    updatedRoom.hostId = updatedRoom.players[newHostIndex].openId;
     console.log(`房主转移: ${playerId} -> ${updatedRoom.hostId}`);
   }
 
   // 如果房间没有玩家了，关闭房间
   if (updatedRoom.players.length === 0) {
     updatedRoom.status = 'ended';
+    chatManager.clearHistory(chatManager.CHAT_CHANNELS.ROOM, roomId);
     console.log(`房间已关闭(无玩家): ${roomId}`);
   }
 
@@ -322,6 +346,103 @@ function removePlayerFromRoom(roomId, playerId) {
   return updatedRoom;
 }
 
+/**
+ * 清除玩家的离线移除计时器
+ * @param {string} roomId 房间ID
+ * @param {string} playerId 玩家ID
+ */
+function clearOfflineTimer(roomId, playerId) {
+  const key = `${roomId}:${playerId}`;
+  if (offlineTimers.has(key)) {
+    clearTimeout(offlineTimers.get(key));
+    offlineTimers.delete(key);
+  }
+}
+
+/**
+ * 设置玩家在房间内的在线状态 (不改变准备和英雄锁定状态)
+ * @param {string} roomId 房间ID
+ * @param {string} playerId 玩家ID
+ * @param {boolean} isOffline 是否离线
+ * @returns {Object|null} 更新后的房间信息，房间或玩家不存在则返回null
+ */
+function setPlayerOfflineStatus(roomId, playerId, isOffline) {
+  const room = roomStore.getRoom(roomId);
+  if (!room) {
+    console.log(`房间不存在: ${roomId}`);
+    return null;
+  }
+
+  const playerIndex = room.players.findIndex(p => p.openId === playerId);
+  if (playerIndex === -1) {
+    console.log(`玩家不在房间中: ${playerId}`);
+    return null;
+  }
+
+  const updatedPlayers = [...room.players];
+  updatedPlayers[playerIndex] = {
+    ...updatedPlayers[playerIndex],
+    isOffline,
+    offlineAt: isOffline ? Date.now() : null
+  };
+
+  const updatedRoom = {
+    ...room,
+    players: updatedPlayers,
+    updatedAt: Date.now()
+  };
+  roomStore.setRoom(roomId, updatedRoom);
+  return updatedRoom;
+}
+
+/**
+ * 玩家连接断开时标记为离线，超时仍未重连才真正移出房间
+ * @param {string} roomId 房间ID
+ * @param {string} playerId 玩家ID
+ * @param {Function} [onRemoved] 超时移除后的回调，参数为移除后的房间信息 (用于 wsApp 广播)
+ * @returns {Object|null} 更新后的房间信息，不存在则返回null
+ */
+function markPlayerOffline(roomId, playerId, onRemoved) {
+  const updatedRoom = setPlayerOfflineStatus(roomId, playerId, true);
+  if (!updatedRoom) {
+    return null;
+  }
+
+  const timeoutMs = config.room.offlineTimeoutMs;
+  clearOfflineTimer(roomId, playerId);
+  offlineTimers.set(`${roomId}:${playerId}`, setTimeout(() => {
+    offlineTimers.delete(`${roomId}:${playerId}`);
+    const currentRoom = roomStore.getRoom(roomId);
+    const player = currentRoom && currentRoom.players.find(p => p.openId === playerId);
+    if (!player || !player.isOffline) {
+      return;
+    }
+    console.log(`[RoomManager] 玩家 ${playerId} 离线超时，移出房间 ${roomId}`);
+    const roomAfterRemoval = removePlayerFromRoom(roomId, playerId);
+    if (roomAfterRemoval && typeof onRemoved === 'function') {
+      onRemoved(roomAfterRemoval);
+    }
+  }, timeoutMs));
+
+  console.log(`[RoomManager] 玩家 ${playerId} 在房间 ${roomId} 中离线，${timeoutMs}ms 后移除`);
+  return updatedRoom;
+}
+
+/**
+ * 离线玩家重新连接，恢复为在线 (保留原有的准备和英雄锁定状态)
+ * @param {string} roomId 房间ID
+ * @param {string} playerId 玩家ID
+ * @returns {Object|null} 更新后的房间信息，不存在则返回null
+ */
+function markPlayerOnline(roomId, playerId) {
+  clearOfflineTimer(roomId, playerId);
+  const updatedRoom = setPlayerOfflineStatus(roomId, playerId, false);
+  if (updatedRoom) {
+    console.log(`[RoomManager] 玩家 ${playerId} 重新连接房间 ${roomId}`);
+  }
+  return updatedRoom;
+}
+
 /**
  * 更新玩家准备状态
  * @param {string} roomId 房间ID
@@ -409,6 +530,7 @@ function closeRoom(roomId, reason = '管理员关闭') {
 
   // 保存更新后的房间信息
   roomStore.setRoom(roomId, updatedRoom);
+  chatManager.clearHistory(chatManager.CHAT_CHANNELS.ROOM, roomId);
   console.log(`房间已关闭: ${roomId}, 原因: ${reason}`);
 
   return updatedRoom;
@@ -628,6 +750,34 @@ function notifyAllPlayers(roomId, message, excludePlayerId = null) {
   };
 }
 
+/**
+ * 记录并向房间广播玩家的游戏操作 (BROADCAST_ACTION)
+ * @param {string} roomId 房间ID
+ * @param {string} playerId 执行操作的玩家ID
+ * @param {string} action 操作类型 (move / collect_item / use_item / open_door 等)
+ * @param {Object} actionData 操作数据，展开到消息 data 中
+ * @returns {Object} 广播的消息
+ */
+function broadcastGameAction(roomId, playerId, action, actionData = {}) {
+  const timestamp = Date.now();
+  gameStateStore.recordGameEvent(roomId, { type: action, playerId, ...actionData });
+
+  const message = {
+    type: 'BROADCAST_ACTION',
+    data: {
+      roomId,
+      playerId,
+      action,
+      ...actionData,
+      timestamp
+    }
+  };
+  // 延迟引入 wsApp，避免与 wsApp 之间的循环依赖
+  const wsApp = require('../wsApp');
+  wsApp.broadcastToRoom(roomId, message);
+  return message;
+}
+
 /**
  * 根据玩家ID查找其所在的房间ID
  * @param {string} playerId 玩家ID
@@ -811,18 +961,23 @@ function getAvailableHeroIds(roomId) {
 }
 
 module.exports = {
+  ALL_HERO_IDS,
+  GAME_MODES,
   createRoom,
   getRoom,
   getAllRooms,
   updateRoom,
   addPlayerToRoom,
   removePlayerFromRoom,
+  markPlayerOffline,
+  markPlayerOnline,
   updatePlayerReady,
   closeRoom,
   startGame,
   endGame,
   notifyRoomUpdate,
   notifyAllPlayers,
+  broadcastGameAction,
   getPlayerRoomId,
   setPlayerHeroLockStatus,
   checkAllPlayersReady,
@@ -0,0 +1,102 @@
+/**
+ * 聊天和快捷交流消息处理器
+ * 房间/会话聊天交给 chatManager，表情和地图标记交给 quickComms
+ */
+
+const roomManager = require('../managers/roomManager');
+const chatManager = require('../managers/chatManager');
+const multiplayerHandler = require('../game/multiplayer_handler');
+const quickComms = require('../game/quickComms');
+
+/**
+ * 处理聊天消息 (房间或会话成员身份已由路由检查)
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据
+ * @returns {Promise<Object|undefined>} 失败时返回错误对象
+ */
+async function handleChatMessage(userId, data) {
+  const wsApp = require('../wsApp');
+  const { roomId, sessionId, message } = data;
+  console.log(`用户 ${userId} 发送聊天消息 (房间=${roomId}, 会话=${sessionId})`);
+
+  // 带 sessionId 的消息发到游戏会话频道，否则发到房间频道
+  const channel = sessionId ? chatManager.CHAT_CHANNELS.SESSION : chatManager.CHAT_CHANNELS.ROOM;
+  const channelId = sessionId || roomId;
+
+  const result = await chatManager.postMessage({
+    channel,
+    channelId,
+    senderId: userId,
+    senderName: resolveSenderName(userId, channelId),
+    message
+  });
+  if (result.error) {
+    return result;
+  }
+
+  const broadcastData = {
+    type: 'CHAT_BROADCAST',
+    data: {
+      ...(sessionId ? { sessionId } : { roomId }),
+      ...result.chatMessage
+    }
+  };
+  if (channel === chatManager.CHAT_CHANNELS.SESSION) {
+    wsApp.broadcastToSession(sessionId, broadcastData);
+  } else {
+    wsApp.broadcastToRoom(roomId, broadcastData);
+  }
+}
+
+/**
+ * 从房间玩家列表中解析发送者昵称 (会话ID与房间ID相同)，找不到时回退到会话中的昵称或用户ID
+ * @param {string} userId 用户ID
+ * @param {string} roomId 房间ID
+ * @returns {string} 昵称
+ */
+function resolveSenderName(userId, roomId) {
+  const room = roomManager.getRoom(roomId);
+  const roomPlayer = room && room.players.find(p => p.openId === userId);
+  if (roomPlayer && roomPlayer.nickname) {
+    return roomPlayer.nickname;
+  }
+  const sessionPlayer = multiplayerHandler.activeSessions[roomId]?.players?.[userId];
+  return (sessionPlayer && sessionPlayer.name) || userId;
+}
+
+/**
+ * 发送快捷表情，整个会话可见
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId, emoteId }
+ * @returns {Object} 成功返回 { emote }，失败返回错误对象
+ */
+function handleSendEmote(userId, data) {
+  return quickComms.sendEmote(data.sessionId, userId, data.emoteId);
+}
+
+/**
+ * 在地图格子上打标记，按游戏模式发给队友或整个会话
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId, x, y }
+ * @returns {Object} 成功返回 { ping }，失败返回错误对象
+ */
+function handlePingRoom(userId, data) {
+  return quickComms.pingRoom(data.sessionId, userId, { x: data.x, y: data.y });
+}
+
+/**
+ * 注册聊天和快捷交流消息处理器
+ * @param {Object} router messageRouter
+ */
+function registerHandlers(router) {
+  const { ROOM, SESSION } = router.MEMBERSHIP;
+  router.registerHandler('CHAT_MESSAGE', handleChatMessage, {
+    requires: (data) => (data.sessionId ? SESSION : ROOM)
+  });
+  router.registerHandler('SEND_EMOTE', handleSendEmote, { requires: SESSION });
+  router.registerHandler('PING_ROOM', handlePingRoom, { requires: SESSION });
+}
+
+module.exports = {
+  registerHandlers
+};
@@ -0,0 +1,207 @@
+/**
+ * 游戏消息处理器
+ * 负责游戏会话的加入、观战、移动、英雄技能，以及房间内的游戏操作/事件
+ * 发送消息时延迟引入 wsApp，避免与 wsApp 之间的循环依赖
+ */
+
+const roomManager = require('../managers/roomManager');
+const gameManager = require('../managers/gameManager');
+const chatManager = require('../managers/chatManager');
+const multiplayerHandler = require('../game/multiplayer_handler');
+const heroSkills = require('../game/heroSkills');
+const imposterMode = require('../game/imposterMode');
+
+/**
+ * 处理游戏操作：交给 gameManager 执行，结果由 gameManager 以 BROADCAST_ACTION 广播给房间
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { action, ... }
+ * @param {Object} ctx 消息上下文 (ctx.roomId 为玩家所在房间)
+ * @returns {Object|undefined} 失败时返回错误对象
+ */
+function handleGameAction(userId, data, ctx) {
+  console.log(`用户 ${userId} 在房间 ${ctx.roomId} 执行游戏操作: ${data.action}`);
+  const result = gameManager.performAction(ctx.roomId, userId, data.action, data);
+  if (result.error) {
+    return result;
+  }
+}
+
+/**
+ * 处理游戏事件
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据
+ */
+function handleGameEvent(userId, data) {
+  // TODO: 实现游戏事件处理
+  console.log(`用户 ${userId} 触发游戏事件: ${data.eventType}`);
+}
+
+/**
+ * 处理加入游戏会话请求
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId, characterId }
+ */
+function handleJoinGameSession(userId, data) {
+  const wsApp = require('../wsApp');
+  const { sessionId, characterId: clientCharacterId } = data;
+
+  // 观战者不能中途加入正在观战的游戏
+  if (multiplayerHandler.isSpectating(sessionId, userId)) {
+    wsApp.sendError(userId, 4007, '观战中不能加入该游戏');
+    return;
+  }
+
+  let gameMode = '竞速模式';
+  let characterId = clientCharacterId; // 优先使用客户端直接传递的characterId
+  const sessionOptions = {};
+
+  // 如果客户端没有直接传递角色ID，尝试从房间数据中获取
+  if (!characterId) {
+    const room = roomManager.getRoom(sessionId); // Assume sessionId is roomId
+    if (room) {
+      if (room.gameMode) {
+        gameMode = room.gameMode;
+      }
+      // 从房间数据中查找当前玩家并获取角色ID
+      const playerInRoom = room.players?.find(p => p.openId === userId);
+      if (playerInRoom && playerInRoom.selectedHeroId) {
+        characterId = playerInRoom.selectedHeroId;
+      }
+    }
+  }
+
+  // 地图和游戏模式由房间决定；房主可以在房间 gameSettings 中指定地图种子，方便复现地图
+  const roomForSettings = roomManager.getRoom(sessionId);
+  if (roomForSettings) {
+    sessionOptions.mapId = roomForSettings.mapId;
+    if (roomForSettings.gameMode) {
+      gameMode = roomForSettings.gameMode;
+    }
+    if (roomForSettings.gameSettings && roomForSettings.gameSettings.seed !== undefined) {
+      sessionOptions.seed = roomForSettings.gameSettings.seed;
+    }
+  }
+
+  // 调用多人游戏处理器加入会话 (地图多次重试仍无法通过校验时会抛出错误)
+  let gameState;
+  try {
+    gameState = multiplayerHandler.joinSession(sessionId, userId, gameMode, characterId, sessionOptions);
+  } catch (error) {
+    console.error(`[WebSocket] 用户 ${userId} 加入会话 ${sessionId} 失败:`, error);
+    wsApp.sendError(userId, 'JOIN_GAME_SESSION_FAILED', error.message);
+    return;
+  }
+
+  // 向客户端发送加入会话响应
+  wsApp.sendToClient(userId, { type: 'GAME_SESSION_JOINED', data: gameState });
+  wsApp.sendChatHistory(userId, chatManager.CHAT_CHANNELS.SESSION, sessionId);
+
+  // 广播PLAYER_JOINED_SESSION给会话内其他玩家
+  const latestPlayerData = multiplayerHandler.activeSessions[sessionId]?.players?.[userId];
+  if (latestPlayerData) {
+    // 构造完整的玩家数据
+    const broadcastPlayerData = {
+      characterId: latestPlayerData.characterId,
+      position: latestPlayerData.position,
+      hp: latestPlayerData.hp || 3,
+      maxHp: latestPlayerData.maxHp || 3,
+      items: latestPlayerData.items || []
+    };
+
+    wsApp.broadcastToSession(sessionId, {
+      type: 'PLAYER_JOINED_SESSION',
+      data: {
+        playerId: userId,
+        playerData: broadcastPlayerData
+      }
+    }, userId);
+  }
+
+  // 冒名者模式：房间里的真人玩家都加入后秘密分配身份
+  const expectedPlayerIds = roomForSettings ? roomForSettings.players.filter(p => !p.isBot).map(p => p.openId) : [];
+  imposterMode.handlePlayerJoined(sessionId, userId, expectedPlayerIds);
+}
+
+/**
+ * 处理观战请求：观战者收到无战争迷雾的会话快照，之后会收到会话内的广播 (PLAYER_MOVED、游戏事件等)
+ * 观战者不在会话玩家中，不占用房间名额，也无法通过会话成员检查执行游戏操作
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId }
+ * @returns {Object|undefined} 失败时返回错误对象
+ */
+function handleSpectate(userId, data) {
+  const wsApp = require('../wsApp');
+  const result = multiplayerHandler.addSpectator(data.sessionId, userId);
+  if (result.error) {
+    return result;
+  }
+  // 快照没有战争迷雾，和之后的广播一样延迟发送
+  wsApp.sendToSpectator(data.sessionId, userId, { type: 'SPECTATE_STARTED', data: result.snapshot });
+}
+
+/**
+ * 处理停止观战请求
+ * @param {string} userId 用户ID
+ */
+function handleStopSpectate(userId) {
+  const wsApp = require('../wsApp');
+  const sessionId = multiplayerHandler.removeSpectator(userId);
+  if (!sessionId) {
+    return { error: 4007, message: '你没有在观战' };
+  }
+  wsApp.sendToClient(userId, { type: 'SPECTATE_STOPPED', data: { sessionId } });
+}
+
+/**
+ * 处理玩家移动 (会话成员身份已由路由检查)
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId, position }
+ */
+function handlePlayerMove(userId, data) {
+  const wsApp = require('../wsApp');
+  const { sessionId, position } = data;
+  const moveResult = multiplayerHandler.handlePlayerMove(sessionId, userId, position);
+  if (!moveResult.accepted) {
+    // 非法移动：把服务器端的权威位置发回给客户端，让其回滚
+    wsApp.sendToClient(userId, {
+      type: 'MOVE_REJECTED',
+      data: { sessionId, position: moveResult.position, reason: moveResult.reason, ...wsApp.markRequestFailed(userId) }
+    });
+    return;
+  }
+  // 只广播通过校验的移动
+  wsApp.broadcastToSession(sessionId, { type: 'PLAYER_MOVED', data: { playerId: userId, position: moveResult.position } }, userId);
+  // 结算进入新房间的效果 (揭示房间等)
+  multiplayerHandler.resolveRoomEntry(sessionId, userId);
+  // 每次合法移动结束当前回合 (如果玩家在结算中被淘汰，回合已经交出)
+  multiplayerHandler.endTurn(sessionId, userId);
+}
+
+/**
+ * 使用英雄主动技能 (会话成员身份已由路由检查)，成功后由 heroSkills 广播 SKILL_USED
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId, targetPlayerId?, x?, y? }
+ * @returns {Object} 成功返回 { skill }，失败返回错误对象
+ */
+function handleUseSkill(userId, data) {
+  return heroSkills.useSkill(data.sessionId, userId, { targetPlayerId: data.targetPlayerId, x: data.x, y: data.y });
+}
+
+/**
+ * 注册游戏消息处理器
+ * @param {Object} router messageRouter
+ */
+function registerHandlers(router) {
+  const { ROOM, SESSION } = router.MEMBERSHIP;
+  router.registerHandler('GAME_ACTION', handleGameAction, { requires: ROOM });
+  router.registerHandler('GAME_EVENT', handleGameEvent, { requires: ROOM });
+  router.registerHandler('JOIN_GAME_SESSION', handleJoinGameSession);
+  router.registerHandler('PLAYER_MOVE', handlePlayerMove, { requires: SESSION });
+  router.registerHandler('USE_SKILL', handleUseSkill, { requires: SESSION });
+  router.registerHandler('SPECTATE', handleSpectate, { allowObservers: true });
+  router.registerHandler('STOP_SPECTATE', handleStopSpectate, { allowObservers: true });
+}
+
+module.exports = {
+  registerHandlers
+};
@@ -0,0 +1,51 @@
+/**
+ * 冒名者模式消息处理器
+ * 冒名者操作、紧急会议和投票交给 imposterMode，会话成员身份由路由检查
+ */
+
+const imposterMode = require('../game/imposterMode');
+
+/**
+ * 执行冒名者专属操作 (击杀或布置陷阱)，结果只私发给冒名者
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId, action, targetPlayerId? }
+ * @returns {Object} 成功返回 { action }，失败返回错误对象
+ */
+function handleImposterAction(userId, data) {
+  return imposterMode.performImposterAction(data.sessionId, userId, data.action, { targetPlayerId: data.targetPlayerId });
+}
+
+/**
+ * 召开紧急会议
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId }
+ * @returns {Object} 成功返回 { meeting }，失败返回错误对象
+ */
+function handleCallMeeting(userId, data) {
+  return imposterMode.callMeeting(data.sessionId, userId);
+}
+
+/**
+ * 在紧急会议中投票，不传 targetPlayerId 表示弃票
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { sessionId, targetPlayerId? }
+ * @returns {Object} 成功返回 { vote }，失败返回错误对象
+ */
+function handleCastVote(userId, data) {
+  return imposterMode.castVote(data.sessionId, userId, data.targetPlayerId || null);
+}
+
+/**
+ * 注册冒名者模式消息处理器
+ * @param {Object} router messageRouter
+ */
+function registerHandlers(router) {
+  const { SESSION } = router.MEMBERSHIP;
+  router.registerHandler('IMPOSTER_ACTION', handleImposterAction, { requires: SESSION });
+  router.registerHandler('CALL_MEETING', handleCallMeeting, { requires: SESSION });
+  router.registerHandler('CAST_VOTE', handleCastVote, { requires: SESSION });
+}
+
+module.exports = {
+  registerHandlers
+};
@@ -0,0 +1,33 @@
+/**
+ * WebSocket 消息处理器注册模块
+ * 集中配置全局中间件并注册各功能模块的消息处理器，新的消息类型在对应模块的 registerHandlers 中注册
+ */
+
+const config = require('../config');
+const messageRouter = require('./messageRouter');
+const { logMessage, validateData, rateLimit } = require('./middleware');
+const roomMessages = require('./roomMessages');
+const chatMessages = require('./chatMessages');
+const gameMessages = require('./gameMessages');
+const imposterMessages = require('./imposterMessages');
+
+// 全局中间件：日志 -> 数据校验 -> 单类型消息频率限制
+messageRouter.use(logMessage);
+messageRouter.use(validateData);
+messageRouter.use(rateLimit({
+  count: config.message.rateLimitCount,
+  windowMs: config.message.rateLimitWindowMs
+}));
+
+// 心跳：回复 PONG 数据消息 (前端需要的是数据消息而不是 pong 控制帧)，只回复发送 PING 的连接
+messageRouter.registerHandler('PING', (userId) => {
+  const wsApp = require('../wsApp');
+  wsApp.sendReply(userId, { type: 'PONG', data: { timestamp: Date.now() } });
+}, { allowObservers: true });
+
+roomMessages.registerHandlers(messageRouter);
+chatMessages.registerHandlers(messageRouter);
+gameMessages.registerHandlers(messageRouter);
+imposterMessages.registerHandlers(messageRouter);
+
+module.exports = messageRouter;
@@ -0,0 +1,153 @@
+/**
+ * WebSocket 消息路由
+ * 各功能模块通过 registerHandler 注册自己负责的消息类型，wsApp 收到消息后交给 dispatch 分发
+ *
+ * 处理顺序：连接角色检查 -> 全局中间件 -> 房间/会话成员检查 -> 该类型的中间件 -> 处理器
+ * 中间件签名为 (ctx, next)，返回 next() 继续处理，返回错误对象 { error, message } 则中断，
+ * 错误对象由 wsApp 以 ERROR 消息回复给客户端
+ */
+
+const roomManager = require('../managers/roomManager');
+const multiplayerHandler = require('../game/multiplayer_handler');
+
+// 处理器需要的成员身份
+const MEMBERSHIP = {
+  ROOM: 'room', // 玩家必须在某个房间中 (消息带 roomId 时必须是该房间)
+  SESSION: 'session' // 玩家必须在消息 sessionId 指定的游戏会话中
+};
+
+// 连接角色 (升级请求的 URL 参数 role)：每个用户只有一个 player 连接，观战/调试连接只能接收消息和执行只读请求
+const CONNECTION_ROLES = {
+  PLAYER: 'player',
+  SPECTATOR: 'spectator',
+  DEBUG: 'debug'
+};
+
+// 已注册的路由 Map，key 为消息类型，value 为 { type, handler, requires, middleware, allowObservers }
+const routes = new Map();
+
+// 对所有消息类型生效的中间件
+const globalMiddleware = [];
+
+/**
+ * 添加全局中间件 (按添加顺序执行)
+ * @param {Function} middleware 中间件 (ctx, next) => result
+ */
+function use(middleware) {
+  if (typeof middleware !== 'function') {
+    throw new Error('中间件必须是函数');
+  }
+  globalMiddleware.push(middleware);
+}
+
+/**
+ * 注册消息处理器
+ * @param {string} type 消息类型
+ * @param {Function} handler 处理器 (userId, data, ctx) => result，异步处理器返回 Promise
+ * @param {Object} [options] 选项
+ * @param {string|Function} [options.requires] 需要的成员身份 (MEMBERSHIP)，也可以是 (data) => 成员身份
+ * @param {Array<Function>} [options.middleware] 只对该类型生效的中间件
+ * @param {boolean} [options.allowObservers=false] 是否允许观战/调试连接发送 (只读请求)
+ */
+function registerHandler(type, handler, options = {}) {
+  if (routes.has(type)) {
+    throw new Error(`消息类型 ${type} 已注册处理器`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`消息类型 ${type} 的处理器必须是函数`);
+  }
+  const { requires = null, middleware = [], allowObservers = false } = options;
+  routes.set(type, { type, handler, requires, middleware, allowObservers });
+}
+
+/**
+ * 检查消息类型是否已注册
+ * @param {string} type 消息类型
+ * @returns {boolean}
+ */
+function hasHandler(type) {
+  return routes.has(type);
+}
+
+/**
+ * 列出已注册的消息类型及其成员要求 (供调试使用)
+ * @returns {Array<Object>} [{ type, requires, middlewareCount, allowObservers }]
+ */
+function listHandlers() {
+  return Array.from(routes.values()).map(route => ({
+    type: route.type,
+    requires: typeof route.requires === 'function' ? 'dynamic' : route.requires,
+    middlewareCount: route.middleware.length,
+    allowObservers: route.allowObservers
+  }));
+}
+
+/**
+ * 检查玩家是否满足路由要求的成员身份，满足时把房间ID/会话ID记录到 ctx 上
+ * @param {Object} ctx 消息上下文
+ * @returns {Object|null} 不满足时返回错误对象
+ */
+function checkMembership(ctx) {
+  const { route, userId, data } = ctx;
+  const requires = typeof route.requires === 'function' ? route.requires(data) : route.requires;
+
+  if (requires === MEMBERSHIP.ROOM) {
+    const roomId = roomManager.getPlayerRoomId(userId);
+    if (!roomId) {
+      return { error: 4004, message: '您似乎不在任何房间中' };
+    }
+    if (data.roomId && data.roomId !== roomId) {
+      return { error: 4004, message: '你不在该房间中' };
+    }
+    ctx.roomId = roomId;
+  } else if (requires === MEMBERSHIP.SESSION) {
+    const session = multiplayerHandler.activeSessions[data.sessionId];
+    if (!session || !session.players[userId]) {
+      return { error: 4004, message: '你不在该游戏会话中' };
+    }
+    ctx.sessionId = data.sessionId;
+  }
+  return null;
+}
+
+/**
+ * 分发一条消息：依次执行中间件链，最后调用处理器
+ * 同步处理器同步执行，异步处理器的 Promise 原样返回
+ * @param {string} userId 用户ID
+ * @param {Object} message 解析后的消息 { type, data }
+ * @param {Object} [options] 选项
+ * @param {string} [options.role] 发送消息的连接角色 (CONNECTION_ROLES)，默认为 player
+ * @returns {*} 处理器或中间件的返回值 (错误对象、Promise 或 undefined)
+ */
+function dispatch(userId, message, options = {}) {
+  const { role = CONNECTION_ROLES.PLAYER } = options;
+  const route = routes.get(message.type);
+  if (!route) {
+    console.warn(`未处理的消息类型: ${message.type}`);
+    return { error: 'UNKNOWN_TYPE', message: `Unknown message type: ${message.type}` };
+  }
+  if (role !== CONNECTION_ROLES.PLAYER && !route.allowObservers) {
+    console.warn(`[messageRouter] 用户 ${userId} 的 ${role} 连接尝试发送 ${message.type}`);
+    return { error: 4007, message: '观战/调试连接不能执行该操作' };
+  }
+
+  const ctx = { userId, role, type: message.type, data: message.data || {}, route, roomId: null, sessionId: null };
+  const chain = [
+    ...globalMiddleware,
+    (c, next) => checkMembership(c) || next(),
+    ...route.middleware,
+    (c) => route.handler(c.userId, c.data, c)
+  ];
+  const run = (index) => chain[index](ctx, () => run(index + 1));
+  return run(0);
+}
+
+module.exports = {
+  MEMBERSHIP,
+  CONNECTION_ROLES,
+  use,
+  registerHandler,
+  hasHandler,
+  listHandlers,
+  dispatch
+};
@@ -0,0 +1,78 @@
+/**
+ * WebSocket 消息中间件
+ * 供 messageRouter 使用，签名为 (ctx, next)：返回 next() 继续处理，返回错误对象 { error, message } 中断处理
+ */
+
+const { validateMessage } = require('../utils/messageSchemas');
+
+/**
+ * 记录消息日志
+ * @param {Object} ctx 消息上下文
+ * @param {Function} next 下一个中间件
+ */
+function logMessage(ctx, next) {
+  console.log(`[messageRouter] 分发来自 ${ctx.userId} 的消息: ${ctx.type}`);
+  return next();
+}
+
+/**
+ * 按消息类型的模式校验 data，不合法的消息带着字段级错误直接拒绝
+ * 校验通过后 ctx.data 替换为合并了默认值的数据
+ * @param {Object} ctx 消息上下文
+ * @param {Function} next 下一个中间件
+ */
+function validateData(ctx, next) {
+  const validation = validateMessage(ctx.type, ctx.data);
+  if (!validation.valid) {
+    console.warn(`[messageRouter] 来自 ${ctx.userId} 的 ${ctx.type} 消息校验失败:`, validation.errors);
+    return { error: 4000, message: '消息数据格式不正确', errors: validation.errors };
+  }
+  ctx.data = validation.data;
+  return next();
+}
+
+/**
+ * 创建频率限制中间件 (固定时间窗口计数)
+ * @param {Object} options 配置选项
+ * @param {number} options.count 时间窗口内最多允许的消息数
+ * @param {number} options.windowMs 时间窗口 (毫秒)
+ * @param {string} [options.bucket] 计数分组，相同分组的消息类型共用计数；默认按消息类型分别计数
+ * @returns {Function} 中间件
+ */
+function rateLimit({ count, windowMs, bucket = null }) {
+  // 计数记录 Map，key 为 `${分组}:${userId}`，value 为 { count, resetTime }
+  const records = new Map();
+  // 下次清理过期记录的时间，每个时间窗口最多清理一次，避免已断开用户的记录一直保留
+  let nextSweepTime = 0;
+
+  return (ctx, next) => {
+    const key = `${bucket || ctx.type}:${ctx.userId}`;
+    const now = Date.now();
+    if (now > nextSweepTime) {
+      records.forEach((expired, expiredKey) => {
+        if (now > expired.resetTime) {
+          records.delete(expiredKey);
+        }
+      });
+      nextSweepTime = now + windowMs;
+    }
+    let record = records.get(key);
+
+    if (!record || now > record.resetTime) {
+      record = { count: 0, resetTime: now + windowMs };
+      records.set(key, record);
+    }
+    if (record.count >= count) {
+      console.warn(`[messageRouter] 用户 ${ctx.userId} 发送 ${ctx.type} 过于频繁`);
+      return { error: 'RATE_LIMITED', message: '操作过于频繁，请稍后再试' };
+    }
+    record.count += 1;
+    return next();
+  };
+}
+
+module.exports = {
+  logMessage,
+  validateData,
+  rateLimit
+};
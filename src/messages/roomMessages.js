@@ -0,0 +1,670 @@
+/**
+ * 房间大厅消息处理器
+ * 负责加入房间、准备、锁定英雄、添加机器人等大厅阶段的 WebSocket 消息
+ * 发送消息时延迟引入 wsApp，避免与 wsApp 之间的循环依赖
+ */
+
+const roomManager = require('../managers/roomManager');
+const chatManager = require('../managers/chatManager');
+const { rateLimit } = require('./middleware');
+
+// roomManager 错误对象到 README 错误码的映射
+const ROOM_ERROR_CODES = {
+  ROOM_NOT_FOUND: 4001,
+  ROOM_FULL: 4002,
+  ROOM_NOT_WAITING: 4006,
+  ROOM_LOCKED: 4000, // 房间操作繁忙，客户端可稍后重试
+  ALREADY_IN_OTHER_ROOM: 4007,
+  INTERNAL_ERROR: 5000
+};
+
+// 添加机器人的频率限制
+const ADD_BOT_RATE_LIMIT = { count: 5, windowMs: 10000 };
+
+/**
+ * 处理加入房间请求
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据
+ */
+function handleJoinRoom(userId, data) {
+  const wsApp = require('../wsApp');
+  const { roomId, playerInfo = {} } = data || {};
+  console.log(`用户 ${userId} 请求加入房间: ${roomId}`);
+
+  if (!roomId) {
+    wsApp.sendError(userId, 4000, '缺少必要参数 roomId');
+    return;
+  }
+
+  // 不允许同时留在两个进行中的房间
+  const currentRoomId = roomManager.getPlayerRoomId(userId);
+  const currentRoom = currentRoomId && currentRoomId !== roomId ? roomManager.getRoom(currentRoomId) : null;
+  if (currentRoom && currentRoom.status !== 'ended') {
+    wsApp.sendError(userId, ROOM_ERROR_CODES.ALREADY_IN_OTHER_ROOM, `你已在房间 ${currentRoomId} 中，请先离开`);
+    return;
+  }
+
+  const playerData = {
+    nickname: playerInfo.nickname || `玩家_${userId.substring(0, 4)}`
+  };
+  if (playerInfo.avatarUrl) {
+    playerData.avatarUrl = playerInfo.avatarUrl;
+  }
+
+  // addPlayerToRoom 在房间不存在时返回 null，其他失败返回 { error, message }
+  const result = roomManager.addPlayerToRoom(roomId, userId, playerData)
+    || { error: 'ROOM_NOT_FOUND', message: `房间 ${roomId} 不存在` };
+  if (result.error) {
+    console.warn(`[handleJoinRoom] 用户 ${userId} 加入房间 ${roomId} 失败: ${result.error}`);
+    wsApp.sendError(userId, ROOM_ERROR_CODES[result.error] || 4000, result.message);
+    return;
+  }
+
+  const { room, player } = result;
+  wsApp.sendToClient(userId, {
+    type: 'ROOM_JOINED',
+    data: { roomId, room, player }
+  });
+
+  // 通知房间内其他玩家
+  const joinedWs = wsApp.getClient(userId);
+  wsApp.broadcastToRoom(roomId, buildRoomPlayersUpdate(room, 'PLAYER_JOINED', {
+    playerId: userId,
+    player: {
+      openId: player.openId,
+      nickname: player.nickname,
+      isHost: player.isHost,
+      ready: player.ready,
+      isHeroLocked: player.isHeroLocked,
+      selectedHeroId: player.selectedHeroId,
+      isBot: player.isBot
+    },
+    gameMode: room.gameMode
+  }), joinedWs);
+
+  wsApp.sendChatHistory(userId, chatManager.CHAT_CHANNELS.ROOM, roomId);
+  logRoomStatus(roomId, 'After Join Room');
+}
+
+/**
+ * 处理获取房间信息请求
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据
+ */
+function handleGetRoomInfo(userId, data) {
+  const wsApp = require('../wsApp');
+  console.log(`用户 ${userId} 请求获取房间信息:`, data);
+  
+  try {
+    // 检查必要参数
+    if (!data || !data.roomId) {
+      console.error(`获取房间信息失败: 缺少必要参数 roomId`);
+      wsApp.sendError(userId, 4000, '缺少必要参数 roomId');
+      return;
+    }
+    
+    const roomId = data.roomId;
+    
+    // 获取房间信息
+    const room = roomManager.getRoom(roomId);
+    if (!room) {
+      console.error(`获取房间信息失败: 房间 ${roomId} 不存在`);
+      wsApp.sendError(userId, 4001, `房间 ${roomId} 不存在`);
+      return;
+    }
+    
+    // 回复房间信息 (只回复发起请求的连接)
+    wsApp.sendReply(userId, {
+      type: 'ROOM_UPDATE',
+      data: {
+        roomId: roomId,
+        eventType: 'ROOM_INFO',
+        room: {
+          roomId: room.roomId,
+          gameMode: room.gameMode,
+          maxPlayers: room.maxPlayers,
+          status: room.status,
+          players: room.players.map(p => ({
+            openId: p.openId,
+            isHost: p.isHost,
+            ready: p.ready,
+            isHeroLocked: p.isHeroLocked,
+            selectedHeroId: p.selectedHeroId,
+            isOffline: !!p.isOffline,
+            rtt: wsApp.getClientRtt(p.openId),
+            nickname: p.nickname || p.openId
+          }))
+        }
+      }
+    });
+    
+    console.log(`已发送房间 ${roomId} 的信息给用户 ${userId}`);
+  } catch (error) {
+    console.error(`处理获取房间信息请求失败:`, error);
+    wsApp.sendError(userId, 5000, '服务器处理请求时出错');
+  }
+}
+
+/**
+ * 处理玩家准备状态变更 (注意：此函数不再触发游戏开始检查)
+ * @param {string} userId 用户ID
+ * @param {Object} data 请求数据 { ready: boolean }
+ */
+function handlePlayerReady(userId, data) {
+  const wsApp = require('../wsApp');
+  // 保留此函数以处理可能的其他准备逻辑，或未来用于非锁定触发的准备
+  console.log(`用户 ${userId} 更新准备状态: ${data.ready}`);
+  const playerRoomId = roomManager.getPlayerRoomId(userId); 
+
+  if (!playerRoomId) {
+    console.error(`玩家 ${userId} 不在任何房间中，无法更新准备状态`);
+    wsApp.sendError(userId, 4004, '您似乎不在任何房间中');
+    return;
+  }
+
+  try {
+    // 仍然调用 roomManager 更新状态，因为可能影响 UI 或其他逻辑
+    const updatedRoomResult = roomManager.updatePlayerReady(playerRoomId, userId, data.ready); 
+
+    if (updatedRoomResult) { 
+      logRoomStatus(playerRoomId, 'After Player Ready'); 
+
+      // 仍然需要广播房间更新，以便客户端 UI 同步准备状态
+      const updatedRoomData = roomManager.getRoom(playerRoomId); 
+      if (updatedRoomData) {
+          // 准备广播数据 (可以复用 roomManager.notifyRoomUpdate 返回的结构，如果它被修改为返回数据的话)
+          const broadcastData = {
+              type: 'ROOM_UPDATE',
+              data: {
+                  roomId: updatedRoomData.roomId,
+                  eventType: 'PLAYER_READY_CHANGED', // 添加事件类型
+                  // ... (包含所有需要的房间和玩家状态) ...
+                  players: updatedRoomData.players.map(p => ({ 
+                     openId: p.openId,
+                     isHost: p.isHost,
+                     ready: p.ready,
+                     isHeroLocked: p.isHeroLocked,
+                     selectedHeroId: p.selectedHeroId,
+                     isOffline: !!p.isOffline,
+                     rtt: wsApp.getClientRtt(p.openId),
+                     nickname: p.nickname || p.openId 
+                 })),
+                 // 包含其他必要信息，如 lockedCount, readyCount 等
+                 lockedCount: updatedRoomData.players.filter(p => p.isHeroLocked).length,
+                 readyCount: updatedRoomData.players.filter(p => p.ready).length,
+                 playerCount: updatedRoomData.players.length
+              }
+          };
+          wsApp.broadcastToRoom(playerRoomId, broadcastData); // 显式广播
+          console.log(`[handlePlayerReady] 已向房间 ${playerRoomId} 广播 ROOM_UPDATE`);
+      } else {
+          console.error(`[handlePlayerReady] 更新准备状态后无法获取房间 ${playerRoomId} 的数据`);
+      }
+    } else {
+      console.error(`更新玩家 ${userId} 在房间 ${playerRoomId} 的准备状态失败 (roomManager.updatePlayerReady 返回了 falsy)`);
+      wsApp.sendError(userId, 4007, '更新准备状态失败');
+    }
+  } catch (error) {
+    console.error(`处理玩家 ${userId} 准备状态时出错:`, error);
+    wsApp.sendError(userId, 5000, '更新准备状态时发生服务器错误');
+  }
+}
+
+/**
+ * 处理玩家锁定英雄请求
+ * @param {string} userId 玩家ID
+ * @param {Object} data 数据，包含 { heroId: string, isLocked: boolean }
+ */
+async function handleLockHero(userId, data) {
+  const wsApp = require('../wsApp');
+  const { heroId, isLocked } = data;
+
+  // 1. 获取玩家所在的房间ID
+  const roomId = roomManager.getPlayerRoomId(userId);
+  if (!roomId) {
+    console.error(`[handleLockHero] 无法找到玩家 ${userId} 所在的房间`);
+    wsApp.sendError(userId, 4004, '您似乎不在任何房间中');
+    return;
+  }
+
+  // --- 获取触发事件的玩家信息 ---
+  const roomBeforeUpdate = roomManager.getRoom(roomId);
+  if (!roomBeforeUpdate || !roomBeforeUpdate.players) {
+      console.error(`[handleLockHero] 无法获取房间 ${roomId} 的信息`);
+      wsApp.sendError(userId, 4001, '房间不存在');
+      return;
+  }
+  const lockingPlayer = roomBeforeUpdate.players.find(p => p.openId === userId);
+  if (!lockingPlayer) {
+      console.error(`[handleLockHero] 无法在房间 ${roomId} 找到玩家 ${userId}`);
+      wsApp.sendError(userId, 4004, '您不在该房间中');
+      return;
+  }
+  // --- 玩家信息获取结束 ---
+
+  // 2. 调用 roomManager 更新锁定状态
+  const updatedRoom = roomManager.setPlayerHeroLockStatus(roomId, userId, isLocked, heroId);
+  if (!updatedRoom) {
+    console.error(`[handleLockHero] 更新玩家 ${userId} 英雄锁定状态失败`);
+    wsApp.sendError(userId, 4007, '更新英雄选择失败，可能是英雄已被选或房间状态错误');
+    return;
+  }
+  console.log(`[wsApp] 成功处理玩家 ${userId} 的 LOCK_HERO 请求: locked=${isLocked}, hero=${heroId}`);
+
+  // 3. 广播 PLAYER_HERO_LOCKED 事件给房间内所有玩家（包括自己，以便状态同步）
+  wsApp.broadcastToRoom(roomId, {
+    type: 'PLAYER_HERO_LOCKED',
+    data: {
+      playerId: userId,
+      heroId: updatedRoom.players.find(p => p.openId === userId)?.selectedHeroId, // 确保发送最新的英雄ID
+      isLocked: updatedRoom.players.find(p => p.openId === userId)?.isHeroLocked // 确保发送最新的锁定状态
+    }
+  });
+  logRoomStatus(roomId, 'After Hero Lock Update'); // 打印房间状态日志
+
+  // --- 新逻辑：检查是否触发机器人锁定或最终游戏开始 ---
+  const currentRoomState = roomManager.getRoom(roomId); // 获取更新锁状态后的最新房间数据
+  if (!currentRoomState || currentRoomState.status !== 'CHARACTER_SELECT') {
+      console.log(`[handleLockHero] 房间 ${roomId} 状态为 ${currentRoomState?.status} (非 CHARACTER_SELECT)，跳过后续检查。`);
+      return; 
+  }
+
+  // 4. 如果是人类玩家刚刚锁定，检查是否所有人类玩家都已锁定
+  if (!lockingPlayer.isBot && isLocked) {
+      const humanPlayers = currentRoomState.players.filter(p => !p.isBot);
+      const allHumansLocked = humanPlayers.every(p => p.isHeroLocked);
+      
+      if (allHumansLocked) {
+          console.log(`[handleLockHero] 所有人类玩家已锁定，触发机器人选择英雄...`);
+          await triggerBotsToLock(roomId); // 调用异步函数让机器人锁定
+          // 注意：机器人锁定后会再次触发 handleLockHero，最终的游戏开始检查将在那里进行
+      }
+  }
+
+  // 5. 检查是否所有玩家（人类+机器人）都已锁定，以触发最终游戏开始
+  //    这个检查在每次锁定事件（人类或机器人）后都执行
+  const allPlayersLocked = roomManager.checkAllPlayersLocked(roomId); // <--- 使用 roomManager 的函数
+
+  console.log(`[handleLockHero] 检查最终开始条件: 房间 ${roomId}, 状态=${currentRoomState.status}, 玩家总数=${currentRoomState.players.length}, 是否都已锁定=${allPlayersLocked}`);
+
+  if (allPlayersLocked) { // 如果所有人都锁定了
+    console.log(`[handleLockHero] 房间 ${roomId} 满足最终开始条件 (所有玩家均已锁定英雄)，转换状态并广播游戏开始...`);
+    
+    // 更新房间状态为 'playing'
+    const finalRoomState = roomManager.updateRoom(roomId, { 
+      status: 'playing',
+      gameActualStartTime: Date.now() // 记录实际游戏开始时间
+    });
+
+    if (finalRoomState) {
+      // 准备广播游戏正式开始的消息
+       const gameStartMessage = {
+           type: 'ACTUAL_GAME_START', // 使用明确的类型 
+           data: { 
+               roomId: finalRoomState.roomId,
+               // 可以包含最终确认的玩家列表和英雄等信息
+               players: finalRoomState.players.map(p => ({ 
+                   openId: p.openId,
+                   isHost: p.isHost,
+                   isBot: p.isBot,
+                   selectedHeroId: p.selectedHeroId,
+                   isOffline: !!p.isOffline,
+                   nickname: p.nickname || p.openId 
+                })),
+               startTime: finalRoomState.gameActualStartTime
+           }
+       };
+      wsApp.broadcastToRoom(roomId, gameStartMessage); // 显式广播
+      console.log(`[handleLockHero] 房间 ${roomId} 游戏已由人类玩家锁定触发启动并广播`);
+    } else {
+      console.error(`[handleLockHero] 尝试更新房间 ${roomId} 状态为 playing 失败`);
+    }
+  } else {
+      console.log(`[handleLockHero] 房间 ${roomId} 仍有玩家未锁定英雄，等待其他玩家。`);
+  }
+  // --- 新逻辑结束 ---
+}
+
+// --- 新增：触发机器人锁定英雄的函数 ---
+async function triggerBotsToLock(roomId) {
+    const wsApp = require('../wsApp');
+    console.log(`[triggerBotsToLock] 开始为房间 ${roomId} 的机器人选择英雄...`);
+    const room = roomManager.getRoom(roomId);
+    if (!room || !room.players) {
+        console.error(`[triggerBotsToLock] 无法获取房间 ${roomId} 信息`);
+        return;
+    }
+
+    const botsToLock = room.players.filter(p => p.isBot && !p.isHeroLocked);
+    if (botsToLock.length === 0) {
+        console.log(`[triggerBotsToLock] 房间 ${roomId} 没有需要锁定的机器人`);
+        return;
+    }
+
+    for (const bot of botsToLock) {
+        try {
+            const botId = bot.openId;
+            // 1. 获取可用英雄
+            const availableHeroIds = roomManager.getAvailableHeroIds(roomId);
+            if (!availableHeroIds || availableHeroIds.length === 0) {
+                console.error(`[triggerBotsToLock] 房间 ${roomId} 没有可供机器人 ${botId} 选择的英雄了！`);
+                continue; // 跳过此机器人
+            }
+
+            // 2. 为机器人随机选择一个英雄
+            const randomIndex = Math.floor(Math.random() * availableHeroIds.length);
+            const chosenHeroId = availableHeroIds[randomIndex];
+            console.log(`[triggerBotsToLock] 后端为机器人 ${botId} 选择了英雄: ${chosenHeroId}`);
+
+            // 3. 更新机器人的锁定状态
+            const botUpdatedRoom = roomManager.setPlayerHeroLockStatus(roomId, botId, true, chosenHeroId);
+
+            if (botUpdatedRoom) {
+                // 广播机器人锁定消息
+                wsApp.broadcastToRoom(roomId, {
+                    type: 'PLAYER_HERO_LOCKED',
+                    data: {
+                        playerId: botId,
+                        heroId: chosenHeroId,
+                        isLocked: true
+                    }
+                });
+                logRoomStatus(roomId, `After Bot ${botId} Lock Update`); // 记录机器人锁定后的状态
+                
+                // **** 新增：检查机器人锁定后是否所有人都已锁定 ****
+                const allLockedAfterBot = roomManager.checkAllPlayersLocked(roomId); // 使用 RoomManager 的函数检查
+                console.log(`[triggerBotsToLock] 检查机器人 ${botId} 锁定后，所有玩家是否锁定: ${allLockedAfterBot}`);
+                
+                if (allLockedAfterBot) {
+                    console.log(`[triggerBotsToLock] 房间 ${roomId} 在机器人锁定后满足最终开始条件，转换状态并广播游戏开始...`);
+                    // 更新房间状态为 'playing'
+                    const finalRoomState = roomManager.updateRoom(roomId, { 
+                        status: 'playing',
+                        gameActualStartTime: Date.now() // 记录实际游戏开始时间
+                    });
+
+                    if (finalRoomState) {
+                        // 准备广播游戏正式开始的消息
+                        const gameStartMessage = {
+                             type: 'ACTUAL_GAME_START', // 使用明确的类型 
+                             data: { 
+                                 roomId: finalRoomState.roomId,
+                                 // 可以包含最终确认的玩家列表和英雄等信息
+                                 players: finalRoomState.players.map(p => ({ 
+                                     openId: p.openId,
+                                     isHost: p.isHost,
+                                     isBot: p.isBot,
+                                     selectedHeroId: p.selectedHeroId,
+                                     isOffline: !!p.isOffline,
+                                     nickname: p.nickname || p.openId 
+                                  })),
+                                 startTime: finalRoomState.gameActualStartTime
+                             }
+                         };
+                        wsApp.broadcastToRoom(roomId, gameStartMessage); // 显式广播
+                        console.log(`[triggerBotsToLock] 房间 ${roomId} 游戏已由机器人锁定触发启动并广播`);
+                        // 注意：如果一个房间有多个机器人，这里可能会被多次触发，但 updateRoom 和 notify 应该是幂等的或安全的
+                    } else {
+                        console.error(`[triggerBotsToLock] 尝试更新房间 ${roomId} 状态为 playing 失败`);
+                    }
+                    // 如果所有人都锁定了，可能不需要再处理其他机器人了（取决于游戏逻辑），可以考虑 break
+                    // break; // 如果希望第一个完成锁定的机器人就触发游戏开始
+                }
+                 // **** 新增结束 ****
+                 
+            } else {
+                 console.warn(`[triggerBotsToLock] 更新机器人 ${botId} 锁定状态失败，跳过后续检查。`);
+            }
+
+            // 添加一个小延迟，模拟思考和避免同时触发过多事件 (可选)
+            await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 200)); 
+
+        } catch (error) {
+            console.error(`[triggerBotsToLock] 为机器人 ${bot.openId} 选择英雄时出错:`, error);
+        }
+    }
+    console.log(`[triggerBotsToLock] 房间 ${roomId} 的机器人锁定流程处理完毕`);
+
+    // 广播更新后的房间状态（添加机器人后）
+    const finalRoomState = roomManager.getRoom(roomId); 
+    if(finalRoomState) {
+        wsApp.broadcastToRoom(roomId, {
+            type: 'ROOM_UPDATE',
+            data: {
+                roomId: finalRoomState.roomId,
+                name: finalRoomState.name,
+                hostId: finalRoomState.hostId,
+                status: finalRoomState.status,
+                maxPlayers: finalRoomState.maxPlayers,
+                players: finalRoomState.players.map(p => ({ 
+                    openId: p.openId,
+                    isHost: p.isHost,
+                    isBot: p.isBot,
+                    ready: p.ready,
+                    isHeroLocked: p.isHeroLocked,
+                    selectedHeroId: p.selectedHeroId,
+                    isOffline: !!p.isOffline,
+                    rtt: wsApp.getClientRtt(p.openId),
+                    nickname: p.nickname || p.openId 
+                 })),
+                 // ... (其他房间状态) ...
+            }
+        });
+        logRoomStatus(roomId, 'After Bot Added');
+    }
+}
+// --- 新增结束 ---
+
+/**
+ * 处理添加机器人请求
+ * @param {string} playerId - 发送请求的玩家ID（应为房主）
+ * @param {object} data - 消息数据，应包含 { roomId: string, botId: string, botName: string }
+ */
+function handleAddBot(playerId, data) {
+    const wsApp = require('../wsApp');
+    const { roomId, botId, botName } = data;
+
+    if (!roomId || !botId) {
+        console.error('无效的 ADD_BOT 消息:', data);
+        wsApp.sendError(playerId, 4000, 'roomId 和 botId 不能为空');
+        return;
+    }
+
+    try {
+        // 检查请求者是否是房间的房主
+        const playerRoomId = roomManager.getPlayerRoomId(playerId);
+        if (playerRoomId !== roomId) {
+            console.error(`玩家 ${playerId} 不在房间 ${roomId} 中，无法添加机器人`);
+            wsApp.sendError(playerId, 4004, '您不在该房间中，无法添加机器人');
+            return;
+        }
+
+        // 获取房间数据
+        const room = roomManager.getRoom(roomId); // <- 使用 getRoom
+        if (!room || !room.players) { // <- 检查 room 和 room.players
+            console.error(`获取房间 ${roomId} 数据失败`);
+            wsApp.sendError(playerId, 4001, '房间不存在');
+            return;
+        }
+        // 检查发起请求的玩家是否确实在房间内
+        const requestingPlayer = room.players.find(p => p.openId === playerId);
+        if (!requestingPlayer) {
+             console.error(`玩家 ${playerId} 数据不在获取到的房间 ${roomId} 数据中`);
+             wsApp.sendError(playerId, 4004, '您不在该房间中，无法添加机器人');
+             return;
+        }
+
+        // 检查是否是房主 - 现在可以从 requestingPlayer 获取
+        // if (!requestingPlayer.isHost) { // <- 可以取消注释进行检查
+        //     console.error(`非房主玩家 ${playerId} 尝试添加机器人`);
+        //     return;
+        // }
+
+        // 添加机器人到房间
+        console.log(`房主 ${playerId} 正在添加机器人 ${botId} 到房间 ${roomId}`);
+        const joinResult = roomManager.addPlayerToRoom(roomId, botId, { isBot: true, nickname: botName }); 
+        if (!joinResult || !joinResult.room || !joinResult.player) { 
+            console.error(`添加机器人 ${botId} 到房间 ${roomId} 失败 (addPlayerToRoom 返回 null 或无效结果)`);
+            const code = (joinResult && ROOM_ERROR_CODES[joinResult.error]) || 4001;
+            wsApp.sendError(playerId, code, (joinResult && joinResult.message) || '添加机器人失败');
+            return;
+        }
+        console.log(`[handleAddBot] 机器人 ${botId} 已成功加入房间 ${roomId}。`);
+
+        // 获取更新后的房间状态并广播 PLAYER_JOINED 事件
+        const roomAfterBotJoin = roomManager.getRoom(roomId); 
+        if(roomAfterBotJoin) {
+            wsApp.broadcastToRoom(roomId, {
+                type: 'PLAYER_JOINED', // 使用明确的事件类型
+                data: {
+                    roomId,
+                    player: joinResult.player, // 发送新加入的玩家信息
+                    playerCount: roomAfterBotJoin.players.length,
+                    // 可以选择性地发送整个更新后的房间状态
+                    room: { // 发送简化的房间状态或根据需要发送完整状态
+                        players: roomAfterBotJoin.players.map(p => ({ 
+                            openId: p.openId,
+                            nickname: p.nickname || p.openId,
+                            isBot: p.isBot,
+                            isHost: p.isHost,
+                            ready: p.ready,
+                            isHeroLocked: p.isHeroLocked,
+                            selectedHeroId: p.selectedHeroId,
+                            isOffline: !!p.isOffline
+                        }))
+                    } 
+                }
+            });
+            logRoomStatus(roomId, 'After Bot Added Broadcast');
+        } else {
+             console.error(`[handleAddBot] 添加机器人后无法获取房间 ${roomId} 的数据用于广播`);
+        }
+
+        // --- 保留：将机器人设置为已准备状态 --- 
+        const readyResult = roomManager.updatePlayerReady(roomId, botId, true);
+        if (!readyResult) {
+            // 这个错误理论上不应该发生，因为刚添加了机器人
+            console.error(`[handleAddBot] 设置机器人 ${botId} 为准备状态失败`);
+            // 可以选择继续，或者认为这是一个严重问题并返回
+        } else {
+            console.log(`[handleAddBot] 机器人 ${botId} 已自动设置为准备状态`);
+            // 广播 ROOM_UPDATE 让前端知道机器人已准备
+            // updatePlayerReady 内部已经会广播 PLAYER_READY_CHANGED, 包含了房间信息
+            // 但为了确保状态完全同步，可以再广播一次完整的 ROOM_UPDATE
+            const currentRoomState = roomManager.getRoom(roomId); 
+            if (currentRoomState) {
+                wsApp.broadcastToRoom(roomId, {
+                    type: 'ROOM_UPDATE',
+                    data: {
+                        roomId,
+                        players: currentRoomState.players.map(p => ({ /* 包含 ready, locked, hero 等所有状态 */ 
+                            openId: p.openId,
+                            isHost: p.isHost,
+                            isBot: p.isBot,
+                            ready: p.ready,
+                            isHeroLocked: p.isHeroLocked,
+                            selectedHeroId: p.selectedHeroId,
+                            isOffline: !!p.isOffline,
+                            rtt: wsApp.getClientRtt(p.openId),
+                            nickname: p.nickname || p.openId
+                         })),
+                        // ... (其他房间状态) ...
+                    }
+                });
+                logRoomStatus(roomId, 'After Bot Ready Update');
+            }
+        }
+        // --- 机器人准备状态设置结束 ---
+
+    } catch (error) {
+        console.error(`处理添加机器人时出错 (房间: ${roomId}, 玩家: ${playerId}):`, error);
+        wsApp.sendError(playerId, 5000, '添加机器人时发生服务器错误');
+    }
+}
+
+/**
+ * 构造包含完整玩家列表的 ROOM_UPDATE 消息
+ * @param {Object} room - 房间信息
+ * @param {string} eventType - 事件类型
+ * @param {Object} [extraData={}] - 额外的事件数据
+ * @returns {Object} ROOM_UPDATE 消息
+ */
+function buildRoomPlayersUpdate(room, eventType, extraData = {}) {
+    const wsApp = require('../wsApp');
+    return {
+        type: 'ROOM_UPDATE',
+        data: {
+            roomId: room.roomId,
+            eventType,
+            ...extraData,
+            hostId: room.hostId,
+            status: room.status,
+            players: room.players.map(p => ({
+                openId: p.openId,
+                isHost: p.isHost,
+                ready: p.ready,
+                isBot: p.isBot,
+                isHeroLocked: p.isHeroLocked,
+                selectedHeroId: p.selectedHeroId,
+                isOffline: !!p.isOffline,
+                rtt: wsApp.getClientRtt(p.openId), // 最近测得的网络延迟 (毫秒)
+                nickname: p.nickname || p.openId
+            })),
+            lockedCount: room.players.filter(p => p.isHeroLocked).length,
+            readyCount: room.players.filter(p => p.ready).length,
+            playerCount: room.players.length
+        }
+    };
+}
+
+/**
+ * 打印当前房间状态的日志（用于调试）
+ * @param {string} roomId - 房间ID
+ * @param {string} context - 上下文信息（用于标识日志位置）
+ */
+function logRoomStatus(roomId, context) {
+    try {
+        const room = roomManager.getRoom(roomId); // <- 使用 getRoom
+        if (!room || !room.players) { // <- 检查 room 和 room.players
+            console.log(`[${context}] 房间 ${roomId} 不存在或无玩家数据`);
+            return;
+        }
+        const players = room.players; // <- 获取 players 数组
+
+        const playerCount = players.length;
+        const botCount = players.filter(p => p.isBot).length; // 假设玩家对象有 isBot 属性
+        const humanCount = playerCount - botCount;
+        const readyCount = players.filter(p => p.ready).length;
+        const lockedCount = players.filter(p => p.isHeroLocked).length; // 假设玩家数据中有 isHeroLocked
+
+        console.log(`[${context}] 房间 ${roomId} 状态: ` +
+            `总玩家=${playerCount} (人类=${humanCount}, 机器人=${botCount}), ` +
+            `已准备=${readyCount}, 已锁定=${lockedCount}`);
+    } catch (error) {
+        console.error(`[${context}] 记录房间状态出错:`, error);
+    }
+}
+
+/**
+ * 注册房间大厅消息处理器
+ * @param {Object} router messageRouter
+ */
+function registerHandlers(router) {
+  const { ROOM } = router.MEMBERSHIP;
+  router.registerHandler('JOIN_ROOM', handleJoinRoom);
+  router.registerHandler('GET_ROOM_INFO', handleGetRoomInfo, { allowObservers: true });
+  router.registerHandler('PLAYER_READY', handlePlayerReady, { requires: ROOM });
+  router.registerHandler('LOCK_HERO', handleLockHero, { requires: ROOM });
+  router.registerHandler('ADD_BOT', handleAddBot, {
+    requires: ROOM,
+    middleware: [rateLimit(ADD_BOT_RATE_LIMIT)]
+  });
+}
+
+module.exports = {
+  ROOM_ERROR_CODES,
+  registerHandlers,
+  handleGetRoomInfo,
+  buildRoomPlayersUpdate,
+  logRoomStatus
+};
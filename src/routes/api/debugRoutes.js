@@ -36,5 +36,19 @@ router.get('/rooms', debugHandlers.handleGetActiveRooms);
  */
 router.get('/sessions', debugHandlers.handleGetActiveSessions);
 
+/**
+ * @route GET /api/debug/connections
+ * @desc Get all connected WebSocket clients with heartbeat RTT
+ * @access Development only
+ */
+router.get('/connections', debugHandlers.handleGetConnections);
+
+/**
+ * @route GET /api/debug/maps/validate
+ * @desc Validate a generated map (?mapId=&gameMode=&seed=) or the map of an active game session (?sessionId=)
+ * @access Development only
+ */
+router.get('/maps/validate', debugHandlers.handleValidateMap);
+
 
 module.exports = router; 
\ No newline at end of file
@@ -5,6 +5,10 @@
 const express = require('express');
 const router = express.Router();
 const { authMiddleware, optionalAuthMiddleware } = require('../../middleware/auth');
+const mapRegistry = require('../../game/mapRegistry');
+const quickComms = require('../../game/quickComms');
+const lootTables = require('../../game/lootTables');
+const heroes = require('../../game/heroes');
 
 // TODO: 添加游戏相关处理器
 const gameHandlers = {};
@@ -15,16 +19,12 @@ const gameHandlers = {};
  * @access 公开
  */
 router.get('/maps', optionalAuthMiddleware, (req, res) => {
-  // 临时返回静态地图数据
+  // 返回地图生成器注册表中实际可用的地图
   res.json({
     code: 200,
     message: '获取地图列表成功',
     data: {
-      maps: [
-        { id: 'default', name: '默认地图', difficulty: 1 },
-        { id: 'mansion', name: '神秘大宅', difficulty: 2 },
-        { id: 'lab', name: '废弃实验室', difficulty: 3 }
-      ]
+      maps: mapRegistry.listMaps()
     }
   });
 });
@@ -35,17 +35,42 @@ router.get('/maps', optionalAuthMiddleware, (req, res) => {
  * @access 公开
  */
 router.get('/items', optionalAuthMiddleware, (req, res) => {
-  // 临时返回静态道具数据
+  // 返回与地图掉落表一致的物品目录
   res.json({
     code: 200,
     message: '获取道具列表成功',
     data: {
-      items: [
-        { id: 'key', name: '钥匙', description: '可以打开锁住的门', rarity: 1 },
-        { id: 'flashlight', name: '手电筒', description: '可以照亮黑暗区域', rarity: 1 },
-        { id: 'medkit', name: '医疗包', description: '可以恢复生命值', rarity: 2 },
-        { id: 'amulet', name: '护身符', description: '可以抵御一次致命伤害', rarity: 3 }
-      ]
+      items: lootTables.listItems()
+    }
+  });
+});
+
+/**
+ * @route GET /api/game/heroes
+ * @desc 获取所有英雄及其基础血量和技能
+ * @access 公开
+ */
+router.get('/heroes', optionalAuthMiddleware, (req, res) => {
+  res.json({
+    code: 200,
+    message: '获取英雄列表成功',
+    data: {
+      heroes: heroes.listHeroes()
+    }
+  });
+});
+
+/**
+ * @route GET /api/game/emotes
+ * @desc 获取游戏内可用的快捷表情
+ * @access 公开
+ */
+router.get('/emotes', optionalAuthMiddleware, (req, res) => {
+  res.json({
+    code: 200,
+    message: '获取表情列表成功',
+    data: {
+      emotes: quickComms.listEmotes()
     }
   });
 });
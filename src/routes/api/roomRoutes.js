@@ -72,6 +72,13 @@ router.post('/start', (req, res) => {
   return roomHandlers.handleStartGame(req, res);
 });
 
+/**
+ * @route GET /api/room/spectatable
+ * @desc 获取可观战的房间列表 (游戏进行中)
+ * @access 私有
+ */
+router.get('/spectatable', roomHandlers.handleGetSpectatableRooms);
+
 /**
  * @route GET /api/room/:roomId
  * @desc 获取房间信息
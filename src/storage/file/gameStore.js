@@ -81,6 +81,9 @@ async function ensureConfigFile() {
             description: '提供临时无敌效果'
           }
         ],
+        chat: {
+          bannedWords: []
+        },
         lastUpdated: new Date().toISOString()
       };
       
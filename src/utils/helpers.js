@@ -153,6 +153,51 @@ function formatDateTime(date, format = 'YYYY-MM-DD HH:mm:ss') {
   return format.replace(/YYYY|MM|DD|HH|mm|ss|ms/g, match => replacements[match]);
 }
 
+/**
+ * 生成随机种子 (32位无符号整数)
+ * @returns {number} 随机种子
+ */
+function generateSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+/**
+ * 将任意种子规范化为32位无符号整数
+ * 数字直接取整，字符串使用 FNV-1a 哈希，其他值生成新的随机种子
+ * @param {number|string} seed 原始种子
+ * @returns {number} 规范化后的种子
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) >>> 0;
+  }
+  if (typeof seed === 'string' && seed.length > 0) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  return generateSeed();
+}
+
+/**
+ * 创建可复现的伪随机数生成器 (mulberry32)
+ * @param {number} seed 32位整数种子
+ * @returns {Function} 返回 [0, 1) 之间随机数的函数，用法同 Math.random
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 module.exports = {
   safeParseJSON,
   generateId,
@@ -163,5 +208,8 @@ module.exports = {
   delay,
   objectToQueryString,
   generateRandomString,
-  formatDateTime
+  formatDateTime,
+  generateSeed,
+  normalizeSeed,
+  createSeededRandom
 }; 
\ No newline at end of file
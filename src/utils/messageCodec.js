@@ -0,0 +1,134 @@
+/**
+ * WebSocket 消息编码
+ * 客户端在升级握手时通过子协议 (Sec-WebSocket-Protocol) 或 URL 参数 encoding 选择编码：
+ * - json (默认)：所有消息都是 JSON 文本帧，兼容旧客户端
+ * - compact：高频消息 (如 PLAYER_MOVED) 使用二进制帧，其余消息仍为 JSON 文本帧
+ */
+
+// 支持的编码
+const ENCODINGS = {
+  JSON: 'json',
+  COMPACT: 'compact'
+};
+
+// 二进制帧的操作码 (第一个字节)
+const BINARY_OPCODES = {
+  PLAYER_MOVED: 0x01
+};
+
+// 坐标使用 uint16 编码
+const MAX_COORDINATE = 0xffff;
+
+// 玩家ID长度使用 uint8 编码
+const MAX_ID_BYTES = 0xff;
+
+/**
+ * 编码 PLAYER_MOVED：[opcode u8][x u16][y u16][playerId 字节长度 u8][playerId utf8]
+ * @param {Object} data { playerId, position: {x, y} }
+ * @returns {Buffer|null} 无法用二进制表示时返回 null (回退到 JSON)
+ */
+function encodePlayerMoved(data) {
+  const { playerId, position } = data || {};
+  if (!position || !isCoordinate(position.x) || !isCoordinate(position.y)) {
+    return null;
+  }
+  const idBytes = Buffer.from(String(playerId), 'utf8');
+  if (idBytes.length > MAX_ID_BYTES) {
+    return null;
+  }
+
+  const buffer = Buffer.alloc(6 + idBytes.length);
+  buffer.writeUInt8(BINARY_OPCODES.PLAYER_MOVED, 0);
+  buffer.writeUInt16BE(position.x, 1);
+  buffer.writeUInt16BE(position.y, 3);
+  buffer.writeUInt8(idBytes.length, 5);
+  idBytes.copy(buffer, 6);
+  return buffer;
+}
+
+/**
+ * 检查是否为可以用 uint16 表示的坐标
+ * @param {*} value 坐标值
+ * @returns {boolean}
+ */
+function isCoordinate(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_COORDINATE;
+}
+
+// compact 编码下使用二进制帧的消息类型
+const BINARY_ENCODERS = {
+  PLAYER_MOVED: encodePlayerMoved
+};
+
+/**
+ * 根据升级握手确定连接的编码，子协议优先于 URL 参数
+ * @param {string} [protocol] 握手时选定的子协议
+ * @param {string} [queryEncoding] URL 参数 encoding
+ * @returns {string} 编码 (ENCODINGS)
+ */
+function negotiateEncoding(protocol, queryEncoding) {
+  if (protocol === ENCODINGS.COMPACT || protocol === ENCODINGS.JSON) {
+    return protocol;
+  }
+  // 其他子协议来自不认识编码的旧客户端，只能使用 JSON
+  if (protocol) {
+    return ENCODINGS.JSON;
+  }
+  return queryEncoding === ENCODINGS.COMPACT ? ENCODINGS.COMPACT : ENCODINGS.JSON;
+}
+
+/**
+ * 从客户端提供的子协议中选出一个 (供 WebSocket.Server 的 handleProtocols 使用)
+ * 都不是编码子协议时接受客户端的第一个子协议，避免旧客户端握手失败 (编码协商为 JSON)
+ * @param {Set<string>} protocols 客户端提供的子协议
+ * @returns {string} 选中的子协议
+ */
+function selectProtocol(protocols) {
+  if (protocols.has(ENCODINGS.COMPACT)) {
+    return ENCODINGS.COMPACT;
+  }
+  if (protocols.has(ENCODINGS.JSON)) {
+    return ENCODINGS.JSON;
+  }
+  return protocols.values().next().value;
+}
+
+/**
+ * 按编码序列化一条消息
+ * @param {Object} message 消息对象 { type, data }
+ * @param {string} encoding 编码 (ENCODINGS)
+ * @returns {string|Buffer} JSON 文本或二进制帧
+ */
+function encodeMessage(message, encoding) {
+  if (encoding === ENCODINGS.COMPACT && BINARY_ENCODERS[message.type]) {
+    const buffer = BINARY_ENCODERS[message.type](message.data);
+    if (buffer) {
+      return buffer;
+    }
+  }
+  return JSON.stringify(message);
+}
+
+/**
+ * 创建一条消息的编码函数，每种编码只序列化一次 (广播给多个客户端时复用)
+ * @param {Object} message 消息对象
+ * @returns {Function} (encoding) => string|Buffer
+ */
+function createEncoder(message) {
+  const cache = {};
+  return (encoding = ENCODINGS.JSON) => {
+    if (cache[encoding] === undefined) {
+      cache[encoding] = encodeMessage(message, encoding);
+    }
+    return cache[encoding];
+  };
+}
+
+module.exports = {
+  ENCODINGS,
+  BINARY_OPCODES,
+  negotiateEncoding,
+  selectProtocol,
+  encodeMessage,
+  createEncoder
+};
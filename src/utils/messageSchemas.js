@@ -0,0 +1,225 @@
+/**
+ * WebSocket 消息数据验证 - 为每种客户端消息类型定义 data 字段的模式
+ * 复用 validateRequest，在消息到达处理器之前拒绝格式错误的请求
+ */
+
+const config = require('../config');
+const { validateRequest } = require('./validation');
+const { ALL_HERO_IDS } = require('../managers/roomManager');
+const multiplayerHandler = require('../game/multiplayer_handler');
+const quickComms = require('../game/quickComms');
+const { GAME_ACTIONS } = require('../managers/gameManager');
+const { IMPOSTER_ACTIONS } = require('../game/imposterMode');
+
+/**
+ * 英雄ID校验
+ * @param {string} heroId 英雄ID
+ * @returns {true|string} 通过返回 true，否则返回错误信息
+ */
+function validateHeroId(heroId) {
+  return ALL_HERO_IDS.includes(heroId) || `英雄 ${heroId} 不存在`;
+}
+
+/**
+ * 生成整数网格坐标的校验函数
+ * @param {number} max 坐标上限 (不含)
+ * @param {string} axis 坐标轴名称
+ * @returns {Function} 校验函数
+ */
+function gridCoordinate(max, axis) {
+  return (value) => {
+    if (!Number.isInteger(value)) {
+      return `${axis} 坐标必须是整数`;
+    }
+    return (value >= 0 && value < max) || `${axis} 坐标超出地图范围 (0-${max - 1})`;
+  };
+}
+
+/**
+ * 生成只检查整数的坐标校验函数 (会话不存在、无法确定地图范围时使用)
+ * @param {string} axis 坐标轴名称
+ * @returns {Function} 校验函数
+ */
+function integerCoordinate(axis) {
+  return (value) => Number.isInteger(value) || `${axis} 坐标必须是整数`;
+}
+
+/**
+ * 获取会话地图尺寸，会话不存在时返回 null (由路由的会话成员检查返回错误)
+ * @param {string} sessionId 会话ID
+ * @returns {{width: number, height: number}|null}
+ */
+function getSessionMapSize(sessionId) {
+  const session = multiplayerHandler.activeSessions[sessionId];
+  return session ? { width: session.mapData.width, height: session.mapData.height } : null;
+}
+
+// 各消息类型的 data 模式；依赖其他字段或运行时状态的模式写成函数 (data) => schema
+const MESSAGE_SCHEMAS = {
+  PING: {
+    timestamp: { type: 'number' }
+  },
+
+  JOIN_ROOM: {
+    roomId: { type: 'string', required: true, minLength: 1 },
+    playerInfo: {
+      type: 'object',
+      validate: (info) => info.nickname === undefined
+        || (typeof info.nickname === 'string' && info.nickname.length <= 32)
+        || 'playerInfo.nickname 必须是不超过 32 个字符的字符串'
+    }
+  },
+
+  GET_ROOM_INFO: {
+    roomId: { type: 'string', required: true, minLength: 1 }
+  },
+
+  PLAYER_READY: {
+    roomId: { type: 'string' },
+    ready: { type: 'boolean', required: true }
+  },
+
+  GAME_EVENT: {
+    roomId: { type: 'string' },
+    eventType: { type: 'string', required: true, minLength: 1 }
+  },
+
+  // roomId 和 sessionId 至少需要一个
+  CHAT_MESSAGE: (data) => ({
+    roomId: { type: 'string', required: !data.sessionId, minLength: 1 },
+    sessionId: { type: 'string', minLength: 1 },
+    message: { type: 'string', required: true, minLength: 1, maxLength: config.chat.maxLength }
+  }),
+
+  SEND_EMOTE: {
+    sessionId: { type: 'string', required: true, minLength: 1 },
+    emoteId: {
+      type: 'string',
+      required: true,
+      validate: (emoteId) => quickComms.listEmotes().some(e => e.id === emoteId) || `表情 ${emoteId} 不存在`
+    }
+  },
+
+  PING_ROOM: (data) => {
+    const size = getSessionMapSize(data.sessionId);
+    return {
+      sessionId: { type: 'string', required: true, minLength: 1 },
+      x: { type: 'number', required: true, validate: size ? gridCoordinate(size.width, 'x') : integerCoordinate('x') },
+      y: { type: 'number', required: true, validate: size ? gridCoordinate(size.height, 'y') : integerCoordinate('y') }
+    };
+  },
+
+  ADD_BOT: {
+    roomId: { type: 'string', required: true, minLength: 1 },
+    botId: { type: 'string', required: true, minLength: 1 },
+    botName: { type: 'string', maxLength: 32 }
+  },
+
+  // 锁定时必须提供有效的英雄ID
+  LOCK_HERO: (data) => ({
+    isLocked: { type: 'boolean', required: true },
+    heroId: { type: 'string', required: data.isLocked === true, validate: validateHeroId }
+  }),
+
+  JOIN_GAME_SESSION: {
+    sessionId: { type: 'string', required: true, minLength: 1 },
+    characterId: { type: 'string', validate: validateHeroId }
+  },
+
+  // 不同操作需要的字段不同
+  GAME_ACTION: (data) => ({
+    roomId: { type: 'string' },
+    action: {
+      type: 'string',
+      required: true,
+      validate: (action) => GAME_ACTIONS.includes(action) || `不支持的游戏操作: ${action}`
+    },
+    itemId: { type: 'string', required: data.action === 'collect_item' || data.action === 'use_item', minLength: 1 },
+    doorId: { type: 'string', required: data.action === 'open_door', minLength: 1 },
+    targetData: { type: 'object' }
+  }),
+
+  // 目标字段取决于技能：对玩家使用时传 targetPlayerId，对房间使用时传 x、y
+  USE_SKILL: (data) => {
+    const size = getSessionMapSize(data.sessionId);
+    return {
+      sessionId: { type: 'string', required: true, minLength: 1 },
+      targetPlayerId: { type: 'string', minLength: 1 },
+      x: { type: 'number', required: data.y !== undefined, validate: size ? gridCoordinate(size.width, 'x') : integerCoordinate('x') },
+      y: { type: 'number', required: data.x !== undefined, validate: size ? gridCoordinate(size.height, 'y') : integerCoordinate('y') }
+    };
+  },
+
+  // 击杀需要指定目标玩家
+  IMPOSTER_ACTION: (data) => ({
+    sessionId: { type: 'string', required: true, minLength: 1 },
+    action: {
+      type: 'string',
+      required: true,
+      validate: (action) => Object.prototype.hasOwnProperty.call(IMPOSTER_ACTIONS, action) || `不支持的冒名者操作: ${action}`
+    },
+    targetPlayerId: { type: 'string', required: data.action === 'kill', minLength: 1 }
+  }),
+
+  CALL_MEETING: {
+    sessionId: { type: 'string', required: true, minLength: 1 }
+  },
+
+  // 不传 targetPlayerId 表示弃票
+  CAST_VOTE: {
+    sessionId: { type: 'string', required: true, minLength: 1 },
+    targetPlayerId: { type: 'string', minLength: 1 }
+  },
+
+  SPECTATE: {
+    sessionId: { type: 'string', required: true, minLength: 1 }
+  },
+
+  PLAYER_MOVE: (data) => {
+    const size = getSessionMapSize(data.sessionId);
+    return {
+      sessionId: { type: 'string', required: true, minLength: 1 },
+      position: {
+        type: 'object',
+        required: true,
+        validate: (position) => {
+          // 会话不存在时只检查整数，由路由的会话成员检查返回错误
+          const checkX = size ? gridCoordinate(size.width, 'x') : integerCoordinate('x');
+          const checkY = size ? gridCoordinate(size.height, 'y') : integerCoordinate('y');
+          return [checkX(position.x), checkY(position.y)].find(result => result !== true) || true;
+        }
+      }
+    };
+  }
+};
+
+/**
+ * 验证消息的 data 字段
+ * 没有定义模式的消息类型直接通过，由处理器自行处理
+ * @param {string} type 消息类型
+ * @param {*} data 消息数据
+ * @returns {Object} { valid, errors, data }，data 为原始数据合并默认值后的对象
+ */
+function validateMessage(type, data) {
+  const schemaDef = MESSAGE_SCHEMAS[type];
+  if (data !== undefined && data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+    return { valid: false, errors: [{ field: 'data', message: '字段 data 必须是对象类型' }], data: {} };
+  }
+  const messageData = data || {};
+  if (!schemaDef) {
+    return { valid: true, errors: null, data: messageData };
+  }
+
+  const schema = typeof schemaDef === 'function' ? schemaDef(messageData) : schemaDef;
+  const result = validateRequest(messageData, schema);
+  return {
+    valid: result.valid,
+    errors: result.errors,
+    data: { ...messageData, ...result.data }
+  };
+}
+
+module.exports = {
+  MESSAGE_SCHEMAS,
+  validateMessage
+};
@@ -5,18 +5,38 @@
 
 const WebSocket = require('ws');
 const url = require('url');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
 const sessionManager = require('./managers/sessionManager');
 const roomManager = require('./managers/roomManager'); // 确保 roomManager 被正确导入
 const multiplayerHandler = require('./game/multiplayer_handler'); // <-- 1. 引入多人游戏处理器
+const chatManager = require('./managers/chatManager');
+const messageRouter = require('./messages');
+const { handleGetRoomInfo, buildRoomPlayersUpdate, logRoomStatus } = require('./messages/roomMessages');
+const messageCodec = require('./utils/messageCodec');
 
 // WebSocket服务实例
 let wss = null;
 // 心跳检测定时器
 let heartbeatInterval = null;
 
-// 客户端连接映射，key为userId，value为WebSocket连接
+// 客户端连接映射，key为userId，value为WebSocket连接 (每个用户只有一个 player 连接)
 const clients = new Map();
 
+// 非玩家连接 (观战/调试) 映射，key为userId，value为 Set<WebSocket>
+// 这些连接会收到发给该用户的消息，但不能执行游戏操作
+const observerClients = new Map();
+
+// 观战延迟队列，key为sessionId，value为 { entries: [{ dueAt, encode, userIds }], timer }
+// 每个会话只有一个计时器，按入队顺序到期发送
+const spectatorQueues = new Map();
+
+const { CONNECTION_ROLES } = messageRouter;
+
+// 当前正在处理的客户端请求 { userId, type, requestId, failed }
+// 在异步处理器中也能取到，sendError 借此自动回传 requestId
+const requestContext = new AsyncLocalStorage();
+
 /**
  * 创建并附加WebSocket服务到HTTP服务器
  * @param {Object} server HTTP服务器实例
@@ -28,29 +48,37 @@ function attach(server) {
 
   // 创建WebSocket服务 (不再使用 verifyClient)
   wss = new WebSocket.Server({ 
-    noServer: true // 重要：因为我们将手动处理升级
+    noServer: true, // 重要：因为我们将手动处理升级
     // server, // 不再直接传递 server
     // verifyClient: verifyClientMiddleware // 这个选项在这种模式下会被忽略
+    handleProtocols: (protocols) => messageCodec.selectProtocol(protocols), // 子协议 json/compact 决定消息编码
+    perMessageDeflate: config.websocket.perMessageDeflate
+      ? { threshold: config.websocket.deflateThreshold }
+      : false
   });
 
   // 设置连接事件处理 (仍然需要，但由 upgrade 事件手动触发)
   wss.on('connection', handleConnection);
 
   // !! 启动心跳检测定时器 !!
+  // 服务器定时发送 ping 控制帧 (客户端的 WebSocket 实现会自动回 pong)，并用 pong 计算往返延迟
   heartbeatInterval = setInterval(() => {
-    clients.forEach((ws, userId) => {
-      // 检查 isAlive 标记，默认为 true，第一次检查设为 false
-      // 如果第二次检查时仍然是 false，说明客户端无响应
-      if (ws.isAlive === false) {
+    forEachConnection((ws, userId) => {
+      // 连续 heartbeatMaxMissed 次 ping 都没有收到 pong (期间也没有任何消息)，说明客户端无响应
+      if (ws.missedPongs >= config.websocket.heartbeatMaxMissed) {
         console.log(`[wsApp.heartbeat] 检测到客户端 ${userId} 无响应，正在终止连接。`);
         return ws.terminate(); // 强制终止连接，会触发 'close' 事件完成清理
       }
 
-      ws.isAlive = false; // 标记为可能不活跃，等待下次 PING 或消息来确认
-      // 可选：服务器主动发送 PING，客户端会自动响应 PONG
-      // ws.ping(() => {}); 
+      ws.missedPongs += 1; // 收到 pong 或任何消息时清零
+      ws.pingSentAt = Date.now();
+      try {
+        ws.ping();
+      } catch (error) {
+        console.error(`[wsApp.heartbeat] 向客户端 ${userId} 发送 ping 失败:`, error);
+      }
     });
-  }, 30000); // 每 30 秒检查一次
+  }, config.websocket.heartbeatIntervalMs);
 
   // !! 关键改动：监听 HTTP 服务器的 'upgrade' 事件来进行验证和连接处理 !!
   server.on('upgrade', (request, socket, head) => {
@@ -78,13 +106,29 @@ function attach(server) {
       return;
     }
 
-    // 3. 调用 wss.handleUpgrade 完成握手
+    // 3. 校验连接角色 (player/spectator/debug)，默认为 player
+    const role = parsedUrl.query.role || CONNECTION_ROLES.PLAYER;
+    const roleError = validateConnectionRole(role, session, parsedUrl.query.sessionId);
+    if (roleError) {
+      console.log(`[wsApp.server.on('upgrade')] Verification failed: ${roleError.reason}`);
+      socket.write(`HTTP/1.1 ${roleError.status}\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    // 4. 调用 wss.handleUpgrade 完成握手
     wss.handleUpgrade(request, socket, head, (ws) => {
-      // 4. 将 userId 附加到 request 对象
+      // 5. 将 userId 附加到 request 对象
       request.userId = session.userId;
       request.session = session;
+      ws.role = role;
+      if (role === CONNECTION_ROLES.SPECTATOR) {
+        ws.spectateSessionId = parsedUrl.query.sessionId;
+      }
+      // 握手时协商的消息编码 (子协议优先，其次是 URL 参数 encoding)
+      ws.encoding = messageCodec.negotiateEncoding(ws.protocol, parsedUrl.query.encoding);
 
-      // 5. 手动触发 'connection' 事件
+      // 6. 手动触发 'connection' 事件
       wss.emit('connection', ws, request);
     });
   });
@@ -93,6 +137,45 @@ function attach(server) {
   return wss;
 }
 
+// 观战检查的错误码对应的升级失败 HTTP 状态
+const SPECTATE_UPGRADE_STATUS = {
+  4001: '404 Not Found',
+  4002: '503 Service Unavailable',
+  4007: '403 Forbidden'
+};
+
+/**
+ * 校验升级请求声明的连接角色
+ * debug 角色只在非生产环境可用 (与调试路由一致)；每个用户的非玩家连接数有上限；
+ * spectator 角色必须通过 sessionId 参数指定一个可以观战的会话
+ * @param {string} role 连接角色
+ * @param {Object} session 已验证的登录会话
+ * @param {string} [spectateSessionId] 要观战的会话ID (URL 参数 sessionId)
+ * @returns {Object|null} 校验失败时返回 { status, reason }
+ */
+function validateConnectionRole(role, session, spectateSessionId) {
+  if (!Object.values(CONNECTION_ROLES).includes(role)) {
+    return { status: '400 Bad Request', reason: `Unknown connection role ${role}.` };
+  }
+  if (role === CONNECTION_ROLES.DEBUG && process.env.NODE_ENV === 'production') {
+    return { status: '403 Forbidden', reason: 'Debug connections are disabled in production.' };
+  }
+  const observers = observerClients.get(session.userId);
+  if (role !== CONNECTION_ROLES.PLAYER && observers && observers.size >= config.websocket.maxObserverConnections) {
+    return { status: '429 Too Many Requests', reason: `Too many ${role} connections for ${session.userId}.` };
+  }
+  if (role === CONNECTION_ROLES.SPECTATOR) {
+    if (!spectateSessionId) {
+      return { status: '400 Bad Request', reason: 'Spectator connections require a sessionId.' };
+    }
+    const spectateError = multiplayerHandler.checkSpectatable(spectateSessionId, session.userId);
+    if (spectateError) {
+      return { status: SPECTATE_UPGRADE_STATUS[spectateError.error], reason: `Cannot spectate session ${spectateSessionId}: ${spectateError.message}` };
+    }
+  }
+  return null;
+}
+
 /**
  * 处理新的WebSocket连接
  * @param {Object} ws WebSocket连接实例
@@ -112,9 +195,30 @@ function handleConnection(ws, req) {
     return; // 阻止后续代码执行
   }
 
-  console.log(`WebSocket客户端已连接: ${userId}`); // 现在应该打印正确的 userId
+  console.log(`WebSocket客户端已连接: ${userId} (角色: ${ws.role})`); // 现在应该打印正确的 userId
+
+  // !! 初始化心跳状态 !!
+  ws.missedPongs = 0;
+  ws.pingSentAt = null;
+  ws.rtt = null; // 最近一次 ping/pong 的往返延迟 (毫秒)
+  ws.connectedAt = Date.now();
+
+  // !! 监听 PONG 响应，清零未响应计数并记录往返延迟 !!
+  ws.on('pong', () => {
+    ws.missedPongs = 0;
+    if (ws.pingSentAt) {
+      ws.rtt = Date.now() - ws.pingSentAt;
+      ws.pingSentAt = null;
+    }
+  });
+
+  // 观战/调试连接与玩家连接共存，不会取代玩家连接
+  if (ws.role !== CONNECTION_ROLES.PLAYER) {
+    handleObserverConnection(userId, ws);
+    return;
+  }
 
-  // 检查是否已有此用户的连接，处理重复连接
+  // 检查是否已有此用户的玩家连接，处理重复连接 (只保留最新的玩家连接)
   if (clients.has(userId)) {
     console.warn(`[wsApp.handleConnection] 检测到用户 ${userId} 的重复WebSocket连接。正在关闭旧连接...`);
     const oldWs = clients.get(userId);
@@ -135,47 +239,125 @@ function handleConnection(ws, req) {
   // 存储新的连接 (使用正确的 userId)
   clients.set(userId, ws);
 
-  // !! 初始化心跳标记 !!
-  ws.isAlive = true;
-
-  // !! 监听 PONG 响应，更新心跳标记 !!
-  ws.on('pong', () => {
-    // console.log(`[wsApp] Received PONG from ${userId}`); // 可选调试日志
-    ws.isAlive = true;
-  });
-
-  // 发送欢迎消息
-  sendToClient(userId, {
+  // 发送欢迎消息 (只发给新连接本身)
+  sendToSocket(ws, {
     type: 'CONNECTED',
     data: {
       userId,
+      role: ws.role,
+      encoding: ws.encoding,
       timestamp: Date.now(),
       message: '连接已建立'
     }
   });
 
-  // 设置消息事件处理 (在处理前更新 isAlive 标记)
+  // 设置消息事件处理 (在处理前清零心跳未响应计数)
   ws.on('message', (message) => {
-    ws.isAlive = true; // 收到任何消息都认为活跃
-    handleMessage(userId, message);
+    ws.missedPongs = 0; // 收到任何消息都认为活跃
+    handleMessage(userId, message, ws);
   });
 
   // 设置关闭事件处理
-  ws.on('close', () => handleClose(userId));
+  ws.on('close', () => handleClose(userId, ws));
 
   // 设置错误事件处理
   ws.on('error', (error) => handleError(userId, error));
 
   // 发送在线通知
   broadcastUserStatus(userId, 'online');
+
+  // 房间大厅重连：恢复离线玩家的在线状态，并把其保留的准备/英雄锁定状态发回客户端
+  const offlineRoomId = roomManager.getPlayerRoomId(userId);
+  const offlineRoom = offlineRoomId && roomManager.getRoom(offlineRoomId);
+  const roomPlayer = offlineRoom && offlineRoom.players.find(p => p.openId === userId);
+  if (roomPlayer && roomPlayer.isOffline) {
+    const onlineRoom = roomManager.markPlayerOnline(offlineRoomId, userId);
+    if (onlineRoom) {
+      handleGetRoomInfo(userId, { roomId: offlineRoomId });
+      sendChatHistory(userId, chatManager.CHAT_CHANNELS.ROOM, offlineRoomId);
+      broadcastToRoom(offlineRoomId, buildRoomPlayersUpdate(onlineRoom, 'PLAYER_ONLINE', { playerId: userId }), ws);
+    }
+  }
+
+  // 断线重连：玩家仍在游戏会话中时，下发完整的会话快照
+  const resumedState = multiplayerHandler.resumeSession(userId);
+  if (resumedState) {
+    console.log(`[wsApp.handleConnection] 用户 ${userId} 恢复会话 ${resumedState.sessionId}`);
+    sendToClient(userId, { type: 'SESSION_RESUMED', data: resumedState });
+    sendChatHistory(userId, chatManager.CHAT_CHANNELS.SESSION, resumedState.sessionId);
+  }
+}
+
+/**
+ * 处理观战/调试连接：只登记连接和收发消息，不影响用户在房间或会话中的在线状态
+ * @param {string} userId 用户ID
+ * @param {Object} ws WebSocket连接实例
+ */
+function handleObserverConnection(userId, ws) {
+  if (!observerClients.has(userId)) {
+    observerClients.set(userId, new Set());
+  }
+  observerClients.get(userId).add(ws);
+
+  sendToSocket(ws, {
+    type: 'CONNECTED',
+    data: {
+      userId,
+      role: ws.role,
+      encoding: ws.encoding,
+      timestamp: Date.now(),
+      message: '连接已建立 (只读)'
+    }
+  });
+
+  ws.on('message', (message) => {
+    ws.missedPongs = 0;
+    handleMessage(userId, message, ws);
+  });
+
+  ws.on('close', () => {
+    const observers = observerClients.get(userId);
+    if (observers) {
+      observers.delete(ws);
+      if (observers.size === 0) {
+        observerClients.delete(userId);
+      }
+    }
+    releaseSpectatorIfOffline(userId);
+    console.log(`[wsApp] 用户 ${userId} 的 ${ws.role} 连接已断开`);
+  });
+
+  ws.on('error', (error) => handleError(userId, error));
+
+  // 观战连接建立后直接开始观战握手时指定的会话 (握手后会话可能已结束，此时关闭连接)
+  if (ws.role === CONNECTION_ROLES.SPECTATOR) {
+    const result = multiplayerHandler.addSpectator(ws.spectateSessionId, userId);
+    if (result.error) {
+      sendToSocket(ws, { type: 'ERROR', data: { code: result.error, message: result.message } });
+      ws.close(1008, 'Session cannot be spectated');
+      return;
+    }
+    sendToSpectator(ws.spectateSessionId, userId, { type: 'SPECTATE_STARTED', data: result.snapshot });
+  }
+}
+
+/**
+ * 用户的所有连接都断开后停止观战
+ * @param {string} userId 用户ID
+ */
+function releaseSpectatorIfOffline(userId) {
+  if (getUserConnections(userId).length === 0) {
+    multiplayerHandler.removeSpectator(userId);
+  }
 }
 
 /**
  * 处理WebSocket消息
  * @param {string} userId 用户ID
  * @param {string} message 收到的消息
+ * @param {Object} [ws] 收到消息的连接，请求的 ACK/ERROR 只回复给这个连接
  */
-function handleMessage(userId, message) {
+function handleMessage(userId, message, ws = null) {
   // !! 新增：打印原始消息 !!
   console.log(`[handleMessage RAW] Received from ${userId}:`, message);
   try {
@@ -196,142 +378,37 @@ function handleMessage(userId, message) {
         return;
     }
 
-    console.log(`[DEBUG] Entering handleMessage switch for type: ${parsedMessage.type}`);
     console.log(`收到来自 ${userId} 的消息: ${parsedMessage.type}`);
 
-    // 根据消息类型处理
-    switch (parsedMessage.type) {
-      case 'PING': { // 4. 修复 PING 处理
-        // const ws = clients.get(userId); // 旧代码
-        // if (ws) { // 旧代码
-        //     ws.pong(); // 旧代码：发送的是pong控制帧，前端需要的是PONG消息
-        // } else { // 旧代码
-        //     console.warn(`[handleMessage PING] Cannot find WebSocket connection for userId: ${userId}`); // 旧代码
-        // } // 旧代码
-        // 新代码：回复PONG数据消息
-        sendToClient(userId, { type: 'PONG', data: { timestamp: Date.now() } });
-        break;
-      }
-
-      case 'JOIN_ROOM':
-        // 处理加入房间请求
-        handleJoinRoom(userId, parsedMessage.data);
-        break;
-
-      case 'GET_ROOM_INFO':
-        // 处理获取房间信息请求
-        handleGetRoomInfo(userId, parsedMessage.data);
-        break;
-
-      case 'PLAYER_READY':
-        // 处理玩家准备状态
-        handlePlayerReady(userId, parsedMessage.data);
-        break;
-
-      case 'GAME_ACTION':
-        // 处理游戏操作
-        handleGameAction(userId, parsedMessage.data);
-        break;
-
-      case 'GAME_EVENT':
-        // 处理游戏事件
-        handleGameEvent(userId, parsedMessage.data);
-        break;
-
-      case 'CHAT_MESSAGE':
-        // 处理聊天消息
-        handleChatMessage(userId, parsedMessage.data);
-        break;
-
-      case 'ADD_BOT':
-        if (typeof handleAddBot === 'function') {
-           handleAddBot(clients.get(userId), parsedMessage.data);
-        } else {
-           console.error("handleAddBot function is not defined!");
-            sendError(userId, 'SERVER_ERROR', 'Bot feature not available.');
-        }
-        break;
-
-      case 'LOCK_HERO':
-        handleLockHero(userId, parsedMessage.data);
-        break;
-
-      // --- 多人游戏逻辑 ---
-      case 'JOIN_GAME_SESSION': { 
-        const { sessionId, characterId: clientCharacterId } = parsedMessage.data;
-        if (!sessionId) {
-          sendError(userId, 'JOIN_GAME_SESSION_FAILED', 'Session ID is required.');
-          return;
-        }
-        let gameMode = '竞速模式';
-        let characterId = clientCharacterId; // 优先使用客户端直接传递的characterId
-
-        // 如果客户端没有直接传递角色ID，尝试从房间数据中获取
-        if (!characterId && roomManager && typeof roomManager.getRoom === 'function') {
-            const room = roomManager.getRoom(sessionId); // Assume sessionId is roomId
-            if (room) {
-                if (room.gameMode) {
-                    gameMode = room.gameMode;
-                }
-                // 从房间数据中查找当前玩家并获取角色ID
-                const playerInRoom = room.players?.find(p => p.openId === userId);
-                if (playerInRoom && playerInRoom.selectedHeroId) {
-                    characterId = playerInRoom.selectedHeroId;
-                }
-            }
-        }
-        
-        // 调用多人游戏处理器加入会话
-        const gameState = multiplayerHandler.joinSession(sessionId, userId, gameMode, characterId);
-        
-        // 向客户端发送加入会话响应
-        sendToClient(userId, { type: 'GAME_SESSION_JOINED', data: gameState });
-        
-        // 广播PLAYER_JOINED_SESSION给会话内其他玩家
-        const latestPlayerData = multiplayerHandler.activeSessions[sessionId]?.players?.[userId];
-        if (latestPlayerData) {
-            // 构造完整的玩家数据
-            const broadcastPlayerData = {
-                characterId: latestPlayerData.characterId,
-                position: latestPlayerData.position,
-                hp: latestPlayerData.hp || 3,
-                maxHp: latestPlayerData.maxHp || 3,
-                items: latestPlayerData.items || []
-            };
-            
-            // 执行广播
-            broadcastToSession(sessionId, { 
-                type: 'PLAYER_JOINED_SESSION', 
-                data: { 
-                    playerId: userId, 
-                    playerData: broadcastPlayerData 
-                } 
-            }, userId);
-        }
-        break;
-      }
-      // --- 结束 JOIN_GAME_SESSION ---
-
-      // --- 6. 添加 PLAYER_MOVE 处理 ---
-      case 'PLAYER_MOVE': { 
-        const { sessionId, position } = parsedMessage.data;
-        if (!sessionId || !position) {
-          sendError(userId, 'PLAYER_MOVE_FAILED', 'Session ID and position are required.');
-          return;
-        }
-        multiplayerHandler.handlePlayerMove(sessionId, userId, position);
-        // 广播给会话内其他玩家
-        broadcastToSession(sessionId, { type: 'PLAYER_MOVED', data: { playerId: userId, position } }, userId);
-        break;
+    // 可选的 requestId 用于关联请求和响应：处理成功回 ACK，失败的 ERROR 会带上同一个 requestId
+    const context = {
+      userId,
+      ws,
+      type: parsedMessage.type,
+      requestId: parsedMessage.requestId !== undefined ? parsedMessage.requestId : null,
+      failed: false
+    };
+    const role = ws ? ws.role : CONNECTION_ROLES.PLAYER;
+    requestContext.run(context, () => {
+      let pending;
+      try {
+        pending = messageRouter.dispatch(userId, parsedMessage, { role });
+      } catch (error) {
+        pending = Promise.reject(error);
       }
-      // --- 结束 PLAYER_MOVE ---
-
-      default:
-        console.log(`[DEBUG] Reached default case in handleMessage for type: ${parsedMessage.type}`);
-        console.warn(`未处理的消息类型: ${parsedMessage.type}`);
-        // 发送错误响应
-        sendError(userId, 'UNKNOWN_TYPE', `Unknown message type: ${parsedMessage.type}`);
-    }
+      // 处理器和中间件通过返回错误对象 { error, message } 拒绝请求
+      Promise.resolve(pending)
+        .then((result) => {
+          if (result && result.error) {
+            sendError(userId, result.error, result.message, result.errors);
+          }
+          sendAck(context);
+        })
+        .catch((error) => {
+          console.error(`处理消息失败: ${error.message}`);
+          sendError(userId, 'INTERNAL_ERROR', 'An internal server error occurred.');
+        });
+    });
   } catch (error) {
     console.error(`处理消息失败: ${error.message}`);
     // 发送错误响应
@@ -342,8 +419,9 @@ function handleMessage(userId, message) {
 /**
  * 处理WebSocket连接关闭
  * @param {string} userId 用户ID
+ * @param {Object} closedWs 被关闭的WebSocket连接
  */
-function handleClose(userId) {
+function handleClose(userId, closedWs) {
   if (!userId) {
       console.warn('[wsApp.handleClose] Attempted to handle close for an undefined userId.');
       return;
@@ -351,19 +429,24 @@ function handleClose(userId) {
   console.log(`WebSocket客户端已断开连接: ${userId}`);
   
   const ws = clients.get(userId);
+  if (ws && closedWs && ws !== closedWs) {
+      // 旧连接已被同一用户的新连接取代，不能清理新连接的状态
+      console.log(`[wsApp.handleClose] 用户 ${userId} 的旧连接已关闭，新连接仍在使用，跳过清理。`);
+      return;
+  }
   if (ws) {
   clients.delete(userId);
   } else {
       console.warn(`[wsApp.handleClose] Tried to remove non-existent client: ${userId}`);
   }
+  releaseSpectatorIfOffline(userId);
 
-  // --- 7. 处理会话离开和房间离开 ---
-  // 处理多人游戏会话离开
+  // --- 7. 处理会话断线和房间离开 ---
+  // 多人游戏会话：标记为断线并保留状态，宽限期内重连可恢复 (到期后由 multiplayerHandler 移出会话)
   const currentSessionId = findSessionIdForUser(userId);
   if (currentSessionId) {
-      multiplayerHandler.leaveSession(currentSessionId, userId);
-      broadcastToSession(currentSessionId, { type: 'PLAYER_LEFT', data: { playerId: userId } }, userId);
-      console.log(`[wsApp] Player ${userId} removed from session ${currentSessionId} and notified others.`);
+      multiplayerHandler.markPlayerDisconnected(currentSessionId, userId);
+      console.log(`[wsApp] Player ${userId} marked disconnected in session ${currentSessionId}.`);
   }
 
   // 通知房间内的其他用户该用户已离线 (使用 getPlayerRoomId)
@@ -375,26 +458,26 @@ function handleClose(userId) {
   }
 
   if (roomId) {
-    console.log(`[wsApp.handleClose] Player ${userId} was in room ${roomId}. Notifying room.`);
-    // 修复：使用removePlayerFromRoom替代不存在的leaveRoom
-    if (roomManager && typeof roomManager.removePlayerFromRoom === 'function') {
-        roomManager.removePlayerFromRoom(roomId, userId);
-        console.log(`[wsApp.handleClose] Player ${userId} removed from room ${roomId}`);
-    } else {
-        console.error('[wsApp.handleClose] roomManager.removePlayerFromRoom is not available.');
-    }
-    broadcastToRoom(roomId, { type: 'USER_LEFT_ROOM', data: { userId, roomId } }, null); 
-    
-    // 添加防错处理
-    if (roomManager && typeof roomManager.checkRoomState === 'function') {
-        try {
-            roomManager.checkRoomState(roomId);
-            console.log(`[wsApp.handleClose] Room ${roomId} state checked.`);
-        } catch (error) {
-            console.error(`[wsApp.handleClose] Error checking room state: ${error.message}`);
+    console.log(`[wsApp.handleClose] Player ${userId} was in room ${roomId}. Marking offline.`);
+    // 只标记离线，保留准备和英雄锁定状态；超时仍未重连才真正移出房间 (可能触发房主转移)
+    const offlineRoom = roomManager.markPlayerOffline(roomId, userId, (roomAfterRemoval) => {
+        console.log(`[wsApp.handleClose] Player ${userId} removed from room ${roomId} after offline timeout`);
+        broadcastToRoom(roomId, { type: 'USER_LEFT_ROOM', data: { userId, roomId } }, null);
+        broadcastToRoom(roomId, buildRoomPlayersUpdate(roomAfterRemoval, 'PLAYER_LEFT', { playerId: userId }));
+
+        // 添加防错处理
+        if (roomManager && typeof roomManager.checkRoomState === 'function') {
+            try {
+                roomManager.checkRoomState(roomId);
+                console.log(`[wsApp.handleClose] Room ${roomId} state checked.`);
+            } catch (error) {
+                console.error(`[wsApp.handleClose] Error checking room state: ${error.message}`);
+            }
         }
-    } else {
-        console.warn('[wsApp.handleClose] roomManager.checkRoomState is not available, skipping room state check');
+        logRoomStatus(roomId, 'Offline Timeout');
+    });
+    if (offlineRoom) {
+        broadcastToRoom(roomId, buildRoomPlayersUpdate(offlineRoom, 'PLAYER_OFFLINE', { playerId: userId }));
     }
     
     logRoomStatus(roomId, 'handleClose');
@@ -423,18 +506,79 @@ function handleError(userId, error) {
  * @returns {boolean} 是否发送成功
  */
 function sendToClient(userId, message) {
-  const client = clients.get(userId);
-  
-  if (client && client.readyState === WebSocket.OPEN) {
+  return sendEncoded(userId, messageCodec.createEncoder(message));
+}
+
+/**
+ * 按客户端协商的编码，把消息发给用户的玩家连接和所有观战/调试连接
+ * @param {string} userId 用户ID
+ * @param {Function} encode messageCodec.createEncoder 创建的编码函数
+ * @param {WebSocket|null} [excludeWs] 要排除的连接
+ * @returns {boolean} 是否至少发送给了一个连接
+ */
+function sendEncoded(userId, encode, excludeWs = null) {
+  let sent = false;
+
+  getUserConnections(userId).forEach(client => {
+    if (client === excludeWs || client.readyState !== WebSocket.OPEN) {
+      return;
+    }
     try {
-      client.send(JSON.stringify(message));
-      return true;
+      client.send(encode(client.encoding));
+      sent = true;
     } catch (error) {
       console.error(`向客户端 ${userId} 发送消息失败:`, error);
     }
+  });
+
+  return sent;
+}
+
+/**
+ * 向单个连接发送消息
+ * @param {WebSocket} ws 连接
+ * @param {Object} message 消息对象
+ * @returns {boolean} 是否发送成功
+ */
+function sendToSocket(ws, message) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    return false;
   }
-  
-  return false;
+  try {
+    ws.send(messageCodec.encodeMessage(message, ws.encoding));
+    return true;
+  } catch (error) {
+    console.error('向连接发送消息失败:', error);
+    return false;
+  }
+}
+
+/**
+ * 获取用户的所有连接 (玩家连接在前)
+ * @param {string} userId 用户ID
+ * @returns {Array<WebSocket>}
+ */
+function getUserConnections(userId) {
+  const connections = [];
+  if (clients.has(userId)) {
+    connections.push(clients.get(userId));
+  }
+  const observers = observerClients.get(userId);
+  if (observers) {
+    connections.push(...observers);
+  }
+  return connections;
+}
+
+/**
+ * 遍历所有连接 (玩家和观战/调试)
+ * @param {Function} callback (ws, userId) => void
+ */
+function forEachConnection(callback) {
+  clients.forEach((ws, userId) => callback(ws, userId));
+  observerClients.forEach((observers, userId) => {
+    observers.forEach(ws => callback(ws, userId));
+  });
 }
 
 /**
@@ -446,9 +590,10 @@ function sendToClient(userId, message) {
  */
 function broadcastToClients(userIds, message, excludeUserId = null) {
   let sentCount = 0;
+  const encode = messageCodec.createEncoder(message);
   
   userIds.forEach(userId => {
-    if (userId !== excludeUserId && sendToClient(userId, message)) {
+    if (userId !== excludeUserId && sendEncoded(userId, encode)) {
       sentCount++;
     }
   });
@@ -464,9 +609,10 @@ function broadcastToClients(userIds, message, excludeUserId = null) {
  */
 function broadcastToAll(message, excludeUserId = null) {
   let sentCount = 0;
+  const encode = messageCodec.createEncoder(message);
   
   clients.forEach((_, userId) => {
-    if (userId !== excludeUserId && sendToClient(userId, message)) {
+    if (userId !== excludeUserId && sendEncoded(userId, encode)) {
       sentCount++;
     }
   });
@@ -491,341 +637,23 @@ function broadcastUserStatus(userId, status) {
 }
 
 /**
- * 处理加入房间请求
- * @param {string} userId 用户ID
- * @param {Object} data 请求数据
- */
-function handleJoinRoom(userId, data) {
-  // TODO: 实现加入房间逻辑
-  console.log(`用户 ${userId} 请求加入房间: ${data.roomId}`);
-}
-
-/**
- * 处理玩家准备状态变更 (注意：此函数不再触发游戏开始检查)
- * @param {string} userId 用户ID
- * @param {Object} data 请求数据 { ready: boolean }
- */
-function handlePlayerReady(userId, data) {
-  // 保留此函数以处理可能的其他准备逻辑，或未来用于非锁定触发的准备
-  console.log(`用户 ${userId} 更新准备状态: ${data.ready}`);
-  const playerRoomId = roomManager.getPlayerRoomId(userId); 
-
-  if (!playerRoomId) {
-    console.error(`玩家 ${userId} 不在任何房间中，无法更新准备状态`);
-    return;
-  }
-
-  try {
-    // 仍然调用 roomManager 更新状态，因为可能影响 UI 或其他逻辑
-    const updatedRoomResult = roomManager.updatePlayerReady(playerRoomId, userId, data.ready); 
-
-    if (updatedRoomResult) { 
-      logRoomStatus(playerRoomId, 'After Player Ready'); 
-
-      // 仍然需要广播房间更新，以便客户端 UI 同步准备状态
-      const updatedRoomData = roomManager.getRoom(playerRoomId); 
-      if (updatedRoomData) {
-          // 准备广播数据 (可以复用 roomManager.notifyRoomUpdate 返回的结构，如果它被修改为返回数据的话)
-          const broadcastData = {
-              type: 'ROOM_UPDATE',
-              data: {
-                  roomId: updatedRoomData.roomId,
-                  eventType: 'PLAYER_READY_CHANGED', // 添加事件类型
-                  // ... (包含所有需要的房间和玩家状态) ...
-                  players: updatedRoomData.players.map(p => ({ 
-                     openId: p.openId,
-                     isHost: p.isHost,
-                     ready: p.ready,
-                     isHeroLocked: p.isHeroLocked,
-                     selectedHeroId: p.selectedHeroId,
-                     nickname: p.nickname || p.openId 
-                 })),
-                 // 包含其他必要信息，如 lockedCount, readyCount 等
-                 lockedCount: updatedRoomData.players.filter(p => p.isHeroLocked).length,
-                 readyCount: updatedRoomData.players.filter(p => p.ready).length,
-                 playerCount: updatedRoomData.players.length
-              }
-          };
-          broadcastToRoom(playerRoomId, broadcastData); // 显式广播
-          console.log(`[handlePlayerReady] 已向房间 ${playerRoomId} 广播 ROOM_UPDATE`);
-      } else {
-          console.error(`[handlePlayerReady] 更新准备状态后无法获取房间 ${playerRoomId} 的数据`);
-      }
-    } else {
-      console.error(`更新玩家 ${userId} 在房间 ${playerRoomId} 的准备状态失败 (roomManager.updatePlayerReady 返回了 falsy)`);
-    }
-  } catch (error) {
-    console.error(`处理玩家 ${userId} 准备状态时出错:`, error);
-  }
-}
-
-/**
- * 处理游戏操作
- * @param {string} userId 用户ID
- * @param {Object} data 请求数据
- */
-function handleGameAction(userId, data) {
-  // TODO: 实现游戏操作处理
-  console.log(`用户 ${userId} 执行游戏操作: ${data.action}`);
-}
-
-/**
- * 处理游戏事件
- * @param {string} userId 用户ID
- * @param {Object} data 请求数据
- */
-function handleGameEvent(userId, data) {
-  // TODO: 实现游戏事件处理
-  console.log(`用户 ${userId} 触发游戏事件: ${data.eventType}`);
-}
-
-/**
- * 处理聊天消息
+ * 向用户回放房间或游戏会话的聊天历史
  * @param {string} userId 用户ID
- * @param {Object} data 请求数据
- */
-function handleChatMessage(userId, data) {
-  // TODO: 实现聊天消息处理
-  console.log(`用户 ${userId} 发送聊天消息: ${data.message}`);
-}
-
-/**
- * 处理玩家锁定英雄请求
- * @param {string} userId 玩家ID
- * @param {Object} data 数据，包含 { heroId: string, isLocked: boolean }
+ * @param {string} channel 频道 (room/session)
+ * @param {string} channelId 房间ID或会话ID
  */
-async function handleLockHero(userId, data) {
-  const { heroId, isLocked } = data;
-
-  // 1. 获取玩家所在的房间ID
-  const roomId = roomManager.getPlayerRoomId(userId);
-  if (!roomId) {
-    console.error(`[handleLockHero] 无法找到玩家 ${userId} 所在的房间`);
-    sendToClient(userId, { type: 'ERROR', data: { message: '您似乎不在任何房间中' } });
+function sendChatHistory(userId, channel, channelId) {
+  const messages = chatManager.getHistory(channel, channelId);
+  if (messages.length === 0) {
     return;
   }
-
-  // --- 获取触发事件的玩家信息 ---
-  const roomBeforeUpdate = roomManager.getRoom(roomId);
-  if (!roomBeforeUpdate || !roomBeforeUpdate.players) {
-      console.error(`[handleLockHero] 无法获取房间 ${roomId} 的信息`);
-      return;
-  }
-  const lockingPlayer = roomBeforeUpdate.players.find(p => p.openId === userId);
-  if (!lockingPlayer) {
-      console.error(`[handleLockHero] 无法在房间 ${roomId} 找到玩家 ${userId}`);
-      return;
-  }
-  // --- 玩家信息获取结束 ---
-
-  // 2. 调用 roomManager 更新锁定状态
-  const updatedRoom = roomManager.setPlayerHeroLockStatus(roomId, userId, isLocked, heroId);
-  if (!updatedRoom) {
-    console.error(`[handleLockHero] 更新玩家 ${userId} 英雄锁定状态失败`);
-    sendToClient(userId, { type: 'ERROR', data: { message: '更新英雄选择失败，可能是英雄已被选或房间状态错误' } });
-    return;
-  }
-  console.log(`[wsApp] 成功处理玩家 ${userId} 的 LOCK_HERO 请求: locked=${isLocked}, hero=${heroId}`);
-
-  // 3. 广播 PLAYER_HERO_LOCKED 事件给房间内所有玩家（包括自己，以便状态同步）
-  broadcastToRoom(roomId, {
-    type: 'PLAYER_HERO_LOCKED',
-    data: {
-      playerId: userId,
-      heroId: updatedRoom.players.find(p => p.openId === userId)?.selectedHeroId, // 确保发送最新的英雄ID
-      isLocked: updatedRoom.players.find(p => p.openId === userId)?.isHeroLocked // 确保发送最新的锁定状态
-    }
+  const idField = channel === chatManager.CHAT_CHANNELS.SESSION ? 'sessionId' : 'roomId';
+  sendToClient(userId, {
+    type: 'CHAT_HISTORY',
+    data: { [idField]: channelId, channel, messages }
   });
-  logRoomStatus(roomId, 'After Hero Lock Update'); // 打印房间状态日志
-
-  // --- 新逻辑：检查是否触发机器人锁定或最终游戏开始 ---
-  const currentRoomState = roomManager.getRoom(roomId); // 获取更新锁状态后的最新房间数据
-  if (!currentRoomState || currentRoomState.status !== 'CHARACTER_SELECT') {
-      console.log(`[handleLockHero] 房间 ${roomId} 状态为 ${currentRoomState?.status} (非 CHARACTER_SELECT)，跳过后续检查。`);
-      return; 
-  }
-
-  // 4. 如果是人类玩家刚刚锁定，检查是否所有人类玩家都已锁定
-  if (!lockingPlayer.isBot && isLocked) {
-      const humanPlayers = currentRoomState.players.filter(p => !p.isBot);
-      const allHumansLocked = humanPlayers.every(p => p.isHeroLocked);
-      
-      if (allHumansLocked) {
-          console.log(`[handleLockHero] 所有人类玩家已锁定，触发机器人选择英雄...`);
-          await triggerBotsToLock(roomId); // 调用异步函数让机器人锁定
-          // 注意：机器人锁定后会再次触发 handleLockHero，最终的游戏开始检查将在那里进行
-      }
-  }
-
-  // 5. 检查是否所有玩家（人类+机器人）都已锁定，以触发最终游戏开始
-  //    这个检查在每次锁定事件（人类或机器人）后都执行
-  const allPlayersLocked = roomManager.checkAllPlayersLocked(roomId); // <--- 使用 roomManager 的函数
-
-  console.log(`[handleLockHero] 检查最终开始条件: 房间 ${roomId}, 状态=${currentRoomState.status}, 玩家总数=${currentRoomState.players.length}, 是否都已锁定=${allPlayersLocked}`);
-
-  if (allPlayersLocked) { // 如果所有人都锁定了
-    console.log(`[handleLockHero] 房间 ${roomId} 满足最终开始条件 (所有玩家均已锁定英雄)，转换状态并广播游戏开始...`);
-    
-    // 更新房间状态为 'playing'
-    const finalRoomState = roomManager.updateRoom(roomId, { 
-      status: 'playing',
-      gameActualStartTime: Date.now() // 记录实际游戏开始时间
-    });
-
-    if (finalRoomState) {
-      // 准备广播游戏正式开始的消息
-       const gameStartMessage = {
-           type: 'ACTUAL_GAME_START', // 使用明确的类型 
-           data: { 
-               roomId: finalRoomState.roomId,
-               // 可以包含最终确认的玩家列表和英雄等信息
-               players: finalRoomState.players.map(p => ({ 
-                   openId: p.openId,
-                   isHost: p.isHost,
-                   isBot: p.isBot,
-                   selectedHeroId: p.selectedHeroId,
-                   nickname: p.nickname || p.openId 
-                })),
-               startTime: finalRoomState.gameActualStartTime
-           }
-       };
-      broadcastToRoom(roomId, gameStartMessage); // 显式广播
-      console.log(`[handleLockHero] 房间 ${roomId} 游戏已由人类玩家锁定触发启动并广播`);
-    } else {
-      console.error(`[handleLockHero] 尝试更新房间 ${roomId} 状态为 playing 失败`);
-    }
-  } else {
-      console.log(`[handleLockHero] 房间 ${roomId} 仍有玩家未锁定英雄，等待其他玩家。`);
-  }
-  // --- 新逻辑结束 ---
 }
 
-// --- 新增：触发机器人锁定英雄的函数 ---
-async function triggerBotsToLock(roomId) {
-    console.log(`[triggerBotsToLock] 开始为房间 ${roomId} 的机器人选择英雄...`);
-    const room = roomManager.getRoom(roomId);
-    if (!room || !room.players) {
-        console.error(`[triggerBotsToLock] 无法获取房间 ${roomId} 信息`);
-        return;
-    }
-
-    const botsToLock = room.players.filter(p => p.isBot && !p.isHeroLocked);
-    if (botsToLock.length === 0) {
-        console.log(`[triggerBotsToLock] 房间 ${roomId} 没有需要锁定的机器人`);
-        return;
-    }
-
-    for (const bot of botsToLock) {
-        try {
-            const botId = bot.openId;
-            // 1. 获取可用英雄
-            const availableHeroIds = roomManager.getAvailableHeroIds(roomId);
-            if (!availableHeroIds || availableHeroIds.length === 0) {
-                console.error(`[triggerBotsToLock] 房间 ${roomId} 没有可供机器人 ${botId} 选择的英雄了！`);
-                continue; // 跳过此机器人
-            }
-
-            // 2. 为机器人随机选择一个英雄
-            const randomIndex = Math.floor(Math.random() * availableHeroIds.length);
-            const chosenHeroId = availableHeroIds[randomIndex];
-            console.log(`[triggerBotsToLock] 后端为机器人 ${botId} 选择了英雄: ${chosenHeroId}`);
-
-            // 3. 更新机器人的锁定状态
-            const botUpdatedRoom = roomManager.setPlayerHeroLockStatus(roomId, botId, true, chosenHeroId);
-
-            if (botUpdatedRoom) {
-                // 广播机器人锁定消息
-                broadcastToRoom(roomId, {
-                    type: 'PLAYER_HERO_LOCKED',
-                    data: {
-                        playerId: botId,
-                        heroId: chosenHeroId,
-                        isLocked: true
-                    }
-                });
-                logRoomStatus(roomId, `After Bot ${botId} Lock Update`); // 记录机器人锁定后的状态
-                
-                // **** 新增：检查机器人锁定后是否所有人都已锁定 ****
-                const allLockedAfterBot = roomManager.checkAllPlayersLocked(roomId); // 使用 RoomManager 的函数检查
-                console.log(`[triggerBotsToLock] 检查机器人 ${botId} 锁定后，所有玩家是否锁定: ${allLockedAfterBot}`);
-                
-                if (allLockedAfterBot) {
-                    console.log(`[triggerBotsToLock] 房间 ${roomId} 在机器人锁定后满足最终开始条件，转换状态并广播游戏开始...`);
-                    // 更新房间状态为 'playing'
-                    const finalRoomState = roomManager.updateRoom(roomId, { 
-                        status: 'playing',
-                        gameActualStartTime: Date.now() // 记录实际游戏开始时间
-                    });
-
-                    if (finalRoomState) {
-                        // 准备广播游戏正式开始的消息
-                        const gameStartMessage = {
-                             type: 'ACTUAL_GAME_START', // 使用明确的类型 
-                             data: { 
-                                 roomId: finalRoomState.roomId,
-                                 // 可以包含最终确认的玩家列表和英雄等信息
-                                 players: finalRoomState.players.map(p => ({ 
-                                     openId: p.openId,
-                                     isHost: p.isHost,
-                                     isBot: p.isBot,
-                                     selectedHeroId: p.selectedHeroId,
-                                     nickname: p.nickname || p.openId 
-                                  })),
-                                 startTime: finalRoomState.gameActualStartTime
-                             }
-                         };
-                        broadcastToRoom(roomId, gameStartMessage); // 显式广播
-                        console.log(`[triggerBotsToLock] 房间 ${roomId} 游戏已由机器人锁定触发启动并广播`);
-                        // 注意：如果一个房间有多个机器人，这里可能会被多次触发，但 updateRoom 和 notify 应该是幂等的或安全的
-                    } else {
-                        console.error(`[triggerBotsToLock] 尝试更新房间 ${roomId} 状态为 playing 失败`);
-                    }
-                    // 如果所有人都锁定了，可能不需要再处理其他机器人了（取决于游戏逻辑），可以考虑 break
-                    // break; // 如果希望第一个完成锁定的机器人就触发游戏开始
-                }
-                 // **** 新增结束 ****
-                 
-            } else {
-                 console.warn(`[triggerBotsToLock] 更新机器人 ${botId} 锁定状态失败，跳过后续检查。`);
-            }
-
-            // 添加一个小延迟，模拟思考和避免同时触发过多事件 (可选)
-            await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 200)); 
-
-        } catch (error) {
-            console.error(`[triggerBotsToLock] 为机器人 ${bot.openId} 选择英雄时出错:`, error);
-        }
-    }
-    console.log(`[triggerBotsToLock] 房间 ${roomId} 的机器人锁定流程处理完毕`);
-
-    // 广播更新后的房间状态（添加机器人后）
-    const finalRoomState = roomManager.getRoom(roomId); 
-    if(finalRoomState) {
-        broadcastToRoom(roomId, {
-            type: 'ROOM_UPDATE',
-            data: {
-                roomId: finalRoomState.roomId,
-                name: finalRoomState.name,
-                hostId: finalRoomState.hostId,
-                status: finalRoomState.status,
-                maxPlayers: finalRoomState.maxPlayers,
-                players: finalRoomState.players.map(p => ({ 
-                    openId: p.openId,
-                    isHost: p.isHost,
-                    isBot: p.isBot,
-                    ready: p.ready,
-                    isHeroLocked: p.isHeroLocked,
-                    selectedHeroId: p.selectedHeroId,
-                    nickname: p.nickname || p.openId 
-                 })),
-                 // ... (其他房间状态) ...
-            }
-        });
-        logRoomStatus(roomId, 'After Bot Added');
-    }
-}
-// --- 新增结束 ---
-
 /**
  * 关闭WebSocket服务器
  */
@@ -845,8 +673,11 @@ function close() {
       }
     });
     
-    // 清空客户端映射
+    // 清空客户端映射和观战延迟队列
     clients.clear();
+    observerClients.clear();
+    spectatorQueues.forEach(queue => clearTimeout(queue.timer));
+    spectatorQueues.clear();
     
     // 关闭服务器
     wss.close();
@@ -854,6 +685,44 @@ function close() {
   }
 }
 
+/**
+ * 获取用户当前的WebSocket连接
+ * @param {string} userId 用户ID
+ * @returns {WebSocket|undefined}
+ */
+function getClient(userId) {
+  return clients.get(userId);
+}
+
+/**
+ * 获取客户端最近一次测得的往返延迟
+ * @param {string} userId 用户ID
+ * @returns {number|null} 延迟毫秒数，未连接或尚未测得时为 null
+ */
+function getClientRtt(userId) {
+  const client = clients.get(userId);
+  return client && typeof client.rtt === 'number' ? client.rtt : null;
+}
+
+/**
+ * 获取所有连接的状态 (供调试面板使用)
+ * @returns {Array<Object>} [{ userId, role, encoding, rtt, missedPongs, connectedAt }]
+ */
+function getConnectionStats() {
+  const stats = [];
+  forEachConnection((ws, userId) => {
+    stats.push({
+      userId,
+      role: ws.role,
+      encoding: ws.encoding,
+      rtt: typeof ws.rtt === 'number' ? ws.rtt : null,
+      missedPongs: ws.missedPongs,
+      connectedAt: ws.connectedAt
+    });
+  });
+  return stats;
+}
+
 /**
  * 获取已连接的客户端数量
  * @returns {number} 客户端数量
@@ -876,267 +745,85 @@ function broadcastToRoom(roomId, messageData, excludeWs = null) {
         return;
     }
 
-    const messageString = JSON.stringify(messageData); // 将消息对象序列化为字符串
+    const encode = messageCodec.createEncoder(messageData); // 每种编码只序列化一次
     let sentCount = 0; // 记录成功发送的数量
 
     // 遍历房间中的所有玩家
     room.players.forEach(player => {
         const targetUserId = player.openId; // 获取玩家的 ID (openId)
-        const clientWs = clients.get(targetUserId); // 从全局 clients Map 中查找对应的 WebSocket 连接
 
-        // 检查连接是否存在、是否需要排除、以及连接是否处于打开状态
-        if (clientWs && clientWs !== excludeWs && clientWs.readyState === WebSocket.OPEN) {
-            try {
-                clientWs.send(messageString); // 发送消息
-                sentCount++; // 增加成功计数
-                // console.log(`成功向客户端 ${targetUserId} 发送房间消息`); // 可选的成功日志
-            } catch (sendError) {
-                // 如果发送失败，记录错误日志
-                console.error(`向房间 ${roomId} 中的客户端 ${targetUserId} 发送消息失败:`, sendError);
-            }
+        // 发给玩家的所有连接 (玩家连接和观战/调试连接)，按各连接的编码发送
+        if (sendEncoded(targetUserId, encode, excludeWs)) {
+            sentCount++; // 增加成功计数
         }
     });
 
+    // 房间的游戏会话 (sessionId 与 roomId 相同) 的观战者也能看到房间内的游戏事件
+    sendToSpectators(roomId, encode, room.players.map(player => player.openId));
+
     // 如果至少成功发送给了一个客户端，记录一条汇总日志
     if (sentCount > 0) {
          console.log(`成功向房间 ${roomId} 中的 ${sentCount} 个客户端广播了消息`);
     }
 }
 
+// === 2. 添加辅助函数 ===
 /**
- * 处理添加机器人请求
- * @param {WebSocket} ws - 发送请求的客户端连接（应为房主）
- * @param {object} data - 消息数据，应包含 { roomId: string, botId: string, botName: string }
+ * 发送错误消息给客户端 (如果是在处理该用户的请求时出错，会带上请求的 requestId)
+ * @param {string} userId
+ * @param {string|number} errorType
+ * @param {string} message
+ * @param {Array<{field: string, message: string}>} [errors] 字段级错误
  */
-function handleAddBot(ws, data) {
-    const { roomId, botId, botName } = data;
-     // 从 clients Map 中查找 userId
-    const entry = Array.from(clients.entries()).find(([id, socket]) => socket === ws);
-    if (!entry) {
-        console.error("无法确定发送 ADD_BOT 请求的玩家 ID");
-        return;
-    }
-    const playerId = entry[0]; // 获取 userId
-
-    if (!roomId || !botId) {
-        console.error('无效的 ADD_BOT 消息:', data);
-        return;
-    }
-
-    try {
-        // 检查请求者是否是房间的房主
-        const playerRoomId = roomManager.getPlayerRoomId(playerId);
-        if (playerRoomId !== roomId) {
-            console.error(`玩家 ${playerId} 不在房间 ${roomId} 中，无法添加机器人`);
-            return;
-        }
-
-        // 获取房间数据
-        const room = roomManager.getRoom(roomId); // <- 使用 getRoom
-        if (!room || !room.players) { // <- 检查 room 和 room.players
-            console.error(`获取房间 ${roomId} 数据失败`);
-            return;
-        }
-        // 检查发起请求的玩家是否确实在房间内
-        const requestingPlayer = room.players.find(p => p.openId === playerId);
-        if (!requestingPlayer) {
-             console.error(`玩家 ${playerId} 数据不在获取到的房间 ${roomId} 数据中`);
-             return;
-        }
-
-        // 检查是否是房主 - 现在可以从 requestingPlayer 获取
-        // if (!requestingPlayer.isHost) { // <- 可以取消注释进行检查
-        //     console.error(`非房主玩家 ${playerId} 尝试添加机器人`);
-        //     return;
-        // }
-
-        // 添加机器人到房间
-        console.log(`房主 ${playerId} 正在添加机器人 ${botId} 到房间 ${roomId}`);
-        const joinResult = roomManager.addPlayerToRoom(roomId, botId, { isBot: true, nickname: botName }); 
-        if (!joinResult || !joinResult.room || !joinResult.player) { 
-            console.error(`添加机器人 ${botId} 到房间 ${roomId} 失败 (addPlayerToRoom 返回 null 或无效结果)`);
-            return;
-        }
-        console.log(`[handleAddBot] 机器人 ${botId} 已成功加入房间 ${roomId}。`);
-
-        // 获取更新后的房间状态并广播 PLAYER_JOINED 事件
-        const roomAfterBotJoin = roomManager.getRoom(roomId); 
-        if(roomAfterBotJoin) {
-            broadcastToRoom(roomId, {
-                type: 'PLAYER_JOINED', // 使用明确的事件类型
-                data: {
-                    roomId,
-                    player: joinResult.player, // 发送新加入的玩家信息
-                    playerCount: roomAfterBotJoin.players.length,
-                    // 可以选择性地发送整个更新后的房间状态
-                    room: { // 发送简化的房间状态或根据需要发送完整状态
-                        players: roomAfterBotJoin.players.map(p => ({ 
-                            openId: p.openId,
-                            nickname: p.nickname || p.openId,
-                            isBot: p.isBot,
-                            isHost: p.isHost,
-                            ready: p.ready,
-                            isHeroLocked: p.isHeroLocked,
-                            selectedHeroId: p.selectedHeroId
-                        }))
-                    } 
-                }
-            });
-            logRoomStatus(roomId, 'After Bot Added Broadcast');
-        } else {
-             console.error(`[handleAddBot] 添加机器人后无法获取房间 ${roomId} 的数据用于广播`);
-        }
-
-        // --- 保留：将机器人设置为已准备状态 --- 
-        const readyResult = roomManager.updatePlayerReady(roomId, botId, true);
-        if (!readyResult) {
-            // 这个错误理论上不应该发生，因为刚添加了机器人
-            console.error(`[handleAddBot] 设置机器人 ${botId} 为准备状态失败`);
-            // 可以选择继续，或者认为这是一个严重问题并返回
-        } else {
-            console.log(`[handleAddBot] 机器人 ${botId} 已自动设置为准备状态`);
-            // 广播 ROOM_UPDATE 让前端知道机器人已准备
-            // updatePlayerReady 内部已经会广播 PLAYER_READY_CHANGED, 包含了房间信息
-            // 但为了确保状态完全同步，可以再广播一次完整的 ROOM_UPDATE
-            const currentRoomState = roomManager.getRoom(roomId); 
-            if (currentRoomState) {
-                broadcastToRoom(roomId, {
-                    type: 'ROOM_UPDATE',
-                    data: {
-                        roomId,
-                        players: currentRoomState.players.map(p => ({ /* 包含 ready, locked, hero 等所有状态 */ 
-                            openId: p.openId,
-                            isHost: p.isHost,
-                            isBot: p.isBot,
-                            ready: p.ready,
-                            isHeroLocked: p.isHeroLocked,
-                            selectedHeroId: p.selectedHeroId,
-                            nickname: p.nickname || p.openId
-                         })),
-                        // ... (其他房间状态) ...
-                    }
-                });
-                logRoomStatus(roomId, 'After Bot Ready Update');
-            }
-        }
-        // --- 机器人准备状态设置结束 ---
-
-    } catch (error) {
-        console.error(`处理添加机器人时出错 (房间: ${roomId}, 玩家: ${playerId}):`, error);
+function sendError(userId, errorType, message, errors = null) {
+    const data = { code: errorType, message, ...markRequestFailed(userId) };
+    if (errors) {
+        data.errors = errors;
     }
+    sendReply(userId, { type: 'ERROR', data });
 }
 
 /**
- * 打印当前房间状态的日志（用于调试）
- * @param {string} roomId - 房间ID
- * @param {string} context - 上下文信息（用于标识日志位置）
+ * 回复消息：处理某个用户的请求期间，发给该用户的回复只发到发起请求的那个连接，其余情况发给该用户的所有连接
+ * @param {string} userId 用户ID
+ * @param {Object} message 消息对象
+ * @returns {boolean} 是否发送成功
  */
-function logRoomStatus(roomId, context) {
-    try {
-        const room = roomManager.getRoom(roomId); // <- 使用 getRoom
-        if (!room || !room.players) { // <- 检查 room 和 room.players
-            console.log(`[${context}] 房间 ${roomId} 不存在或无玩家数据`);
-            return;
-        }
-        const players = room.players; // <- 获取 players 数组
-
-        const playerCount = players.length;
-        const botCount = players.filter(p => p.isBot).length; // 假设玩家对象有 isBot 属性
-        const humanCount = playerCount - botCount;
-        const readyCount = players.filter(p => p.ready).length;
-        const lockedCount = players.filter(p => p.isHeroLocked).length; // 假设玩家数据中有 isHeroLocked
-
-        console.log(`[${context}] 房间 ${roomId} 状态: ` +
-            `总玩家=${playerCount} (人类=${humanCount}, 机器人=${botCount}), ` +
-            `已准备=${readyCount}, 已锁定=${lockedCount}`);
-    } catch (error) {
-        console.error(`[${context}] 记录房间状态出错:`, error);
+function sendReply(userId, message) {
+    const context = requestContext.getStore();
+    if (context && context.userId === userId && context.ws) {
+        return sendToSocket(context.ws, message);
     }
+    return sendToClient(userId, message);
 }
 
 /**
- * 处理获取房间信息请求
- * @param {string} userId 用户ID
- * @param {Object} data 请求数据
+ * 把当前请求标记为失败 (不再回 ACK)，并返回需要回传给客户端的 requestId 字段
+ * 只有发给请求发起者本人的错误才算作该请求的失败
+ * @param {string} userId 接收错误的用户ID
+ * @returns {Object} 有 requestId 时为 { requestId }，否则为空对象
  */
-function handleGetRoomInfo(userId, data) {
-  console.log(`用户 ${userId} 请求获取房间信息:`, data);
-  
-  try {
-    // 检查必要参数
-    if (!data || !data.roomId) {
-      console.error(`获取房间信息失败: 缺少必要参数 roomId`);
-      sendToClient(userId, {
-        type: 'ERROR',
-        data: {
-          code: 4003,
-          message: '缺少必要参数 roomId'
-        }
-      });
-      return;
-    }
-    
-    const roomId = data.roomId;
-    
-    // 获取房间信息
-    const room = roomManager.getRoom(roomId);
-    if (!room) {
-      console.error(`获取房间信息失败: 房间 ${roomId} 不存在`);
-      sendToClient(userId, {
-        type: 'ERROR',
-        data: {
-          code: 4004,
-          message: `房间 ${roomId} 不存在`
-        }
-      });
-      return;
+function markRequestFailed(userId) {
+    const context = requestContext.getStore();
+    if (!context || context.userId !== userId) {
+        return {};
     }
-    
-    // 回复房间信息
-    sendToClient(userId, {
-      type: 'ROOM_UPDATE',
-      data: {
-        roomId: roomId,
-        eventType: 'ROOM_INFO',
-        room: {
-          roomId: room.roomId,
-          gameMode: room.gameMode,
-          maxPlayers: room.maxPlayers,
-          status: room.status,
-          players: room.players.map(p => ({
-            openId: p.openId,
-            isHost: p.isHost,
-            ready: p.ready,
-            isHeroLocked: p.isHeroLocked,
-            selectedHeroId: p.selectedHeroId,
-            nickname: p.nickname || p.openId
-          }))
-        }
-      }
-    });
-    
-    console.log(`已发送房间 ${roomId} 的信息给用户 ${userId}`);
-  } catch (error) {
-    console.error(`处理获取房间信息请求失败:`, error);
-    sendToClient(userId, {
-      type: 'ERROR',
-      data: {
-        code: 5000,
-        message: '服务器处理请求时出错'
-      }
-    });
-  }
+    context.failed = true;
+    return context.requestId !== null ? { requestId: context.requestId } : {};
 }
 
-// === 2. 添加辅助函数 ===
 /**
- * 发送错误消息给客户端
- * @param {string} userId
- * @param {string} errorType
- * @param {string} message
+ * 请求处理成功后回 ACK (仅当客户端提供了 requestId 且没有发送过错误)
+ * @param {Object} context 请求上下文
  */
-function sendError(userId, errorType, message) {
-    sendToClient(userId, { type: 'ERROR', data: { code: errorType, message } });
+function sendAck(context) {
+    if (context.requestId === null || context.failed) {
+        return;
+    }
+    sendReply(context.userId, {
+        type: 'ACK',
+        data: { requestId: context.requestId, type: context.type }
+    });
 }
 
 /**
@@ -1171,21 +858,92 @@ function broadcastToSession(sessionId, messageData, excludeUserId = null) {
 
     const playerIds = Object.keys(session.players);
     let sentCount = 0;
-    const messageString = JSON.stringify(messageData);
+    const encode = messageCodec.createEncoder(messageData);
     
     playerIds.forEach(playerId => {
-        if (playerId !== excludeUserId) {
-            const clientWs = clients.get(playerId);
-            if (clientWs && clientWs.readyState === WebSocket.OPEN) {
-                try {
-                    clientWs.send(messageString);
-                    sentCount++;
-                } catch (sendError) {
-                    console.error(`[broadcastToSession]向会话 ${sessionId} 中的客户端 ${playerId} 发送消息失败:`, sendError);
-                }
-            }
+        if (playerId !== excludeUserId && sendEncoded(playerId, encode)) {
+            sentCount++;
         }
     });
+
+    sendToSpectators(sessionId, encode, playerIds);
+}
+
+/**
+ * 把会话广播转发给观战者，延迟 SPECTATOR_DELAY_MS 发送，防止观战者通风报信
+ * @param {string} sessionId 会话ID
+ * @param {Function} encode messageCodec.createEncoder 创建的编码函数
+ * @param {Array<string>} [excludeUserIds] 已经收到消息的用户 (同时是玩家的用户不重复发送)
+ */
+function sendToSpectators(sessionId, encode, excludeUserIds = []) {
+    const spectatorIds = multiplayerHandler.getSpectatorIds(sessionId)
+        .filter(userId => !excludeUserIds.includes(userId));
+    if (spectatorIds.length === 0) {
+        return;
+    }
+    queueForSpectators(sessionId, encode, spectatorIds);
+}
+
+/**
+ * 延迟向单个观战者发送消息 (观战快照)，与该会话的其他观战消息排在同一个队列中
+ * @param {string} sessionId 会话ID
+ * @param {string} userId 观战者ID
+ * @param {object} message 消息对象
+ */
+function sendToSpectator(sessionId, userId, message) {
+    queueForSpectators(sessionId, messageCodec.createEncoder(message), [userId]);
+}
+
+/**
+ * 把观战消息加入会话的延迟队列
+ * @param {string} sessionId 会话ID
+ * @param {Function} encode 编码函数
+ * @param {Array<string>} userIds 接收消息的观战者
+ */
+function queueForSpectators(sessionId, encode, userIds) {
+    let queue = spectatorQueues.get(sessionId);
+    if (!queue) {
+        queue = { entries: [], timer: null };
+        spectatorQueues.set(sessionId, queue);
+    }
+    queue.entries.push({ dueAt: Date.now() + config.game.spectatorDelayMs, encode, userIds });
+    if (!queue.timer) {
+        scheduleSpectatorQueue(sessionId, queue);
+    }
+}
+
+/**
+ * 为队首消息设置计时器
+ * @param {string} sessionId 会话ID
+ * @param {object} queue 延迟队列
+ */
+function scheduleSpectatorQueue(sessionId, queue) {
+    const waitMs = Math.max(0, queue.entries[0].dueAt - Date.now());
+    queue.timer = setTimeout(() => flushSpectatorQueue(sessionId), waitMs);
+}
+
+/**
+ * 发送队列中所有已到期的消息，还有未到期的消息时继续等待
+ * @param {string} sessionId 会话ID
+ */
+function flushSpectatorQueue(sessionId) {
+    const queue = spectatorQueues.get(sessionId);
+    queue.timer = null;
+
+    const now = Date.now();
+    while (queue.entries.length > 0 && queue.entries[0].dueAt <= now) {
+        const { encode, userIds } = queue.entries.shift();
+        // 延迟期间可能已经停止观战
+        userIds
+            .filter(userId => multiplayerHandler.isSpectating(sessionId, userId))
+            .forEach(userId => sendEncoded(userId, encode));
+    }
+
+    if (queue.entries.length > 0) {
+        scheduleSpectatorQueue(sessionId, queue);
+    } else {
+        spectatorQueues.delete(sessionId);
+    }
 }
 // === 结束广播辅助函数 ===
 
@@ -1193,9 +951,17 @@ module.exports = {
   attach,
   close,
   sendToClient,
+  sendReply,
   broadcastToClients,
   broadcastToAll,
   broadcastToRoom,
+  sendToSpectator,
+  getClient,
+  getClientRtt,
+  getConnectionStats,
   getClientCount,
-  broadcastToSession
+  broadcastToSession,
+  sendChatHistory,
+  sendError,
+  markRequestFailed
 }; 
\ No newline at end of file
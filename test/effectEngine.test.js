@@ -0,0 +1,65 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createSession, cleanupSessions } = require('./helpers');
+const effectEngine = require('../src/game/effectEngine');
+
+afterEach(() => {
+  cleanupSessions();
+  mock.timers.reset();
+});
+
+test('刷新效果时保留较晚的过期时间', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const session = createSession('effect-refresh', ['p1']);
+
+  effectEngine.applyEffect(session, 'p1', 'speed_boost', { durationMs: 30000 });
+  const effect = effectEngine.applyEffect(session, 'p1', 'speed_boost', { durationMs: 5000 });
+
+  assert.strictEqual(effect.expiresAt, 31000);
+});
+
+test('叠加效果时延长较早的过期时间', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const session = createSession('effect-stack', ['p1']);
+
+  effectEngine.applyEffect(session, 'p1', 'shield', { durationMs: 5000 });
+  const effect = effectEngine.applyEffect(session, 'p1', 'shield', { durationMs: 30000 });
+
+  assert.deepStrictEqual({ stacks: effect.stacks, expiresAt: effect.expiresAt }, { stacks: 2, expiresAt: 31000 });
+});
+
+test('刷新永久效果不会给它加上过期时间', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const session = createSession('effect-permanent', ['p1']);
+
+  effectEngine.applyEffect(session, 'p1', 'vision_boost', { durationMs: 0, rounds: 0 });
+  const effect = effectEngine.applyEffect(session, 'p1', 'vision_boost');
+
+  assert.deepStrictEqual({ expiresAt: effect.expiresAt, expiresAtRound: effect.expiresAtRound }, { expiresAt: null, expiresAtRound: null });
+});
+
+test('英雄被动的永久效果在使用同类道具后不会过期', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const session = createSession('effect-passive', ['p1', 'p2'], { characterId: 'prometheus' });
+  const passive = effectEngine.findEffect(session.players.p1, 'vision_boost');
+  assert.strictEqual(passive.passive, true);
+
+  effectEngine.applyEffect(session, 'p1', 'vision_boost', { source: 'vision_potion_3_0' });
+  mock.timers.tick(60000);
+  effectEngine.expireTimedEffects(session);
+
+  assert.ok(effectEngine.hasEffect(session.players.p1, 'vision_boost'));
+  assert.strictEqual(passive.expiresAt, null);
+});
+
+test('徐博士的被动护盾叠加护身符后仍然不会过期', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const session = createSession('effect-passive-shield', ['p1', 'p2'], { characterId: 'drxu' });
+
+  const shield = effectEngine.applyEffect(session, 'p1', 'shield', { source: 'amulet_3_0' });
+  mock.timers.tick(60000);
+  effectEngine.expireTimedEffects(session);
+
+  assert.deepStrictEqual({ stacks: shield.stacks, expiresAt: shield.expiresAt }, { stacks: 2, expiresAt: null });
+  assert.ok(effectEngine.hasEffect(session.players.p1, 'shield'));
+});
@@ -0,0 +1,121 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createSession, cleanupSessions, messagesOfType } = require('./helpers');
+const gameManager = require('../src/managers/gameManager');
+const multiplayerHandler = require('../src/game/multiplayer_handler');
+const { validateMessage } = require('../src/utils/messageSchemas');
+
+afterEach(cleanupSessions);
+
+/**
+ * 把玩家放到与上锁出口连通的房间，并让其看到出口
+ * @returns {Object} 出口房间
+ */
+function standNextToLockedExit(session, playerId) {
+  const exitRoom = session._internalRooms.find(room => room.isExit);
+  const neighbour = session._internalRooms.find(room => multiplayerHandler.canMoveBetweenRooms(room, exitRoom));
+  exitRoom.isLocked = true;
+  session.players[playerId].position = { x: neighbour.x, y: neighbour.y };
+  session.revealedRooms[playerId].push(exitRoom.id);
+  return exitRoom;
+}
+
+test('GAME_ACTION 不再支持 move，移动只能通过 PLAYER_MOVE', () => {
+  const validation = validateMessage('GAME_ACTION', { action: 'move', position: { x: 0, y: 0 } });
+  assert.strictEqual(validation.valid, false);
+});
+
+test('游戏操作只能由会话中的存活玩家在自己的回合执行', () => {
+  const session = createSession('action-gating', ['p1', 'p2'], { gameMode: '梦魇模式' });
+
+  assert.strictEqual(gameManager.performAction('action-gating', 'stranger', 'open_door', { doorId: '1' }).error, 'NOT_IN_SESSION');
+  assert.strictEqual(gameManager.performAction('action-gating', 'p2', 'open_door', { doorId: '1' }).error, 'NOT_YOUR_TURN');
+
+  multiplayerHandler.eliminatePlayer('action-gating', 'p1', 'trap');
+  assert.strictEqual(gameManager.performAction('action-gating', 'p1', 'open_door', { doorId: '1' }).error, 'PLAYER_ELIMINATED');
+
+  session.status = 'ended';
+  assert.strictEqual(gameManager.performAction('action-gating', 'p2', 'open_door', { doorId: '1' }).error, 'SESSION_ENDED');
+});
+
+test('open_door 消耗钥匙打开相邻的上锁出口', () => {
+  const session = createSession('action-door', ['p1', 'p2'], { gameMode: '梦魇模式' });
+  const exitRoom = standNextToLockedExit(session, 'p1');
+  const doorId = String(exitRoom.id);
+
+  assert.strictEqual(gameManager.performAction('action-door', 'p1', 'open_door', { doorId }).error, 'ACTION_FAILED');
+
+  session.players.p1.items.push({ id: 'key_test', type: 'key', name: '钥匙' });
+  assert.deepStrictEqual(gameManager.performAction('action-door', 'p1', 'open_door', { doorId }), { success: true });
+  assert.strictEqual(exitRoom.isLocked, false);
+  assert.strictEqual(session.players.p1.items.length, 0);
+  const [broadcast] = messagesOfType('BROADCAST_ACTION');
+  assert.deepStrictEqual(
+    { action: broadcast.message.data.action, effect: broadcast.message.data.effect, itemId: broadcast.message.data.itemId },
+    { action: 'use_item', effect: 'unlock_door', itemId: 'key_test' }
+  );
+});
+
+test('collect_item 拾取所在地图房间里的物品', () => {
+  const session = createSession('action-collect', ['p1', 'p2']);
+  const player = session.players.p1;
+  const room = multiplayerHandler.findRoomAt(session._internalRooms, player.position.x, player.position.y);
+  room.items = [{ id: 'amulet_test', itemId: 'amulet', type: 'powerup', powerupType: 'shield', name: '护身符' }];
+
+  assert.deepStrictEqual(gameManager.performAction('action-collect', 'p1', 'collect_item', { itemId: 'amulet_test' }), { success: true });
+  assert.deepStrictEqual(player.items.map(item => item.id), ['amulet_test']);
+  assert.strictEqual(room.items.length, 0);
+  assert.strictEqual(gameManager.performAction('action-collect', 'p1', 'collect_item', { itemId: 'amulet_test' }).error, 'ACTION_FAILED');
+});
+
+test('从地图房间拾取的增益道具和地图道具可以使用', () => {
+  const session = createSession('action-use', ['p1', 'p2']);
+  const player = session.players.p1;
+  player.items.push(
+    { id: 'amulet_3_0', itemId: 'amulet', type: 'powerup', powerupType: 'shield', name: '护身符' },
+    { id: 'old_map_5_0', itemId: 'old_map', type: 'tool', toolType: 'map', name: '残破的地图' }
+  );
+
+  assert.deepStrictEqual(gameManager.performAction('action-use', 'p1', 'use_item', { itemId: 'amulet_3_0' }), { success: true });
+  assert.ok(player.buffs.some(effect => effect.type === 'shield'));
+
+  const revealedBefore = session.revealedRooms.p1.length;
+  assert.deepStrictEqual(gameManager.performAction('action-use', 'p1', 'use_item', { itemId: 'old_map_5_0' }), { success: true });
+  assert.ok(session.revealedRooms.p1.length > revealedBefore);
+  assert.deepStrictEqual(player.items, []);
+
+  assert.strictEqual(gameManager.performAction('action-use', 'p1', 'use_item', { itemId: 'amulet_3_0' }).error, 'ACTION_FAILED');
+});
+
+test('游戏操作的错误码都是字符串', () => {
+  createSession('action-codes', ['p1', 'p2']);
+
+  assert.strictEqual(gameManager.performAction('no-session', 'p1', 'collect_item', { itemId: 'x' }).error, 'NOT_IN_SESSION');
+  assert.strictEqual(gameManager.performAction('action-codes', 'p2', 'collect_item', { itemId: 'x' }).error, 'NOT_YOUR_TURN');
+  assert.strictEqual(gameManager.performAction('action-codes', 'p1', 'teleport').error, 'INVALID_ACTION');
+  assert.strictEqual(gameManager.performAction('action-codes', 'p1', 'collect_item', { itemId: 'x' }).error, 'ACTION_FAILED');
+});
+
+test('手电筒施加夜视效果，探测器只揭示附近放有物品的房间', () => {
+  const session = createSession('action-tools', ['p1', 'p2']);
+  const player = session.players.p1;
+  const { x, y } = player.position;
+  session._internalRooms.forEach(room => { room.items = []; });
+  const nearby = session._internalRooms.filter(room =>
+    !session.revealedRooms.p1.includes(room.id) && Math.abs(room.x - x) + Math.abs(room.y - y) === 2
+  );
+  nearby[0].items = [{ id: 'amulet_test', itemId: 'amulet', type: 'powerup', powerupType: 'shield', name: '护身符' }];
+  player.items.push(
+    { id: 'flashlight_1_0', itemId: 'flashlight', type: 'tool', toolType: 'flashlight', name: '手电筒' },
+    { id: 'detector_2_0', itemId: 'detector', type: 'tool', toolType: 'detector', name: '探测器' }
+  );
+
+  assert.deepStrictEqual(gameManager.performAction('action-tools', 'p1', 'use_item', { itemId: 'flashlight_1_0' }), { success: true });
+  assert.ok(player.buffs.some(effect => effect.type === 'vision_boost'));
+
+  assert.deepStrictEqual(gameManager.performAction('action-tools', 'p1', 'use_item', { itemId: 'detector_2_0' }), { success: true });
+  assert.ok(session.revealedRooms.p1.includes(nearby[0].id));
+  assert.ok(!session.revealedRooms.p1.includes(nearby[1].id));
+  assert.deepStrictEqual(player.items, []);
+  assert.deepStrictEqual(messagesOfType('BROADCAST_ACTION').map(entry => entry.message.data.effect), ['vision_boost', 'detect_items']);
+});
@@ -0,0 +1,76 @@
+/**
+ * 测试辅助工具
+ * 替换 wsApp 的发送函数以记录下发的消息，并提供创建/清理游戏会话的方法
+ */
+
+const wsApp = require('../src/wsApp');
+const multiplayerHandler = require('../src/game/multiplayer_handler');
+
+// 记录的消息 [{ to, broadcast, message }]，to 为会话/房间ID (广播) 或用户ID (私发)
+const sent = [];
+
+wsApp.broadcastToSession = (sessionId, message, excludeUserId = null) => {
+  sent.push({ to: sessionId, broadcast: true, excludeUserId, message });
+};
+wsApp.broadcastToRoom = (roomId, message) => {
+  sent.push({ to: roomId, broadcast: true, message });
+};
+wsApp.sendToClient = (userId, message) => {
+  sent.push({ to: userId, broadcast: false, message });
+  return true;
+};
+
+// 模块日志较多，测试时不输出
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
+
+/**
+ * 获取指定类型的已记录消息
+ * @param {string} type 消息类型
+ * @returns {Array<Object>} [{ to, broadcast, message }]
+ */
+function messagesOfType(type) {
+  return sent.filter(entry => entry.message.type === type);
+}
+
+/**
+ * 清空已记录的消息
+ */
+function clearMessages() {
+  sent.length = 0;
+}
+
+/**
+ * 创建游戏会话并让玩家依次加入
+ * @param {string} sessionId 会话ID
+ * @param {Array<string>} playerIds 玩家ID列表
+ * @param {Object} [options={}] { gameMode, characterId, seed }
+ * @returns {Object} 会话对象
+ */
+function createSession(sessionId, playerIds, { gameMode = '竞速模式', characterId = null, seed = 12345 } = {}) {
+  playerIds.forEach(playerId => {
+    multiplayerHandler.joinSession(sessionId, playerId, gameMode, characterId, { seed });
+  });
+  return multiplayerHandler.activeSessions[sessionId];
+}
+
+/**
+ * 结束并移除所有会话，清理回合计时器和效果计时器
+ */
+function cleanupSessions() {
+  Object.keys(multiplayerHandler.activeSessions).forEach(sessionId => {
+    multiplayerHandler.endSession(sessionId, null, 'TEST_CLEANUP');
+    Object.keys(multiplayerHandler.activeSessions[sessionId].players).forEach(playerId => {
+      multiplayerHandler.leaveSession(sessionId, playerId);
+    });
+  });
+  clearMessages();
+}
+
+module.exports = {
+  messagesOfType,
+  clearMessages,
+  createSession,
+  cleanupSessions
+};
@@ -0,0 +1,87 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createSession, cleanupSessions, messagesOfType } = require('./helpers');
+const multiplayerHandler = require('../src/game/multiplayer_handler');
+const imposterMode = require('../src/game/imposterMode');
+
+afterEach(cleanupSessions);
+
+/**
+ * 获取会话中身份为 role 的玩家ID
+ * @returns {Array<string>}
+ */
+function playersWithRole(session, role) {
+  return Object.keys(session.imposter.roles).filter(id => session.imposter.roles[id] === role);
+}
+
+test('冒名者模式中船员到达出口不会结束游戏', () => {
+  const session = createSession('imposter-exit', ['p1', 'p2', 'p3', 'p4'], { gameMode: imposterMode.IMPOSTER_MODE });
+  imposterMode.assignRoles('imposter-exit', () => 0);
+  const [crewmateId] = playersWithRole(session, imposterMode.ROLES.CREWMATE);
+  const exitRoom = session._internalRooms.find(room => room.isExit);
+  exitRoom.isLocked = false;
+  session.players[crewmateId].position = { x: exitRoom.x, y: exitRoom.y };
+
+  multiplayerHandler.resolveRoomEntry('imposter-exit', crewmateId);
+
+  assert.strictEqual(session.status, 'playing');
+  assert.strictEqual(messagesOfType('GAME_SESSION_ENDED').length, 0);
+});
+
+test('冒名者模式至少需要 2 × 冒名者人数 + 1 名玩家', () => {
+  assert.strictEqual(imposterMode.checkPlayerCount(2).error, 'NOT_ENOUGH_PLAYERS');
+  assert.strictEqual(imposterMode.checkPlayerCount(3), null);
+
+  const { imposter } = require('../src/config');
+  const playersPerImposter = imposter.playersPerImposter;
+  imposter.playersPerImposter = 2;
+  try {
+    // 4 名玩家分配 2 名冒名者，需要 5 名玩家
+    assert.strictEqual(imposterMode.checkPlayerCount(4).error, 'NOT_ENOUGH_PLAYERS');
+    assert.strictEqual(imposterMode.checkPlayerCount(5), null);
+  } finally {
+    imposter.playersPerImposter = playersPerImposter;
+  }
+});
+
+test('人数不足时不分配身份，直接结束会话', () => {
+  const session = createSession('imposter-too-few', ['p1', 'p2'], { gameMode: imposterMode.IMPOSTER_MODE });
+
+  assert.strictEqual(imposterMode.assignRoles('imposter-too-few'), false);
+
+  assert.strictEqual(session.imposter, null);
+  assert.strictEqual(messagesOfType('IMPOSTER_GAME_OVER').length, 0);
+  assert.strictEqual(messagesOfType('GAME_SESSION_ENDED')[0].message.data.reason, 'NOT_ENOUGH_PLAYERS');
+});
+
+test('人数刚好足够时分配身份后游戏继续', () => {
+  const session = createSession('imposter-enough', ['p1', 'p2', 'p3'], { gameMode: imposterMode.IMPOSTER_MODE });
+
+  assert.strictEqual(imposterMode.assignRoles('imposter-enough', () => 0), true);
+
+  assert.strictEqual(playersWithRole(session, imposterMode.ROLES.IMPOSTER).length, 1);
+  assert.strictEqual(session.status, 'playing');
+});
+
+test('分配身份后冒名者的操作先进入冷却，开局不能立即击杀', () => {
+  const session = createSession('imposter-opening', ['p1', 'p2', 'p3'], { gameMode: imposterMode.IMPOSTER_MODE });
+  imposterMode.assignRoles('imposter-opening', () => 0);
+  const [imposterId] = playersWithRole(session, imposterMode.ROLES.IMPOSTER);
+  const [crewmateId] = playersWithRole(session, imposterMode.ROLES.CREWMATE);
+  const { killCooldownRounds } = require('../src/config').imposter;
+  while (session.currentTurn !== imposterId) {
+    multiplayerHandler.advanceTurn('imposter-opening');
+  }
+
+  const opening = imposterMode.performImposterAction('imposter-opening', imposterId, 'kill', { targetPlayerId: crewmateId });
+  assert.strictEqual(opening.error, 'ACTION_ON_COOLDOWN');
+  assert.strictEqual(imposterMode.performImposterAction('imposter-opening', imposterId, 'sabotage').error, 'ACTION_ON_COOLDOWN');
+  assert.notStrictEqual(session.players[crewmateId].status, 'eliminated');
+
+  // 冷却结束后仍在出生点的冒名者可以击杀
+  while (session.round < 1 + killCooldownRounds || session.currentTurn !== imposterId) {
+    multiplayerHandler.advanceTurn('imposter-opening');
+  }
+  const kill = imposterMode.performImposterAction('imposter-opening', imposterId, 'kill', { targetPlayerId: crewmateId });
+  assert.strictEqual(kill.action.targetPlayerId, crewmateId);
+});
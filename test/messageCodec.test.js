@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const messageCodec = require('../src/utils/messageCodec');
+
+const { ENCODINGS, BINARY_OPCODES } = messageCodec;
+
+/**
+ * 构造 PLAYER_MOVED 消息
+ * @returns {Object} { type, data }
+ */
+function playerMoved(playerId, x, y) {
+  return { type: 'PLAYER_MOVED', data: { playerId, position: { x, y } } };
+}
+
+test('compact 编码把 PLAYER_MOVED 编成二进制帧', () => {
+  const frame = messageCodec.encodeMessage(playerMoved('玩家1', 3, 65535), ENCODINGS.COMPACT);
+  const idBytes = Buffer.from('玩家1', 'utf8');
+
+  assert.ok(Buffer.isBuffer(frame));
+  assert.strictEqual(frame.readUInt8(0), BINARY_OPCODES.PLAYER_MOVED);
+  assert.strictEqual(frame.readUInt16BE(1), 3);
+  assert.strictEqual(frame.readUInt16BE(3), 65535);
+  assert.strictEqual(frame.readUInt8(5), idBytes.length);
+  assert.strictEqual(frame.subarray(6).toString('utf8'), '玩家1');
+});
+
+test('坐标超出 uint16 或不是非负整数时回退到 JSON', () => {
+  [[65536, 0], [0, 65536], [-1, 0], [1.5, 0]].forEach(([x, y]) => {
+    const message = playerMoved('p1', x, y);
+    assert.strictEqual(messageCodec.encodeMessage(message, ENCODINGS.COMPACT), JSON.stringify(message));
+  });
+});
+
+test('玩家ID超过 255 字节时回退到 JSON', () => {
+  const atLimit = playerMoved('a'.repeat(255), 0, 0);
+  assert.ok(Buffer.isBuffer(messageCodec.encodeMessage(atLimit, ENCODINGS.COMPACT)));
+
+  // 多字节字符按 UTF-8 字节数计算
+  const overLimit = playerMoved('玩'.repeat(86), 0, 0);
+  assert.strictEqual(messageCodec.encodeMessage(overLimit, ENCODINGS.COMPACT), JSON.stringify(overLimit));
+});
+
+test('json 编码和没有二进制格式的消息总是 JSON 文本', () => {
+  const moved = playerMoved('p1', 1, 2);
+  assert.strictEqual(messageCodec.encodeMessage(moved, ENCODINGS.JSON), JSON.stringify(moved));
+
+  const turn = { type: 'TURN_CHANGED', data: { currentTurn: 'p1' } };
+  assert.strictEqual(messageCodec.encodeMessage(turn, ENCODINGS.COMPACT), JSON.stringify(turn));
+});
+
+test('子协议优先于 URL 参数，不认识的子协议协商为 JSON', () => {
+  assert.strictEqual(messageCodec.negotiateEncoding('compact', 'json'), ENCODINGS.COMPACT);
+  assert.strictEqual(messageCodec.negotiateEncoding('json', 'compact'), ENCODINGS.JSON);
+  assert.strictEqual(messageCodec.negotiateEncoding('legacy-v1', 'compact'), ENCODINGS.JSON);
+  assert.strictEqual(messageCodec.negotiateEncoding('', 'compact'), ENCODINGS.COMPACT);
+  assert.strictEqual(messageCodec.negotiateEncoding(undefined, 'other'), ENCODINGS.JSON);
+  assert.strictEqual(messageCodec.negotiateEncoding(undefined, undefined), ENCODINGS.JSON);
+});
+
+test('握手优先选择编码子协议，否则接受客户端的第一个子协议', () => {
+  assert.strictEqual(messageCodec.selectProtocol(new Set(['legacy-v1', 'json', 'compact'])), 'compact');
+  assert.strictEqual(messageCodec.selectProtocol(new Set(['legacy-v1', 'json'])), 'json');
+  assert.strictEqual(messageCodec.selectProtocol(new Set(['legacy-v1', 'legacy-v2'])), 'legacy-v1');
+});
@@ -0,0 +1,64 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createSession, cleanupSessions } = require('./helpers');
+const { validateMessage } = require('../src/utils/messageSchemas');
+const { validateData } = require('../src/messages/middleware');
+const config = require('../src/config');
+
+afterEach(cleanupSessions);
+
+test('PLAYER_MOVE 缺少坐标、坐标不是整数或超出会话地图时返回字段错误', () => {
+  const session = createSession('schema-move', ['p1']);
+  const { width } = session.mapData;
+
+  assert.deepStrictEqual(validateMessage('PLAYER_MOVE', { sessionId: 'schema-move' }).errors, [
+    { field: 'position', message: '字段 position 是必填的' }
+  ]);
+  assert.deepStrictEqual(validateMessage('PLAYER_MOVE', { sessionId: 'schema-move', position: { x: 1.5, y: 0 } }).errors, [
+    { field: 'position', message: 'x 坐标必须是整数' }
+  ]);
+  assert.deepStrictEqual(validateMessage('PLAYER_MOVE', { sessionId: 'schema-move', position: { x: width, y: 0 } }).errors, [
+    { field: 'position', message: `x 坐标超出地图范围 (0-${width - 1})` }
+  ]);
+  assert.strictEqual(validateMessage('PLAYER_MOVE', { sessionId: 'schema-move', position: { x: 0, y: 0 } }).valid, true);
+});
+
+test('LOCK_HERO 锁定时必须提供存在的英雄ID，解锁时不需要', () => {
+  assert.deepStrictEqual(validateMessage('LOCK_HERO', { isLocked: true }).errors, [
+    { field: 'heroId', message: '字段 heroId 是必填的' }
+  ]);
+  assert.deepStrictEqual(validateMessage('LOCK_HERO', { isLocked: true, heroId: 'nope' }).errors, [
+    { field: 'heroId', message: '英雄 nope 不存在' }
+  ]);
+  assert.deepStrictEqual(validateMessage('LOCK_HERO', { isLocked: false }), { valid: true, errors: null, data: { isLocked: false } });
+});
+
+test('CHAT_MESSAGE 需要 roomId 或 sessionId，消息长度受限', () => {
+  assert.deepStrictEqual(validateMessage('CHAT_MESSAGE', { message: 'hi' }).errors, [
+    { field: 'roomId', message: '字段 roomId 是必填的' }
+  ]);
+  assert.strictEqual(validateMessage('CHAT_MESSAGE', { sessionId: 's1', message: 'hi' }).valid, true);
+  assert.deepStrictEqual(validateMessage('CHAT_MESSAGE', { roomId: 'r1', message: 'x'.repeat(config.chat.maxLength + 1) }).errors, [
+    { field: 'message', message: `字段 message 长度必须小于等于 ${config.chat.maxLength}` }
+  ]);
+});
+
+test('data 不是对象时返回 data 字段错误', () => {
+  assert.deepStrictEqual(validateMessage('PLAYER_MOVE', []), {
+    valid: false,
+    errors: [{ field: 'data', message: '字段 data 必须是对象类型' }],
+    data: {}
+  });
+});
+
+test('校验中间件以错误码 4000 拒绝不合法的消息并带上字段错误', () => {
+  const next = () => 'next';
+  const ctx = { type: 'LOCK_HERO', userId: 'u1', data: { isLocked: true } };
+
+  assert.deepStrictEqual(validateData(ctx, next), {
+    error: 4000,
+    message: '消息数据格式不正确',
+    errors: [{ field: 'heroId', message: '字段 heroId 是必填的' }]
+  });
+  assert.strictEqual(validateData({ type: 'LOCK_HERO', userId: 'u1', data: { isLocked: false } }, next), 'next');
+});
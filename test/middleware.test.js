@@ -0,0 +1,33 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { rateLimit } = require('../src/messages/middleware');
+
+afterEach(() => mock.timers.reset());
+
+const next = () => 'next';
+
+test('频率限制在时间窗口内拒绝超出次数的消息，窗口过期后恢复', () => {
+  mock.timers.enable({ apis: ['Date'], now: 1000 });
+  const limit = rateLimit({ count: 2, windowMs: 1000 });
+  const ctx = { type: 'PING_ROOM', userId: 'u1' };
+
+  assert.strictEqual(limit(ctx, next), 'next');
+  assert.strictEqual(limit(ctx, next), 'next');
+  assert.strictEqual(limit(ctx, next).error, 'RATE_LIMITED');
+
+  mock.timers.tick(1001);
+  assert.strictEqual(limit(ctx, next), 'next');
+});
+
+test('清理其他用户的过期记录不影响当前窗口内的计数', () => {
+  mock.timers.enable({ apis: ['Date'], now: 1000 });
+  const limit = rateLimit({ count: 1, windowMs: 1000 });
+
+  assert.strictEqual(limit({ type: 'CHAT', userId: 'gone' }, next), 'next');
+  mock.timers.tick(600);
+  assert.strictEqual(limit({ type: 'CHAT', userId: 'u1' }, next), 'next');
+  mock.timers.tick(600);
+  // 此时触发清理：gone 的窗口已过期被删除，u1 的窗口仍然有效
+  assert.strictEqual(limit({ type: 'CHAT', userId: 'u1' }, next).error, 'RATE_LIMITED');
+  assert.strictEqual(limit({ type: 'CHAT', userId: 'gone' }, next), 'next');
+});
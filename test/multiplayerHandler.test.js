@@ -0,0 +1,318 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createSession, cleanupSessions, messagesOfType, clearMessages } = require('./helpers');
+const multiplayerHandler = require('../src/game/multiplayer_handler');
+const mapRegistry = require('../src/game/mapRegistry');
+const { normalizeSeed } = require('../src/utils/helpers');
+const config = require('../src/config');
+
+afterEach(() => {
+  cleanupSessions();
+  mock.timers.reset();
+});
+
+/**
+ * 让玩家持有钥匙并站在出生点房间
+ * @returns {Object} { session, room }
+ */
+function giveKey(session, playerId) {
+  session._internalRooms.forEach(room => { room.hasKey = false; });
+  const player = session.players[playerId];
+  const room = multiplayerHandler.findRoomAt(session._internalRooms, player.position.x, player.position.y);
+  player.items.push({ id: 'key_test', type: 'key', name: '钥匙' });
+  return room;
+}
+
+test('持有钥匙的玩家被淘汰时钥匙掉落在所在房间', () => {
+  const session = createSession('key-eliminated', ['p1', 'p2'], { gameMode: '梦魇模式' });
+  const room = giveKey(session, 'p1');
+
+  multiplayerHandler.eliminatePlayer('key-eliminated', 'p1', 'trap');
+
+  assert.strictEqual(room.hasKey, true);
+  assert.ok(!session.players.p1.items.some(item => item.type === 'key'));
+  const [dropped] = messagesOfType('KEY_DROPPED');
+  assert.deepStrictEqual(
+    { roomId: dropped.message.data.roomId, playerId: dropped.message.data.playerId, reason: dropped.message.data.reason },
+    { roomId: room.id, playerId: 'p1', reason: 'PLAYER_ELIMINATED' }
+  );
+});
+
+test('持有钥匙的玩家离开会话时钥匙掉落，其他玩家进入房间可以拾取', () => {
+  const session = createSession('key-left', ['p1', 'p2'], { gameMode: '梦魇模式' });
+  const room = giveKey(session, 'p1');
+
+  multiplayerHandler.leaveSession('key-left', 'p1');
+  assert.strictEqual(room.hasKey, true);
+  assert.strictEqual(messagesOfType('KEY_DROPPED')[0].message.data.reason, 'PLAYER_LEFT');
+
+  multiplayerHandler.resolveRoomEntry('key-left', 'p2');
+  assert.strictEqual(room.hasKey, false);
+  assert.ok(session.players.p2.items.some(item => item.type === 'key'));
+});
+
+test('没有钥匙的玩家被淘汰时不会掉落钥匙', () => {
+  createSession('key-none', ['p1', 'p2'], { gameMode: '梦魇模式' });
+
+  multiplayerHandler.eliminatePlayer('key-none', 'p1', 'trap');
+
+  assert.strictEqual(messagesOfType('KEY_DROPPED').length, 0);
+});
+
+// === 移动校验 ===
+
+test('只有相邻且双方出口互相匹配的房间才连通', () => {
+  const from = { x: 0, y: 0, exits: ['right'] };
+
+  assert.strictEqual(multiplayerHandler.canMoveBetweenRooms(from, { x: 1, y: 0, exits: ['left'] }), true);
+  // 单向出口：目标房间没有朝向出发房间的出口
+  assert.strictEqual(multiplayerHandler.canMoveBetweenRooms(from, { x: 1, y: 0, exits: ['up'] }), false);
+  // 出发房间没有朝向目标房间的出口
+  assert.strictEqual(multiplayerHandler.canMoveBetweenRooms(from, { x: 0, y: 1, exits: ['up'] }), false);
+  // 不相邻
+  assert.strictEqual(multiplayerHandler.canMoveBetweenRooms({ x: 0, y: 0, exits: ['right'] }, { x: 2, y: 0, exits: ['left'] }), false);
+  assert.strictEqual(multiplayerHandler.canMoveBetweenRooms(from, null), false);
+});
+
+test('移动到连通的相邻房间被接受，移动到不相邻或单向连通的房间被拒绝', () => {
+  const session = createSession('move-rules', ['p1', 'p2']);
+  const player = session.players.p1;
+  const from = multiplayerHandler.findRoomAt(session._internalRooms, player.position.x, player.position.y);
+  const neighbour = session._internalRooms.find(room => multiplayerHandler.canMoveBetweenRooms(from, room));
+  const farRoom = session._internalRooms.find(room => Math.abs(room.x - from.x) + Math.abs(room.y - from.y) > 1);
+
+  const far = multiplayerHandler.handlePlayerMove('move-rules', 'p1', { x: farRoom.x, y: farRoom.y });
+  assert.strictEqual(far.accepted, false);
+  assert.strictEqual(far.reason, 'NOT_CONNECTED');
+  assert.deepStrictEqual(player.position, { x: from.x, y: from.y });
+
+  // 去掉邻居朝向出发房间的出口，变成单向连通
+  const exits = neighbour.exits;
+  neighbour.exits = exits.filter(exit => !multiplayerHandler.canMoveBetweenRooms(from, { ...neighbour, exits: [exit] }));
+  assert.strictEqual(multiplayerHandler.handlePlayerMove('move-rules', 'p1', { x: neighbour.x, y: neighbour.y }).reason, 'NOT_CONNECTED');
+  neighbour.exits = exits;
+
+  const moved = multiplayerHandler.handlePlayerMove('move-rules', 'p1', { x: neighbour.x, y: neighbour.y });
+  assert.deepStrictEqual(moved, { accepted: true, position: { x: neighbour.x, y: neighbour.y } });
+});
+
+test('移动请求按会话状态、回合和坐标依次校验', () => {
+  createSession('move-checks', ['p1', 'p2']);
+
+  assert.strictEqual(multiplayerHandler.handlePlayerMove('move-checks', 'stranger', { x: 0, y: 0 }).reason, 'NOT_IN_SESSION');
+  assert.strictEqual(multiplayerHandler.handlePlayerMove('move-checks', 'p2', { x: 0, y: 0 }).reason, 'NOT_YOUR_TURN');
+  assert.strictEqual(multiplayerHandler.handlePlayerMove('move-checks', 'p1', { x: 1.5, y: 0 }).reason, 'INVALID_POSITION');
+  assert.strictEqual(multiplayerHandler.handlePlayerMove('move-checks', 'p1', { x: -1, y: 0 }).reason, 'ROOM_NOT_FOUND');
+});
+
+// === 回合轮转 ===
+
+test('最后一位玩家结束回合后轮回第一位并进入下一轮', () => {
+  const session = createSession('turn-wrap', ['p1', 'p2', 'p3']);
+  assert.strictEqual(session.currentTurn, 'p1');
+  assert.strictEqual(session.round, 1);
+
+  multiplayerHandler.advanceTurn('turn-wrap');
+  multiplayerHandler.advanceTurn('turn-wrap');
+  assert.strictEqual(session.currentTurn, 'p3');
+  assert.strictEqual(messagesOfType('ROUND_STARTED').length, 0);
+
+  const turn = multiplayerHandler.advanceTurn('turn-wrap');
+  assert.strictEqual(turn.currentTurn, 'p1');
+  assert.strictEqual(session.round, 2);
+  assert.deepStrictEqual(messagesOfType('ROUND_STARTED').map(entry => entry.message.data), [{ sessionId: 'turn-wrap', round: 2 }]);
+
+  const changed = messagesOfType('TURN_CHANGED').map(entry => entry.message.data);
+  assert.strictEqual(changed.length, 3);
+  assert.strictEqual(changed[2].previousPlayerId, 'p3');
+  assert.strictEqual(changed[2].reason, 'TURN_ENDED');
+});
+
+test('轮转时跳过断线中的玩家', () => {
+  const session = createSession('turn-skip', ['p1', 'p2', 'p3']);
+  multiplayerHandler.markPlayerDisconnected('turn-skip', 'p2');
+  clearMessages();
+
+  multiplayerHandler.advanceTurn('turn-skip');
+  assert.strictEqual(session.currentTurn, 'p3');
+  assert.strictEqual(session.round, 1);
+
+  // 断线玩家是第一位时，轮回后交给第二位，仍然算作新的一轮
+  multiplayerHandler.markPlayerDisconnected('turn-skip', 'p1');
+  multiplayerHandler.advanceTurn('turn-skip');
+  assert.strictEqual(session.currentTurn, 'p3');
+  assert.strictEqual(session.round, 2);
+});
+
+test('当前回合玩家离开时回合交给下一位玩家', () => {
+  const session = createSession('turn-leave', ['p1', 'p2', 'p3']);
+  clearMessages();
+
+  multiplayerHandler.leaveSession('turn-leave', 'p1');
+  assert.deepStrictEqual(session.turnOrder, ['p2', 'p3']);
+  assert.strictEqual(session.currentTurn, 'p2');
+  const [changed] = messagesOfType('TURN_CHANGED').map(entry => entry.message.data);
+  assert.strictEqual(changed.previousPlayerId, 'p1');
+  assert.strictEqual(changed.reason, 'PLAYER_LEFT');
+
+  // 非当前回合玩家离开不影响回合
+  multiplayerHandler.leaveSession('turn-leave', 'p3');
+  assert.deepStrictEqual(session.turnOrder, ['p2']);
+  assert.strictEqual(session.currentTurn, 'p2');
+  assert.strictEqual(messagesOfType('TURN_CHANGED').length, 1);
+});
+
+test('顺序最后的玩家在自己回合离开时轮回第一位并进入下一轮', () => {
+  const session = createSession('turn-leave-last', ['p1', 'p2', 'p3']);
+  multiplayerHandler.advanceTurn('turn-leave-last');
+  multiplayerHandler.advanceTurn('turn-leave-last');
+
+  multiplayerHandler.leaveSession('turn-leave-last', 'p3');
+  assert.deepStrictEqual(session.turnOrder, ['p1', 'p2']);
+  assert.strictEqual(session.currentTurn, 'p1');
+  assert.strictEqual(session.round, 2);
+});
+
+// === 地图种子 ===
+
+test('游戏进行中不下发地图种子，结束时才公开', () => {
+  const session = createSession('seed-hidden', ['p1']);
+  const joined = multiplayerHandler.joinSession('seed-hidden', 'p2', '竞速模式', null);
+  assert.strictEqual('seed' in joined, false);
+  assert.strictEqual(multiplayerHandler.getSessionSnapshot(session, 'p1').seed, null);
+
+  multiplayerHandler.endSession('seed-hidden', 'p1', 'ESCAPED');
+  const [ended] = messagesOfType('GAME_SESSION_ENDED');
+  assert.strictEqual(ended.message.data.seed, session.seed);
+  assert.strictEqual(multiplayerHandler.getSessionSnapshot(session, 'p1').seed, session.seed);
+});
+
+// === 地图校验 ===
+
+const TEST_MAP = { id: 'validate-test', spawn: { x: 0, y: 0 } };
+
+/**
+ * 构造一行房间：出生点 (0,0) - 走廊 (1,0) - 出口 (2,0)
+ * @returns {Array<Object>} [spawn, corridor, exit]
+ */
+function roomRow() {
+  return [
+    { id: 0, x: 0, y: 0, exits: ['right'] },
+    { id: 1, x: 1, y: 0, exits: ['left', 'right'] },
+    { id: 2, x: 2, y: 0, exits: ['left'], isExit: true }
+  ];
+}
+
+test('出口与出生点连通时地图校验通过', () => {
+  const result = multiplayerHandler.validateRooms(roomRow(), TEST_MAP);
+  assert.deepStrictEqual(result, { valid: true, errors: [], reachableRoomCount: 3 });
+});
+
+test('只能单向通往出口时判定出口不可达', () => {
+  const rooms = roomRow();
+  rooms[1].exits = ['left'];
+
+  const result = multiplayerHandler.validateRooms(rooms, TEST_MAP);
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, ['从出生点无法到达出口']);
+  assert.strictEqual(result.reachableRoomCount, 2);
+});
+
+test('梦魇模式下钥匙房间不可达时校验失败', () => {
+  const rooms = roomRow();
+  rooms.push({ id: 3, x: 1, y: 1, exits: [], hasKey: true });
+
+  assert.strictEqual(multiplayerHandler.validateRooms(rooms, TEST_MAP).valid, true);
+  const result = multiplayerHandler.validateRooms(rooms, TEST_MAP, '梦魇模式');
+  assert.deepStrictEqual(result.errors, ['从出生点无法到达钥匙房间']);
+});
+
+test('出口房间的出口指向网格外时校验失败', () => {
+  const rooms = roomRow();
+  rooms[2].exits = ['left', 'right'];
+
+  const result = multiplayerHandler.validateRooms(rooms, TEST_MAP);
+  assert.deepStrictEqual(result.errors, ['出口房间的出口 right 没有指向相邻房间']);
+});
+
+test('地图校验失败后用派生种子重试，同一个种子总得到同一个最终种子', () => {
+  const mapDef = mapRegistry.getMap();
+  // 第一次生成时把网格压成一行，出口房间的出口会指向网格外
+  const flakyMap = () => {
+    let generated = 0;
+    return { ...mapDef, get height() { generated++; return generated === 1 ? 1 : mapDef.height; } };
+  };
+
+  const first = multiplayerHandler.generateValidRooms('竞速模式', 42, flakyMap());
+  assert.strictEqual(first.attempts, 2);
+  assert.strictEqual(first.seed, normalizeSeed('42:1'));
+
+  const second = multiplayerHandler.generateValidRooms('竞速模式', 42, flakyMap());
+  assert.strictEqual(second.seed, first.seed);
+  assert.deepStrictEqual(second.rooms, first.rooms);
+  assert.deepStrictEqual(multiplayerHandler.generateRooms('竞速模式', first.seed, mapDef), first.rooms);
+});
+
+test('超过最大重试次数仍无法生成可解地图时抛出错误', () => {
+  const brokenMap = { ...mapRegistry.getMap(), id: 'broken', height: 1 };
+  assert.throws(() => multiplayerHandler.generateValidRooms('竞速模式', 42, brokenMap), /broken/);
+});
+
+// === 断线重连 ===
+
+test('断线玩家在宽限期结束后被移出会话，其回合立即被跳过', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const session = createSession('grace-expire', ['p1', 'p2', 'p3']);
+
+  multiplayerHandler.markPlayerDisconnected('grace-expire', 'p1');
+  assert.strictEqual(session.currentTurn, 'p2');
+  const [disconnected] = messagesOfType('PLAYER_DISCONNECTED');
+  assert.deepStrictEqual(disconnected.message.data, {
+    sessionId: 'grace-expire', playerId: 'p1', reconnectDeadline: 1000 + config.game.reconnectGraceMs
+  });
+
+  mock.timers.tick(config.game.reconnectGraceMs - 1);
+  assert.ok(session.players.p1);
+
+  mock.timers.tick(1);
+  assert.strictEqual(session.players.p1, undefined);
+  assert.deepStrictEqual(session.turnOrder, ['p2', 'p3']);
+  assert.deepStrictEqual(messagesOfType('PLAYER_LEFT').map(entry => entry.message.data), [{ playerId: 'p1', reason: 'RECONNECT_TIMEOUT' }]);
+});
+
+test('宽限期内重连返回玩家视角的会话快照并取消移除', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const session = createSession('grace-resume', ['p1', 'p2']);
+  multiplayerHandler.advanceTurn('grace-resume');
+  multiplayerHandler.markPlayerDisconnected('grace-resume', 'p1');
+  mock.timers.tick(config.game.reconnectGraceMs - 1);
+
+  const snapshot = multiplayerHandler.resumeSession('p1');
+  assert.strictEqual(session.players.p1.disconnected, false);
+  assert.deepStrictEqual(snapshot, {
+    sessionId: 'grace-resume',
+    gameMode: '竞速模式',
+    status: 'playing',
+    winnerId: null,
+    seed: null,
+    mapId: session.mapId,
+    mapData: multiplayerHandler.getVisibleMapData(session, 'p1'),
+    players: snapshot.players,
+    roleInfo: null,
+    // 宽限期内回合计时器照常轮转，断线玩家的回合被跳过
+    currentTurn: 'p2',
+    round: session.round,
+    turnDeadline: session.turnDeadline
+  });
+  assert.deepStrictEqual(Object.keys(snapshot.players).sort(), ['p1', 'p2']);
+  assert.strictEqual(messagesOfType('PLAYER_RECONNECTED').length, 1);
+
+  mock.timers.tick(config.game.reconnectGraceMs);
+  assert.ok(session.players.p1);
+  assert.strictEqual(messagesOfType('PLAYER_LEFT').length, 0);
+});
+
+test('不在任何会话中的玩家无法恢复会话', () => {
+  createSession('grace-none', ['p1']);
+  assert.strictEqual(multiplayerHandler.resumeSession('stranger'), null);
+});
@@ -0,0 +1,54 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createSession, cleanupSessions, messagesOfType } = require('./helpers');
+const quickComms = require('../src/game/quickComms');
+const imposterMode = require('../src/game/imposterMode');
+
+afterEach(() => {
+  cleanupSessions();
+  mock.timers.reset();
+});
+
+/**
+ * 获取收到 PING_MARKER 的玩家ID
+ * @returns {Array<string>}
+ */
+function pingRecipients() {
+  return messagesOfType('PING_MARKER').map(entry => entry.to).sort();
+}
+
+test('冒名者模式下标记只发给同身份的玩家', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const session = createSession('ping-imposter', ['p1', 'p2', 'p3', 'p4'], { gameMode: imposterMode.IMPOSTER_MODE });
+  imposterMode.assignRoles('ping-imposter', () => 0);
+  const roles = session.imposter.roles;
+  const imposterId = Object.keys(roles).find(id => roles[id] === imposterMode.ROLES.IMPOSTER);
+  const crewmateIds = Object.keys(roles).filter(id => roles[id] === imposterMode.ROLES.CREWMATE).sort();
+
+  quickComms.pingRoom('ping-imposter', crewmateIds[0], { x: 0, y: 0 });
+
+  assert.deepStrictEqual(pingRecipients(), crewmateIds);
+  assert.ok(!pingRecipients().includes(imposterId));
+});
+
+test('梦魇模式没有分队，标记发给整个会话', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  createSession('ping-nightmare', ['p1', 'p2', 'p3'], { gameMode: '梦魇模式' });
+
+  quickComms.pingRoom('ping-nightmare', 'p1', { x: 0, y: 0 });
+
+  assert.deepStrictEqual(pingRecipients(), ['p1', 'p2', 'p3']);
+});
+
+test('出局玩家不能发送表情或标记', () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  const session = createSession('comms-eliminated', ['p1', 'p2']);
+  session.players.p1.status = 'eliminated';
+
+  assert.strictEqual(quickComms.sendEmote('comms-eliminated', 'p1', quickComms.listEmotes()[0].id).error, 'PLAYER_ELIMINATED');
+  assert.strictEqual(quickComms.pingRoom('comms-eliminated', 'p1', { x: 0, y: 0 }).error, 'PLAYER_ELIMINATED');
+  assert.strictEqual(messagesOfType('EMOTE_BROADCAST').length, 0);
+  assert.strictEqual(messagesOfType('PING_MARKER').length, 0);
+
+  assert.ok(quickComms.sendEmote('comms-eliminated', 'p2', quickComms.listEmotes()[0].id).emote);
+});
@@ -0,0 +1,81 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { clearMessages } = require('./helpers');
+const roomManager = require('../src/managers/roomManager');
+const config = require('../src/config');
+
+// 测试中创建的房间ID，结束后统一关闭
+const createdRoomIds = [];
+
+afterEach(() => {
+  createdRoomIds.splice(0).forEach(roomId => {
+    const room = roomManager.getRoom(roomId);
+    if (room) {
+      room.players.forEach(player => roomManager.markPlayerOnline(roomId, player.openId));
+      roomManager.closeRoom(roomId, 'TEST_CLEANUP');
+    }
+  });
+  clearMessages();
+  mock.timers.reset();
+});
+
+/**
+ * 创建由 host 和 guest 组成的等待中房间
+ * @returns {Object} 房间信息
+ */
+function createRoomWithGuest() {
+  const room = roomManager.createRoom({ name: '测试房间', hostId: 'host', hostNickname: '房主' });
+  createdRoomIds.push(room.roomId);
+  roomManager.addPlayerToRoom(room.roomId, 'guest', { nickname: '玩家' });
+  return roomManager.getRoom(room.roomId);
+}
+
+test('离线玩家在超时后才被移出房间', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const { roomId } = createRoomWithGuest();
+  const removed = [];
+
+  const offlineRoom = roomManager.markPlayerOffline(roomId, 'guest', room => removed.push(room));
+  const guest = offlineRoom.players.find(player => player.openId === 'guest');
+  assert.strictEqual(guest.isOffline, true);
+  assert.strictEqual(guest.offlineAt, 1000);
+
+  mock.timers.tick(config.room.offlineTimeoutMs - 1);
+  assert.ok(roomManager.getRoom(roomId).players.some(player => player.openId === 'guest'));
+  assert.strictEqual(removed.length, 0);
+
+  mock.timers.tick(1);
+  const room = roomManager.getRoom(roomId);
+  assert.deepStrictEqual(room.players.map(player => player.openId), ['host']);
+  assert.strictEqual(removed.length, 1);
+  assert.deepStrictEqual(removed[0].players.map(player => player.openId), ['host']);
+});
+
+test('离线房主超时移出后房主转给在线玩家', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const { roomId } = createRoomWithGuest();
+
+  roomManager.markPlayerOffline(roomId, 'host');
+  mock.timers.tick(config.room.offlineTimeoutMs);
+
+  const room = roomManager.getRoom(roomId);
+  assert.strictEqual(room.hostId, 'guest');
+  assert.strictEqual(room.players[0].isHost, true);
+});
+
+test('超时前重新上线的玩家保留在房间中', () => {
+  mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'], now: 1000 });
+  const { roomId } = createRoomWithGuest();
+  const removed = [];
+
+  roomManager.markPlayerOffline(roomId, 'guest', room => removed.push(room));
+  mock.timers.tick(config.room.offlineTimeoutMs - 1);
+  const onlineRoom = roomManager.markPlayerOnline(roomId, 'guest');
+  mock.timers.tick(config.room.offlineTimeoutMs);
+
+  const guest = onlineRoom.players.find(player => player.openId === 'guest');
+  assert.strictEqual(guest.isOffline, false);
+  assert.strictEqual(guest.offlineAt, null);
+  assert.strictEqual(roomManager.getRoom(roomId).players.length, 2);
+  assert.strictEqual(removed.length, 0);
+});